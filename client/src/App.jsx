@@ -1,123 +1,637 @@
-import React, { useEffect, useMemo, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import axios from 'axios';
 import JSZip from 'jszip';
 import Papa from 'papaparse';
 import { Wand2, Split, Image as ImageIcon, AudioLines, Film, Download, Sparkles } from 'lucide-react';
-import { PRESETS, autoDetectPresetId } from './styles.js';
-import { sleep, b64ToBlob, downloadBlob } from './utils.js';
-
-const VOICES = ['Fenrir','Puck','Zephyr','Nova','Default'];
+import { DEFAULT_PRESET, DEFAULT_MUSIC, DEFAULT_TRANSITION, TRANSITION_TYPES } from './styles.js';
+import { b64ToBlob, downloadBlob, errMessage } from './utils.js';
+import { submitRender, watchRender, cancelRender, downloadRender } from './renderJobs.js';
+import { MOTION_TYPES, kbProps } from './motion.js';
+import { FORMATS, getFormat } from './formats.js';
+import { listProjects, createProject, duplicateProject, deleteProject, localizeProject, packProject, saveProject, loadProject } from './projects.js';
+import { importAssetsZip } from './importZip.js';
+import { imageKey, audioKey, staleAssets } from './sceneAssets.js';
+import { normalizeScenes, splitScene, mergeWithNext, insertBlankScene, deleteScene, moveScene } from './sceneOps.js';
+import { analyzeScriptStream } from './analyzeStream.js';
+import { setUsageProject, getUsage } from './usage.js';
+import { runBatch } from './batch.js';
+import { parseLexicon, lexiconToText, mergeLexicons } from './lexicon.js';
+import { VOICE_LABELS, getVoices, voiceLanguage, languageName } from './voices.js';
+import { sceneLines, isDialogue } from './speakers.js';
+import { listPresets, createPreset, updatePreset, deletePreset, clonePreset, exportPresets, importPresets, classifyPreset } from './presets.js';
 
 function clamp(n, a, b){ return Math.max(a, Math.min(b, n)); }
 
 export default function App() {
   const [script, setScript] = useState('');
-  const [presetId, setPresetId] = useState(PRESETS[0].id);
-  const [customStyle, setCustomStyle] = useState(() => {
-    try { return JSON.parse(localStorage.getItem('creatorStationCustomStyle') || 'null'); } catch { return null; }
-  });
-  const [showCustom, setShowCustom] = useState(false);
-  const [customName, setCustomName] = useState('');
-  const [customSuffix, setCustomSuffix] = useState('');
+  const [presets, setPresets] = useState([]);
+  const [presetId, setPresetId] = useState('');
+  const [showPresets, setShowPresets] = useState(false);
+  // Auto-detect suggests a preset from the script until one is picked by hand
+  const [presetPinned, setPresetPinned] = useState(false);
+  const [presetSuggestion, setPresetSuggestion] = useState(null); // /api/classify-preset result
+  const [classifying, setClassifying] = useState(false);
 
   const [analysis, setAnalysis] = useState(null);
   const [loadingAnalyze, setLoadingAnalyze] = useState(false);
+  const [analyzeReport, setAnalyzeReport] = useState(null); // { chunks, repairs, coerced[] } from the last analysis
+  const [analyzeProgress, setAnalyzeProgress] = useState(null); // { done, total } parts while a long script streams in
+  const [splitMode, setSplitMode] = useState('llm'); // llm | local (narration kept as written, no model call)
+  const [imagePromptTemplate, setImagePromptTemplate] = useState('');
+  const [lexiconText, setLexiconText] = useState(''); // this project's pronunciations (client/src/lexicon.js)
 
   const [voice, setVoice] = useState('Default');
+  const [cast, setCast] = useState({}); // dialogue: speaker -> voice; unlisted speakers use `voice`
+  const [language, setLanguage] = useState('en-US'); // narration language (the voice list follows it)
+  const [voiceGender, setVoiceGender] = useState(''); // voice list filter only
+  const [voiceCatalog, setVoiceCatalog] = useState(null); // /api/voices for `language`
+  // Narration controls, seeded from the preset
+  const [speakingRate, setSpeakingRate] = useState(1.0);
+  const [pitch, setPitch] = useState(0);
+  const [volumeGainDb, setVolumeGainDb] = useState(0);
+  const [paddingSec, setPaddingSec] = useState(0.5);
+  const [overflowMode, setOverflowMode] = useState('split'); // split | flag
+  const [retimeNote, setRetimeNote] = useState('');
   const [genBusy, setGenBusy] = useState(false);
+  const [sceneBusy, setSceneBusy] = useState({}); // 'image-<uid>' / 'audio-<uid>' while regenerating
+  // Last "Generate All" batch: { kind, batchId, complete, statuses: { [uid]: { status, retries, error, cached } }, summary }
+  const [batch, setBatch] = useState(null);
+  const batchRef = useRef(null);
+  const [dragIndex, setDragIndex] = useState(null);
+
+  const [motionIntensity, setMotionIntensity] = useState(0.5);
+  const [burnCaptions, setBurnCaptions] = useState(false);
+  const [burnOnScreenText, setBurnOnScreenText] = useState(false);
+  const [musicTracks, setMusicTracks] = useState([]);
+  const [musicSource, setMusicSource] = useState('none'); // none | library | upload
+  const [musicTrack, setMusicTrack] = useState('');
+  const [musicFile, setMusicFile] = useState(null);
+  const [musicVolume, setMusicVolume] = useState(DEFAULT_MUSIC.volume);
+  const [musicDucking, setMusicDucking] = useState(DEFAULT_MUSIC.ducking);
+  const [transition, setTransition] = useState(DEFAULT_TRANSITION);
+  const [renderJob, setRenderJob] = useState(null);
+  const stopWatchRef = useRef(null);
+
+  const [formatId, setFormatId] = useState('landscape');
+  const [extraFormats, setExtraFormats] = useState([]); // other formats rendered alongside formatId
+  const format = getFormat(formatId);
+
+  const [projects, setProjects] = useState([]);
+  const [projectId, setProjectId] = useState(null);
+  const [projectName, setProjectName] = useState('');
+  const [saveState, setSaveState] = useState(''); // '' | saving | saved | error
+  const projectIdRef = useRef(null);
+  const storedAssetsRef = useRef(new Set()); // asset names already on the server for this project
+  const lastSavedRef = useRef(null);
+  const saveQueueRef = useRef(Promise.resolve());
+  // Set while a loaded project is applied, so preset auto-detection/defaults don't overwrite its settings.
+  const restoringRef = useRef(false);
+  const [restoreRev, setRestoreRev] = useState(0);
+  const [importReport, setImportReport] = useState(null); // { fileName, issues }
+  // Localized variants (src/localize.js): this project's, or the source it was translated from
+  const [variants, setVariants] = useState([]);
+  const [localization, setLocalization] = useState(null); // { sourceId, language, sourceLanguage } on a variant
+  const [showLocalize, setShowLocalize] = useState(false);
+  const [localizeRun, setLocalizeRun] = useState(null); // { language, translated, narrated, failed, total, error? } while/after creating one
+  const importInputRef = useRef(null);
 
   const [tab, setTab] = useState('images'); // images | voice | video
-  const activePreset = useMemo(() => {
-    if (presetId === 'custom' && customStyle) {
-      return {
-        id: 'custom',
-        name: customStyle.name,
-        target: 'Custom',
-        suffix: customStyle.suffix,
-        timing: 13,
-        accent: '#7C3AED',
-        voiceDefault: 'Default'
-      };
-    }
-    return PRESETS.find(p => p.id === presetId) || PRESETS[0];
-  }, [presetId, customStyle]);
+  const activePreset = useMemo(
+    () => presets.find(p => p.id === presetId) || presets[0] || DEFAULT_PRESET,
+    [presetId, presets]
+  );
+  const timingRuleSeconds = activePreset.timing;
 
+  // Auto-detect on paste/typing (debounced), until the user picks a preset themselves.
   useEffect(() => {
-    // auto-detect on paste/typing
-    const detected = autoDetectPresetId(script);
-    setPresetId(prev => (prev === 'custom' ? prev : detected));
-  }, [script]);
+    if (restoringRef.current || presetPinned || !presets.length || !script.trim()) return;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const result = await classifyPreset(script);
+        if (cancelled) return;
+        setPresetSuggestion(result);
+        setPresetId(result.presetId);
+      } catch (e) {
+        console.warn('Preset auto-detect failed', e);
+      }
+    }, 600);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [script, presets, presetPinned]);
+
+  useEffect(() => () => stopWatchRef.current?.(), []);
 
   useEffect(() => {
-    setVoice(activePreset.voiceDefault || 'Default');
     document.documentElement.style.setProperty('--accent', activePreset.accent);
-  }, [activePreset]);
+    if (restoringRef.current) return;
+    setVoice(activePreset.voiceDefault || 'Default');
+    setLanguage(voiceLanguage(activePreset.voiceDefault) || 'en-US');
+    setSpeakingRate(activePreset.speakingRate || 1.0);
+    setPitch(activePreset.pitch || 0);
+    setVolumeGainDb(activePreset.volumeGainDb || 0);
+    setMusicVolume((activePreset.music || DEFAULT_MUSIC).volume);
+    setMusicDucking((activePreset.music || DEFAULT_MUSIC).ducking);
+    setTransition(activePreset.transition || DEFAULT_TRANSITION);
+  }, [activePreset.id, activePreset.updatedAt]);
 
-  const timingRuleSeconds = activePreset.timing;
+  useEffect(() => {
+    let cancelled = false;
+    getVoices({ language, gender: voiceGender || undefined })
+      .then(data => { if (!cancelled) setVoiceCatalog({ ...data, language }); })
+      .catch(e => console.warn('Voice list unavailable', e));
+    return () => { cancelled = true; };
+  }, [language, voiceGender]);
 
-  const estimatedCost = useMemo(() => {
-    const scenes = analysis?.scenes || [];
-    const imageCost = scenes.filter(s => s.imageBase64).length * 0.04;
-    const chars = scenes.reduce((sum, s) => sum + (s.narration || '').length, 0);
-    const ttsCost = chars * 0.000016;
-    return { imageCost, ttsCost, total: imageCost + ttsCost, chars };
-  }, [analysis]);
+  // A voice that doesn't speak the chosen language gives way to the first one that does;
+  // cast members in another language go back to the project voice.
+  useEffect(() => {
+    if (!voiceCatalog || voiceCatalog.language !== language) return;
+    setCast(prev => {
+      const kept = Object.entries(prev).filter(([, v]) => voiceLanguage(v) === language);
+      return kept.length === Object.keys(prev).length ? prev : Object.fromEntries(kept);
+    });
+    if (voiceLanguage(voice) === language) return;
+    const first = voiceCatalog.voices[0]?.name;
+    if (language === 'en-US') setVoice('Default');
+    else if (first) setVoice(first);
+  }, [voiceCatalog, language]);
+
+  useEffect(() => {
+    axios.get('/api/music')
+      .then(res => setMusicTracks(res.data.tracks || []))
+      .catch(() => setMusicTracks([]));
+    refreshProjects();
+    loadPresets();
+  }, []);
+
+  // Autosave: debounced, and only once there is something worth keeping.
+  // A just-loaded project is already saved; an import (no project id yet) saves right away.
+  useEffect(() => {
+    if (restoringRef.current && projectIdRef.current) return;
+    if (!projectId && !script.trim() && !analysis) return;
+    const timer = setTimeout(autosave, 1500);
+    return () => clearTimeout(timer);
+  }, [projectId, projectName, script, presetId, presetPinned, analysis, formatId, extraFormats, voice, cast, language, speakingRate, pitch, volumeGainDb,
+    paddingSec, overflowMode, splitMode, imagePromptTemplate, lexiconText, motionIntensity, transition, burnCaptions, burnOnScreenText, musicSource, musicTrack, musicVolume, musicDucking]);
+
+  // A different preset's timing rule changes which scenes are over it.
+  useEffect(() => {
+    setAnalysis(prev => {
+      if (!prev) return prev;
+      const scenes = normalizeScenes(prev.scenes, timingRuleSeconds);
+      const same = scenes.every((s, i) => s.timing_overflow === prev.scenes[i].timing_overflow && s.uid === prev.scenes[i].uid);
+      return same ? prev : { ...prev, scenes };
+    });
+  }, [timingRuleSeconds]);
+
+  // Declared last: runs after the effects above have seen the restored state.
+  useEffect(() => { restoringRef.current = false; }, [restoreRev]);
+
+  // Also moves a style saved by older versions in this browser (localStorage) into the library.
+  async function loadPresets() {
+    try {
+      let list = await listPresets();
+      const legacy = JSON.parse(localStorage.getItem('creatorStationCustomStyle') || 'null');
+      if (legacy?.name) {
+        const migrated = await createPreset({ name: legacy.name, suffix: legacy.suffix || '' });
+        localStorage.removeItem('creatorStationCustomStyle');
+        list = await listPresets();
+        setPresetId(prev => (prev === 'custom' ? migrated.id : prev));
+      }
+      setPresets(list);
+      return list;
+    } catch (e) {
+      console.warn('Preset list failed', e);
+      return presets;
+    }
+  }
+
+  function pickPreset(id) {
+    setPresetId(id);
+    setPresetPinned(true);
+  }
+
+  // The model's opinion instead of keyword scores; still only applied while auto-detect is on.
+  async function suggestPresetWithModel() {
+    setClassifying(true);
+    try {
+      const result = await classifyPreset(script, 'llm');
+      setPresetSuggestion(result);
+      if (!presetPinned) setPresetId(result.presetId);
+    } catch (e) {
+      alert(errMessage(e, 'Style suggestion failed'));
+    } finally {
+      setClassifying(false);
+    }
+  }
+
+  async function refreshProjects() {
+    try {
+      setProjects(await listProjects());
+    } catch (e) {
+      console.warn('Project list failed', e);
+    }
+  }
+
+  function projectSnapshot() {
+    return {
+      name: projectName.trim() || analysis?.title || script.trim().split(/\s+/).slice(0, 6).join(' ') || 'Untitled project',
+      script,
+      presetId,
+      analysis,
+      settings: {
+        formatId,
+        extraFormats,
+        presetPinned,
+        voice,
+        cast,
+        language,
+        speakingRate,
+        pitch,
+        volumeGainDb,
+        paddingSec,
+        overflowMode,
+        splitMode,
+        imagePromptTemplate,
+        lexiconText,
+        motionIntensity,
+        transition,
+        burnCaptions,
+        burnOnScreenText,
+        // An uploaded music file lives only in the browser, so it isn't restored.
+        music: { source: musicSource === 'upload' ? 'none' : musicSource, track: musicTrack, volume: musicVolume, ducking: musicDucking }
+      }
+    };
+  }
+
+  // Saves run one at a time so the first autosave's create can't race a second one.
+  function autosave() {
+    const snapshot = projectSnapshot();
+    saveQueueRef.current = saveQueueRef.current.then(async () => {
+      try {
+        const packed = await packProject(snapshot);
+        const json = JSON.stringify(packed.fields);
+        if (projectIdRef.current && json === lastSavedRef.current) return;
+        setSaveState('saving');
+        if (!projectIdRef.current) {
+          const created = await createProject({ name: snapshot.name });
+          projectIdRef.current = created.id;
+          storedAssetsRef.current = new Set();
+          setProjectId(created.id);
+        }
+        await saveProject(projectIdRef.current, packed, storedAssetsRef.current);
+        lastSavedRef.current = json;
+        setSaveState('saved');
+        refreshProjects();
+      } catch (e) {
+        console.warn('Autosave failed', e);
+        setSaveState('error');
+      }
+    });
+  }
+
+  // Puts a saved project (or an imported bundle, id null) into the studio.
+  function applyProject(project) {
+    const settings = project.settings || {};
+    restoringRef.current = true;
+    projectIdRef.current = project.id || null;
+    storedAssetsRef.current = new Set(project.assets || []);
+    lastSavedRef.current = null;
+    setProjectId(project.id || null);
+    setProjectName(project.name || '');
+    setScript(project.script || '');
+    if (project.presetId) setPresetId(project.presetId);
+    setAnalysis(project.analysis && { ...project.analysis, scenes: normalizeScenes(project.analysis.scenes || [], timingRuleSeconds) });
+    if (settings.formatId) setFormatId(settings.formatId);
+    if (settings.extraFormats) setExtraFormats(settings.extraFormats);
+    if (settings.voice) setVoice(settings.voice);
+    setCast(settings.cast || {});
+    // Projects saved before these controls existed take them from their preset.
+    const preset = presets.find(p => p.id === project.presetId) || activePreset;
+    setLanguage(settings.language || voiceLanguage(settings.voice) || 'en-US');
+    setSpeakingRate(settings.speakingRate ?? preset.speakingRate ?? 1.0);
+    setPitch(settings.pitch ?? preset.pitch ?? 0);
+    setVolumeGainDb(settings.volumeGainDb ?? preset.volumeGainDb ?? 0);
+    if (settings.paddingSec != null) setPaddingSec(settings.paddingSec);
+    if (settings.overflowMode) setOverflowMode(settings.overflowMode);
+    setSplitMode(settings.splitMode === 'local' ? 'local' : 'llm');
+    setImagePromptTemplate(settings.imagePromptTemplate || '');
+    setLexiconText(settings.lexiconText || '');
+    if (settings.motionIntensity != null) setMotionIntensity(settings.motionIntensity);
+    if (settings.transition) setTransition(settings.transition);
+    setBurnCaptions(!!settings.burnCaptions);
+    setBurnOnScreenText(!!settings.burnOnScreenText);
+    if (settings.music) {
+      setMusicSource(settings.music.source);
+      setMusicTrack(settings.music.track || '');
+      setMusicVolume(settings.music.volume);
+      setMusicDucking(settings.music.ducking);
+      setMusicFile(null);
+    }
+    // Projects saved before pinning existed keep the preset they were saved with.
+    setPresetPinned(settings.presetPinned ?? !!project.presetId);
+    setPresetSuggestion(null);
+    setRetimeNote('');
+    setAnalyzeReport(null);
+    setImportReport(null);
+    setVariants(project.variants || []);
+    setLocalization(project.localization || null);
+    setLocalizeRun(null);
+    setSaveState(project.id ? 'saved' : '');
+    setRestoreRev(r => r + 1);
+  }
+
+  async function openProject(id) {
+    try {
+      await saveQueueRef.current;
+      const { project, missing } = await loadProject(id);
+      applyProject(project);
+      if (missing.length) alert(`Some project files are missing and were skipped: ${missing.join(', ')}`);
+    } catch (e) {
+      alert(errMessage(e, 'Could not open project'));
+    }
+  }
+
+  // Opens a creator-station-assets.zip as a new project; problems are listed, not fatal.
+  async function onImportZip(file) {
+    if (!file) return;
+    try {
+      await saveQueueRef.current;
+      const { script: importedScript, analysis: importedAnalysis, studio, issues } = await importAssetsZip(file);
+      applyProject({
+        id: null,
+        name: studio?.name || file.name.replace(/\.zip$/i, ''),
+        script: importedScript,
+        presetId: studio?.presetId,
+        analysis: importedAnalysis,
+        settings: studio?.settings
+      });
+      setImportReport({ fileName: file.name, issues });
+    } catch (e) {
+      alert(errMessage(e, 'Import failed'));
+    }
+  }
+
+  async function newProject() {
+    await saveQueueRef.current;
+    projectIdRef.current = null;
+    storedAssetsRef.current = new Set();
+    lastSavedRef.current = null;
+    setProjectId(null);
+    setProjectName('');
+    setScript('');
+    setAnalysis(null);
+    setAnalyzeReport(null);
+    setPresetPinned(false);
+    setPresetSuggestion(null);
+    setLexiconText('');
+    setCast({});
+    setRetimeNote('');
+    setVariants([]);
+    setLocalization(null);
+    setShowLocalize(false);
+    setLocalizeRun(null);
+    setSaveState('');
+  }
+
+  async function onDuplicateProject() {
+    if (!projectId) return;
+    try {
+      await saveQueueRef.current;
+      const copy = await duplicateProject(projectId);
+      await refreshProjects();
+      await openProject(copy.id);
+    } catch (e) {
+      alert(errMessage(e, 'Duplicate failed'));
+    }
+  }
+
+  // Translates the saved project on the server, then opens the new variant.
+  async function onLocalize(target) {
+    if (!projectId) return;
+    setLocalizeRun({ language: target, translated: 0, narrated: 0, failed: 0, total: analysis?.scenes.length || 0 });
+    try {
+      autosave();
+      await saveQueueRef.current;
+      const result = await localizeProject(projectId, { language: target }, (msg) => {
+        setLocalizeRun(prev => {
+          if (msg.type === 'translated') return { ...prev, translated: msg.done };
+          if (msg.type === 'scene') return { ...prev, [msg.status === 'done' ? 'narrated' : 'failed']: prev[msg.status === 'done' ? 'narrated' : 'failed'] + 1 };
+          if (msg.type === 'start') return { ...prev, total: msg.total, voice: msg.voice };
+          return prev;
+        });
+      });
+      await refreshProjects();
+      await openProject(result.project.id);
+      if (result.failed) alert(`${result.failed} scene(s) have no narration yet; generate them under Step 3 → Voice.`);
+    } catch (e) {
+      setLocalizeRun(prev => ({ ...prev, error: errMessage(e, 'Localization failed') }));
+    }
+  }
+
+  async function onDeleteProject() {
+    if (!projectId || !confirm(`Delete project "${projectName || 'Untitled project'}" and its images and audio?`)) return;
+    try {
+      await saveQueueRef.current;
+      await deleteProject(projectId);
+      await newProject();
+      await refreshProjects();
+    } catch (e) {
+      alert(errMessage(e, 'Delete failed'));
+    }
+  }
+
+  const imageOpts = { suffix: activePreset.suffix || '', negativePrompt: activePreset.negativePrompt || '', aspect: format.aspect };
+  const projectLexicon = parseLexicon(lexiconText);
+  // Speakers the analysis found, plus any still in the cast from an earlier one.
+  const speakers = useMemo(() => [...new Set([...(analysis?.speakers || []), ...Object.keys(cast)])], [analysis?.speakers, cast]);
+  const audioOpts = {
+    voice,
+    speakers,
+    cast,
+    languageCode: language,
+    speakingRate,
+    pitch,
+    volumeGainDb,
+    lexicon: mergeLexicons(activePreset.lexicon, projectLexicon.entries)
+  };
+  // Latest analysis for async per-scene work that finishes after further edits.
+  const analysisRef = useRef(analysis);
+  analysisRef.current = analysis;
+
+  const [usage, setUsage] = useState(null); // /api/usage report for the open project
+
+  // Provider calls made from here on are billed to the open project.
+  useEffect(() => { setUsageProject(projectId); }, [projectId]);
+
+  // Metered spend changes whenever scenes get new media or a new analysis.
+  useEffect(() => {
+    const timer = setTimeout(refreshUsage, 1000);
+    return () => clearTimeout(timer);
+  }, [projectId, analysis]);
+
+  async function refreshUsage() {
+    try {
+      setUsage(await getUsage(projectIdRef.current));
+    } catch (e) {
+      console.warn('Usage report failed', e);
+    }
+  }
+
+  function clearBatch() {
+    batchRef.current = null;
+    setBatch(null);
+  }
+
+  // A batch belongs to the scenes it ran on.
+  useEffect(clearBatch, [projectId]);
 
   async function onAnalyze() {
     setLoadingAnalyze(true);
+    clearBatch();
     setAnalysis(null);
+    setAnalyzeReport(null);
+    setAnalyzeProgress(null);
+    // Initialize asset fields. Speaker turns are read from the narration when needed, so edits count.
+    const withAssets = (scenes) => normalizeScenes((scenes || []).map(({ lines, ...s }) => ({
+      ...s,
+      imageBase64: '',
+      audioBase64: '',
+      imagePromptFinal: ''
+    })), timingRuleSeconds);
     try {
-      const res = await axios.post('/api/analyze-script', {
+      const { data, report } = await analyzeScriptStream({
         script,
         styleName: activePreset.name,
         timingRuleSeconds,
-        visualPromptSuffix: activePreset.suffix
+        visualPromptSuffix: activePreset.suffix,
+        mode: splitMode,
+        voice: audioOpts.voice,
+        speakingRate: audioOpts.speakingRate,
+        paddingSec,
+        imagePromptTemplate
+      }, (chunk) => {
+        setAnalyzeProgress({ done: chunk.index + 1, total: chunk.total });
+        if (chunk.total > 1) {
+          setAnalysis(prev => ({
+            title: chunk.title,
+            summary: '',
+            scenes: withAssets([...(prev?.scenes || []), ...chunk.scenes])
+          }));
+        }
       });
-      if (!res.data.ok) throw new Error(res.data.error || 'Analyze failed');
-      const data = res.data.data;
-      // Initialize asset fields
-      data.scenes = (data.scenes || []).map(s => ({
-        ...s,
-        imageBase64: '',
-        audioBase64: '',
-        imagePromptFinal: ''
-      }));
-      setAnalysis(data);
+      setAnalyzeReport(report || null);
+      setAnalysis({ ...data, scenes: withAssets(data.scenes) });
     } catch (e) {
-      alert(e.message || 'Analyze failed');
+      alert(errMessage(e, 'Analyze failed'));
     } finally {
       setLoadingAnalyze(false);
+      setAnalyzeProgress(null);
     }
   }
 
+  // Image fields for one scene; throws when the provider refuses. Unchanged requests come from the
+  // server's media cache unless bypassCache is set.
+  async function sceneImage(s, { bypassCache = false } = {}) {
+    const prompt = (s.image_prompt || '').trim();
+    const res = await axios.post('/api/generate-image', {
+      prompt,
+      suffix: imageOpts.suffix,
+      negativePrompt: imageOpts.negativePrompt,
+      aspect: imageOpts.aspect,
+      bypassCache
+    });
+    if (!res.data.ok) throw new Error(res.data.error || 'Image generation failed');
+    return { imagePromptFinal: prompt + ' ' + imageOpts.suffix, imageBase64: res.data.imageBase64, imageKey: imageKey(s, imageOpts) };
+  }
+
+  // A dialogue scene's turns for the cast to read (the speaker talking at the end of the previous
+  // scene carries over), or null for single-voice narration.
+  function dialogueFor(scenes) {
+    const all = sceneLines(scenes, speakers);
+    return new Map(scenes.map((s, i) => [s.uid, isDialogue(all[i]) ? all[i] : null]));
+  }
+
+  // Audio fields for one scene; throws when synthesis fails.
+  async function sceneAudio(s, { bypassCache = false } = {}) {
+    const lines = dialogueFor(analysisRef.current?.scenes || [s]).get(s.uid);
+    const res = await axios.post('/api/generate-speech', {
+      text: (s.narration || '').trim(),
+      ...(lines ? { lines, cast: audioOpts.cast } : {}),
+      voice: audioOpts.voice,
+      languageCode: audioOpts.languageCode,
+      speakingRate: audioOpts.speakingRate,
+      pitch: audioOpts.pitch,
+      volumeGainDb: audioOpts.volumeGainDb,
+      lexicon: audioOpts.lexicon,
+      bypassCache
+    });
+    if (!res.data.ok) throw new Error(res.data.error || 'Speech generation failed');
+    return { audioBase64: res.data.audioBase64, audioSec: res.data.durationSec, audioKey: audioKey(s, audioOpts), needs_audio: false };
+  }
+
+  // Runs a server-side batch for every scene that has a prompt (images) or narration (speech).
+  // Results land in `updated` (and on screen) as they stream in; the status grid follows each
+  // scene. If the previous batch of this kind didn't finish, its id is sent so it resumes.
+  async function runSceneBatch(kind, updated, body, wanted, toFields) {
+    const previous = batchRef.current;
+    const resumeId = previous?.kind === kind && !previous.complete ? previous.batchId : undefined;
+    const track = (patch) => {
+      batchRef.current = { ...batchRef.current, ...patch };
+      setBatch(batchRef.current);
+    };
+    const scenes = updated.scenes.filter(wanted).map(s => ({ id: s.uid, ...toFields.request(s) }));
+    batchRef.current = { kind, batchId: resumeId, complete: false, statuses: Object.fromEntries(scenes.map(s => [s.id, { status: 'pending' }])) };
+    setBatch(batchRef.current);
+
+    const summary = await runBatch(kind, { ...body, batchId: resumeId, scenes }, {
+      onStart: ({ batchId }) => track({ batchId }),
+      onScene: ({ id, status, retries, error, resumed, cache, ...media }) => {
+        track({ statuses: { ...batchRef.current.statuses, [id]: { status, retries, error, cached: resumed || cache?.hit } } });
+        const i = updated.scenes.findIndex(s => s.uid === id);
+        if (i < 0 || (status !== 'done' && status !== 'failed')) return;
+        const s = updated.scenes[i];
+        updated.scenes[i] = { ...s, ...(status === 'done' ? toFields.done(s, media) : toFields.failed(s)) };
+        setAnalysis({ ...updated, scenes: [...updated.scenes] });
+      }
+    });
+    track({ complete: !summary.failed && !summary.pending, summary });
+    return summary;
+  }
+
+  // Scenes the last batch of this kind left unfinished (0 when it completed or there is none).
+  function batchLeft(kind) {
+    if (batch?.kind !== kind || batch.complete) return 0;
+    return Object.values(batch.statuses).filter(st => st.status !== 'done').length;
+  }
+
+  function batchNote(summary, what) {
+    const parts = [];
+    if (summary.failed) parts.push(`${summary.failed} ${what} failed`);
+    if (summary.pending) parts.push(`${summary.pending} not started`);
+    if (!parts.length) return '';
+    return `${parts.join(', ')}.${summary.stopped ? ` ${summary.stopped}` : ''} Generate again to retry just those scenes.`;
+  }
+
   async function generateAllImages() {
     if (!analysis) return;
     setGenBusy(true);
     try {
       const updated = { ...analysis, scenes: [...analysis.scenes] };
-      for (let i = 0; i < updated.scenes.length; i++) {
-        const s = updated.scenes[i];
-        const prompt = (s.image_prompt || '').trim();
-        if (!prompt) continue;
-        const suffix = activePreset.suffix || '';
-        const res = await axios.post('/api/generate-image', {
-          prompt,
-          suffix,
-          aspect: '16:9'
-        });
-        if (!res.data.ok) {
-          console.warn('Image error', res.data);
-          s.imagePromptFinal = prompt + ' ' + suffix;
-          s.imageBase64 = '';
-        } else {
-          s.imagePromptFinal = prompt + ' ' + suffix;
-          s.imageBase64 = res.data.imageBase64;
-        }
-        setAnalysis({ ...updated });
-        await sleep(2000); // rate limit: 1 image / 2 seconds
-      }
+      const finalPrompt = s => (s.image_prompt || '').trim() + ' ' + imageOpts.suffix;
+      const summary = await runSceneBatch('image', updated, {
+        suffix: imageOpts.suffix,
+        negativePrompt: imageOpts.negativePrompt,
+        aspect: imageOpts.aspect
+      }, s => (s.image_prompt || '').trim(), {
+        request: s => ({ prompt: (s.image_prompt || '').trim() }),
+        done: (s, media) => ({ imagePromptFinal: finalPrompt(s), imageBase64: media.imageBase64, imageKey: imageKey(s, imageOpts) }),
+        failed: s => ({ imagePromptFinal: finalPrompt(s), imageBase64: '', imageKey: undefined })
+      });
+      const note = batchNote(summary, 'image(s)');
+      if (note) alert(note);
     } catch (e) {
-      alert(e.message || 'Image generation failed');
+      alert(errMessage(e, 'Image generation failed'));
     } finally {
       setGenBusy(false);
       setTab('images');
@@ -129,27 +643,152 @@ export default function App() {
     setGenBusy(true);
     try {
       const updated = { ...analysis, scenes: [...analysis.scenes] };
-      for (let i = 0; i < updated.scenes.length; i++) {
-        const s = updated.scenes[i];
-        const text = (s.narration || '').trim();
-        if (!text) continue;
-        const res = await axios.post('/api/generate-speech', {
-          text,
-          voice,
-          speakingRate: presetId === 'productivity-sketch' ? 1.15 : 1.0
-        });
-        if (res.data.ok) s.audioBase64 = res.data.audioBase64;
-        setAnalysis({ ...updated });
-        await sleep(250);
-      }
+      const dialogue = dialogueFor(updated.scenes);
+      const summary = await runSceneBatch('speech', updated, {
+        voice: audioOpts.voice,
+        cast: audioOpts.cast,
+        languageCode: audioOpts.languageCode,
+        speakingRate: audioOpts.speakingRate,
+        pitch: audioOpts.pitch,
+        volumeGainDb: audioOpts.volumeGainDb,
+        lexicon: audioOpts.lexicon
+      }, s => (s.narration || '').trim(), {
+        request: s => ({ text: (s.narration || '').trim(), ...(dialogue.get(s.uid) ? { lines: dialogue.get(s.uid) } : {}) }),
+        done: (s, media) => ({ audioBase64: media.audioBase64, audioSec: media.durationSec, audioKey: audioKey(s, audioOpts), needs_audio: false }),
+        failed: () => ({})
+      });
+      setAnalysis(await retimeFromAudio(updated));
+      const note = batchNote(summary, 'narration clip(s)');
+      if (note) alert(note);
     } catch (e) {
-      alert(e.message || 'Audio generation failed');
+      alert(errMessage(e, 'Audio generation failed'));
     } finally {
       setGenBusy(false);
       setTab('voice');
     }
   }
 
+  // Scene durations from the measured narration clips (+ padding); over-long scenes are split or flagged.
+  async function retimeFromAudio(current) {
+    const res = await axios.post('/api/retime-scenes', {
+      timingRuleSeconds,
+      paddingSec,
+      overflow: overflowMode,
+      speakers,
+      scenes: current.scenes.map(s => ({
+        scene_id: s.scene_id,
+        duration_sec: Number(s.duration_sec),
+        narration: s.narration || '',
+        audio_sec: s.audioBase64 ? (s.audioSec ?? null) : null
+      }))
+    });
+    const byId = new Map(current.scenes.map(s => [s.scene_id, s]));
+    const scenes = res.data.scenes.map(({ source_scene_id, audio_sec, ...r }) => {
+      const merged = { ...byId.get(source_scene_id), ...r };
+      if (!r.timing_overflow) delete merged.timing_overflow;
+      return r.needs_audio ? { ...merged, audioBase64: '', audioSec: null } : merged;
+    });
+    const counts = res.data.changes.reduce((acc, c) => ({ ...acc, [c.action]: (acc[c.action] || 0) + 1 }), {});
+    setRetimeNote(
+      res.data.changes.length
+        ? Object.entries(counts).map(([action, n]) => `${n} ${action}`).join(', ')
+        : 'Durations already match the audio.'
+    );
+    return { ...current, scenes: normalizeScenes(scenes, timingRuleSeconds) };
+  }
+
+  async function onRetime() {
+    if (!analysis) return;
+    setGenBusy(true);
+    try {
+      setAnalysis(await retimeFromAudio(analysis));
+    } catch (e) {
+      alert(errMessage(e, 'Re-timing failed'));
+    } finally {
+      setGenBusy(false);
+    }
+  }
+
+  // By uid, so results of slow requests land on the right scene after reorders.
+  function patchScene(uid, patch) {
+    setAnalysis(prev => ({
+      ...prev,
+      scenes: prev.scenes.map(s => (s.uid === uid ? { ...s, ...patch } : s))
+    }));
+  }
+
+  function setSceneField(index, field, value) {
+    patchScene(analysis.scenes[index].uid, { [field]: value });
+  }
+
+  // Structural edits (split/merge/insert/delete/reorder): ids renumber, timing is re-checked.
+  function editScenes(op) {
+    setAnalysis(prev => ({ ...prev, scenes: normalizeScenes(op(prev.scenes), timingRuleSeconds) }));
+  }
+
+  function onSplitScene(index, at) {
+    const text = analysis.scenes[index].narration || '';
+    if (!text.slice(0, at).trim() || !text.slice(at).trim()) {
+      return alert('Put the cursor inside the narration where the new scene should start.');
+    }
+    editScenes(scenes => splitScene(scenes, index, at));
+  }
+
+  function onDeleteScene(index) {
+    const s = analysis.scenes[index];
+    if ((s.imageBase64 || s.audioBase64) && !confirm(`Delete scene ${s.scene_id} and its image/audio?`)) return;
+    editScenes(scenes => deleteScene(scenes, index));
+  }
+
+  async function withSceneBusy(key, fn) {
+    setSceneBusy(b => ({ ...b, [key]: true }));
+    try {
+      await fn();
+    } finally {
+      setSceneBusy(({ [key]: _, ...rest }) => rest);
+    }
+  }
+
+  // One scene only: a bad image shouldn't cost a whole batch.
+  async function regenerateImage(uid) {
+    const s = analysisRef.current.scenes.find(x => x.uid === uid);
+    if (!(s.image_prompt || '').trim()) return alert('Add an image prompt first.');
+    await withSceneBusy(`image-${uid}`, async () => {
+      try {
+        // Regenerating an image that is already there asks for a new one, not the cached copy.
+        patchScene(uid, await sceneImage(s, { bypassCache: !!s.imageBase64 }));
+      } catch (e) {
+        alert(errMessage(e, 'Image generation failed'));
+      }
+    });
+  }
+
+  async function regenerateAudio(uid) {
+    const s = analysisRef.current.scenes.find(x => x.uid === uid);
+    if (!(s.narration || '').trim()) return alert('Add narration first.');
+    await withSceneBusy(`audio-${uid}`, async () => {
+      try {
+        const patch = await sceneAudio(s, { bypassCache: !!s.audioBase64 });
+        const current = analysisRef.current;
+        const updated = { ...current, scenes: current.scenes.map(x => (x.uid === uid ? { ...x, ...patch } : x)) };
+        setAnalysis(updated);
+        setAnalysis(await retimeFromAudio(updated));
+      } catch (e) {
+        alert(errMessage(e, 'Audio generation failed'));
+      }
+    });
+  }
+
+  // Same durations the render manifest uses, so the files line up with the MP4.
+  function timelineScenes() {
+    return (analysis?.scenes || []).map(s => ({
+      duration_sec: clamp(Number(s.duration_sec||timingRuleSeconds),1,60),
+      narration: s.narration || '',
+      on_screen_text: s.on_screen_text || '',
+      ...(s.transition ? { transition: { type: s.transition } } : {})
+    }));
+  }
+
   function sceneRows() {
     const scenes = analysis?.scenes || [];
     return scenes.map(s => ({
@@ -175,6 +814,18 @@ export default function App() {
     // script + analysis
     zip.file('script.txt', script || '');
     zip.file('analysis.json', JSON.stringify(analysis, null, 2));
+    // preset + studio settings, so importing the bundle restores more than the scenes
+    const { name, presetId: bundlePresetId, settings } = projectSnapshot();
+    zip.file('studio.json', JSON.stringify({ name, presetId: bundlePresetId, settings }, null, 2));
+
+    // subtitles
+    try {
+      const res = await axios.post('/api/subtitles', { transition, speakers, scenes: timelineScenes() });
+      zip.file('captions.srt', res.data.srt);
+      zip.file('captions.vtt', res.data.vtt);
+    } catch (e) {
+      console.warn('Subtitles skipped:', errMessage(e));
+    }
 
     // assets
     const scenes = analysis.scenes || [];
@@ -204,41 +855,73 @@ export default function App() {
 
     // Build multipart form
     const form = new FormData();
-    const manifest = { scenes: scenes.map(s => ({ duration_sec: clamp(Number(s.duration_sec||timingRuleSeconds),1,60), hasAudio: !!s.audioBase64 })) };
+    const timeline = timelineScenes();
+    const manifest = {
+      formats: [formatId, ...extraFormats.filter(f => f !== formatId)],
+      motion: { type: 'auto', intensity: motionIntensity },
+      transition,
+      captions: { burnCaptions, burnOnScreenText, speakers, accent: activePreset.accent, style: activePreset.captionStyle },
+      music: {
+        source: musicSource === 'upload' && !musicFile ? 'none' : musicSource,
+        track: musicTrack,
+        volume: musicVolume,
+        ducking: musicDucking
+      },
+      scenes: scenes.map((s, i) => ({
+        ...timeline[i],
+        hasAudio: !!s.audioBase64,
+        motion: { type: s.motion || 'auto' }
+      }))
+    };
     form.append('manifest', JSON.stringify(manifest));
 
     for (let i=0;i<scenes.length;i++){
       const s = scenes[i];
       const imgBlob = b64ToBlob(s.imageBase64, 'image/png');
       form.append('images', imgBlob, `scene_${String(i).padStart(3,'0')}.png`);
+      // Audio is matched to its scene by the index in the filename, so scenes without audio are fine.
       if (s.audioBase64) {
         const audBlob = b64ToBlob(s.audioBase64, 'audio/mpeg');
         form.append('audios', audBlob, `scene_${String(i).padStart(3,'0')}.mp3`);
-      } else {
-        // still keep order: add empty audio? backend tolerates missing but order can shift if some missing.
-        // We'll append a tiny silent mp3 is not trivial here; better: require audio for all scenes OR none.
       }
     }
 
+    if (musicSource === 'upload' && musicFile) form.append('music', musicFile, musicFile.name);
+
     try {
-      setGenBusy(true);
-      const res = await axios.post('/api/render-video', form, { responseType: 'blob' });
-      downloadBlob(res.data, 'creator-station.mp4');
+      const job = await submitRender(form);
+      setRenderJob(job);
+      stopWatchRef.current?.();
+      stopWatchRef.current = watchRender(job.id, async (update) => {
+        setRenderJob(update);
+        if (update.status === 'done') {
+          try {
+            for (const f of update.outputs || []) {
+              downloadBlob(await downloadRender(update.id, f), `creator-station-${f}.mp4`);
+            }
+          } catch (e) {
+            alert(errMessage(e, 'MP4 download failed'));
+          }
+        } else if (update.status === 'failed') {
+          alert(update.error || 'MP4 export failed.');
+        }
+      });
     } catch (e) {
-      alert('MP4 export failed. Tip: generate audio for ALL scenes before exporting.');
-    } finally {
-      setGenBusy(false);
+      alert(errMessage(e, 'MP4 export failed'));
     }
   }
 
-  function saveCustom() {
-    const obj = { name: customName.trim() || 'Custom Style', suffix: customSuffix.trim() || '' };
-    localStorage.setItem('creatorStationCustomStyle', JSON.stringify(obj));
-    setCustomStyle(obj);
-    setPresetId('custom');
-    setShowCustom(false);
+  async function cancelExport() {
+    if (!renderJob) return;
+    try {
+      await cancelRender(renderJob.id);
+    } catch (e) {
+      alert(errMessage(e, 'Cancel failed'));
+    }
   }
 
+  const rendering = renderJob && (renderJob.status === 'queued' || renderJob.status === 'running');
+
   const accent = activePreset.accent;
 
   return (
@@ -257,23 +940,123 @@ export default function App() {
           </div>
 
           <div className="flex items-center gap-3">
+            <select
+              className="rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-sm"
+              title="Output format: image aspect, preview and render size"
+              value={formatId}
+              onChange={(e)=>setFormatId(e.target.value)}
+            >
+              {FORMATS.map(f => <option key={f.id} value={f.id}>{f.name}</option>)}
+            </select>
+
             <select
               className="rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-sm"
               value={presetId}
-              onChange={(e)=>setPresetId(e.target.value)}
+              onChange={(e)=>pickPreset(e.target.value)}
             >
-              {PRESETS.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
-              {customStyle ? <option value="custom">{customStyle.name}</option> : <option value="custom">Custom Style</option>}
+              {!presets.length && <option value="">{DEFAULT_PRESET.name}</option>}
+              {presets.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
             </select>
 
             <button
               className="rounded-xl px-3 py-2 text-sm border border-white/10 bg-white/5 hover:bg-white/10"
-              onClick={()=>setShowCustom(true)}
+              onClick={()=>setShowPresets(true)}
             >
-              Manage Style
+              Manage Styles
             </button>
           </div>
         </div>
+        <div className="mx-auto max-w-6xl px-4 pb-3 flex flex-wrap items-center gap-2 text-sm">
+          <select
+            className="rounded-xl bg-white/5 border border-white/10 px-3 py-1.5"
+            value={projectId || ''}
+            onChange={(e)=>(e.target.value ? openProject(e.target.value) : newProject())}
+          >
+            <option value="">{projectId ? '+ New project' : 'New project (unsaved)'}</option>
+            {projects.map(p => <option key={p.id} value={p.id}>{p.name} · {p.scenes} scenes{p.language ? ` · ${p.language}` : ''}</option>)}
+          </select>
+          <input
+            className="rounded-xl bg-white/5 border border-white/10 px-3 py-1.5"
+            placeholder="Project name"
+            value={projectName}
+            onChange={(e)=>setProjectName(e.target.value)}
+          />
+          <button
+            className="rounded-xl px-3 py-1.5 border border-white/10 bg-white/5 hover:bg-white/10 disabled:opacity-40"
+            disabled={!projectId}
+            onClick={onDuplicateProject}
+          >
+            Duplicate
+          </button>
+          <button
+            className="rounded-xl px-3 py-1.5 border border-white/10 bg-white/5 hover:bg-white/10 disabled:opacity-40"
+            disabled={!projectId || !analysis}
+            onClick={()=>setShowLocalize(v => !v)}
+            title="Translate this project into another language"
+          >
+            Localize{variants.length ? ` (${variants.length})` : ''}
+          </button>
+          <button
+            className="rounded-xl px-3 py-1.5 border border-white/10 bg-white/5 hover:bg-white/10 disabled:opacity-40"
+            disabled={!projectId}
+            onClick={onDeleteProject}
+          >
+            Delete
+          </button>
+          <button
+            className="rounded-xl px-3 py-1.5 border border-white/10 bg-white/5 hover:bg-white/10"
+            onClick={()=>importInputRef.current?.click()}
+          >
+            Import ZIP
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".zip,application/zip"
+            className="hidden"
+            onChange={(e)=>{ onImportZip(e.target.files?.[0]); e.target.value = ''; }}
+          />
+          <span className="text-xs text-white/50">
+            {saveState === 'saving' && 'Saving…'}
+            {saveState === 'saved' && 'All changes saved'}
+            {saveState === 'error' && 'Autosave failed; it will retry on the next change'}
+          </span>
+        </div>
+        {showLocalize && projectId && (
+          <LocalizePanel
+            languages={voiceCatalog?.languages || []}
+            language={language}
+            localization={localization}
+            variants={variants}
+            projects={projects}
+            run={localizeRun}
+            onCreate={onLocalize}
+            onOpen={openProject}
+            onClose={()=>setShowLocalize(false)}
+          />
+        )}
+        {importReport && (
+          <div className="mx-auto max-w-6xl px-4 pb-3">
+            <div className="rounded-xl border border-white/10 bg-white/5 p-3 text-xs text-white/70">
+              <div className="flex items-center justify-between">
+                <span>
+                  Imported {importReport.fileName}
+                  {importReport.issues.length ? ` with ${importReport.issues.length} issue(s):` : ' with no issues.'}
+                </span>
+                <button className="text-white/50 hover:text-white" onClick={()=>setImportReport(null)}>Dismiss</button>
+              </div>
+              {importReport.issues.length > 0 && (
+                <ul className="mt-2 space-y-1 max-h-32 overflow-auto">
+                  {importReport.issues.map((issue, i) => (
+                    <li key={i} className="text-amber-300">
+                      {issue.scene_id != null ? `Scene ${issue.scene_id}: ` : ''}{issue.message}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        )}
       </header>
 
       <main className="mx-auto max-w-6xl px-4 py-8 grid grid-cols-1 lg:grid-cols-2 gap-6">
@@ -302,21 +1085,93 @@ export default function App() {
               className="rounded-2xl px-4 py-2 text-sm font-semibold"
               style={{ backgroundColor: accent, color: '#000' }}
             >
-              {loadingAnalyze ? 'Analyzing...' : 'ANALYZE & AUTO-SPLIT'}
+              {loadingAnalyze
+                ? (splitMode === 'local'
+                  ? 'Splitting...'
+                  : analyzeProgress?.total > 1 && analyzeProgress.done < analyzeProgress.total
+                    ? `Analyzing part ${analyzeProgress.done + 1}/${analyzeProgress.total}...`
+                    : 'Analyzing...')
+                : (splitMode === 'local' ? 'SPLIT LOCALLY' : 'ANALYZE & AUTO-SPLIT')}
             </button>
 
             <div className="text-xs text-white/60 flex items-center gap-2">
               <Split size={16} />
-              Auto-select style from keywords (focus/productivity/god)
+              {presetPinned ? (
+                <>
+                  Style picked manually.
+                  <button className="underline hover:text-white" onClick={()=>setPresetPinned(false)}>Auto-detect again</button>
+                </>
+              ) : 'Style is auto-selected from the script'}
+              {script.trim() && (
+                <button className="underline hover:text-white disabled:opacity-40" disabled={classifying} onClick={suggestPresetWithModel}>
+                  {classifying ? 'Asking AI...' : 'Ask AI'}
+                </button>
+              )}
             </div>
           </div>
 
+          {presetSuggestion && presetSuggestion.candidates.length > 0 && (
+            <PresetSuggestion result={presetSuggestion} activeId={activePreset.id} pinned={presetPinned} onPick={pickPreset} />
+          )}
+
+          <div className="mt-3 flex flex-wrap items-center gap-3 text-xs text-white/70">
+            <label className="flex items-center gap-2" title="Keep the narration exactly as written and cut it into timed scenes without calling the model">
+              <input type="checkbox" checked={splitMode === 'local'} onChange={(e)=>setSplitMode(e.target.checked ? 'local' : 'llm')} />
+              Narration is final: split locally (no AI)
+            </label>
+            {splitMode === 'local' && (
+              <input
+                className="flex-1 min-w-[16rem] rounded-xl bg-black/40 border border-white/10 px-3 py-1.5 outline-none focus:border-white/30"
+                placeholder="Image prompt template, e.g. Illustration of {keywords} (leave empty to write prompts yourself)"
+                value={imagePromptTemplate}
+                onChange={(e)=>setImagePromptTemplate(e.target.value)}
+              />
+            )}
+          </div>
+
           {analysis && (
             <div className="mt-4 text-sm text-white/80">
               <div className="font-semibold">{analysis.title || 'Untitled'}</div>
               <div className="text-xs text-white/60 mt-1">{analysis.summary || ''}</div>
               <div className="mt-3 text-xs text-white/60">
                 Scenes: <span className="text-white">{analysis.scenes?.length || 0}</span>
+                {analyzeReport?.chunks > 1 && ` · analyzed in ${analyzeReport.chunks} parts`}
+              </div>
+              {analyzeReport && (analyzeReport.repairs > 0 || analyzeReport.coerced.length > 0) && (
+                <details className="mt-2 text-xs text-amber-300">
+                  <summary className="cursor-pointer">
+                    {analyzeReport.repairs > 0 && `Model output repaired ${analyzeReport.repairs}×. `}
+                    {analyzeReport.coerced.length > 0 && `${analyzeReport.coerced.length} field(s) fixed automatically.`}
+                  </summary>
+                  <ul className="mt-1 space-y-0.5 text-white/60">
+                    {analyzeReport.coerced.map((c, i) => (
+                      <li key={i}>{c.path}: {c.action}{c.to !== undefined ? ` → ${JSON.stringify(c.to)}` : ''}</li>
+                    ))}
+                  </ul>
+                </details>
+              )}
+              <div className="mt-3 space-y-3 max-h-[32rem] overflow-auto pr-2">
+                {(analysis.scenes || []).map((s, i) => (
+                  <SceneCard
+                    key={s.uid}
+                    scene={s}
+                    stale={staleAssets(s, imageOpts, audioOpts)}
+                    busy={{ image: !!sceneBusy[`image-${s.uid}`], audio: !!sceneBusy[`audio-${s.uid}`] }}
+                    disabled={genBusy}
+                    timingRuleSeconds={timingRuleSeconds}
+                    onField={(field, value) => setSceneField(i, field, value)}
+                    onRegenerateImage={() => regenerateImage(s.uid)}
+                    onRegenerateAudio={() => regenerateAudio(s.uid)}
+                    onSplit={(at) => onSplitScene(i, at)}
+                    onMergeNext={i < analysis.scenes.length - 1 ? () => editScenes(scenes => mergeWithNext(scenes, i)) : null}
+                    onInsertBelow={() => editScenes(scenes => insertBlankScene(scenes, i + 1, Math.min(5, timingRuleSeconds)))}
+                    onDelete={analysis.scenes.length > 1 ? () => onDeleteScene(i) : null}
+                    dragging={dragIndex === i}
+                    onDragStart={() => setDragIndex(i)}
+                    onDragEnd={() => setDragIndex(null)}
+                    onDrop={() => { if (dragIndex != null) editScenes(scenes => moveScene(scenes, dragIndex, i)); setDragIndex(null); }}
+                  />
+                ))}
               </div>
             </div>
           )}
@@ -349,15 +1204,17 @@ export default function App() {
                 className="rounded-2xl px-4 py-2 text-sm font-semibold flex items-center gap-2"
                 style={{ backgroundColor: accent, color: '#000' }}
               >
-                <ImageIcon size={16} /> {genBusy ? 'Generating...' : 'Generate All Images'}
+                <ImageIcon size={16} />{' '}
+                {genBusy ? 'Generating...' : batchLeft('image') ? `Resume Images (${batchLeft('image')} left)` : 'Generate All Images'}
               </button>
+              {batch?.kind === 'image' && <BatchStatus batch={batch} scenes={analysis.scenes} accent={accent} />}
 
               <div className="mt-4 grid grid-cols-2 gap-3 max-h-80 overflow-auto pr-2">
-                {(analysis.scenes || []).map((s) => (
-                  <div key={s.scene_id} className="rounded-2xl border border-white/10 bg-black/30 p-2">
+                {(analysis.scenes || []).map((s, i) => (
+                  <div key={s.uid || s.scene_id} className="rounded-2xl border border-white/10 bg-black/30 p-2">
                     <div className="text-xs text-white/70 mb-2">Scene {s.scene_id}</div>
                     {s.imageBase64 ? (
-                      <img className="w-full rounded-xl kb" src={`data:image/png;base64,${s.imageBase64}`} />
+                      <ScenePreview scene={s} index={i} intensity={motionIntensity} format={format} />
                     ) : (
                       <div className="h-28 rounded-xl bg-white/5 border border-white/10 flex items-center justify-center text-xs text-white/50">
                         No image yet
@@ -371,32 +1228,190 @@ export default function App() {
 
           {analysis && tab === 'voice' && (
             <div>
-              <div className="flex items-center gap-3">
+              <div className="flex flex-wrap items-center gap-3">
+                <div className="text-sm">Language</div>
+                <select
+                  className="rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-sm"
+                  value={language}
+                  onChange={(e)=>setLanguage(e.target.value)}
+                >
+                  {[...new Set([language, ...(voiceCatalog?.languages || [])])].sort().map(code => (
+                    <option key={code} value={code}>{languageName(code)} · {code}</option>
+                  ))}
+                </select>
                 <div className="text-sm">Voice</div>
                 <select
                   className="rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-sm"
                   value={voice}
                   onChange={(e)=>setVoice(e.target.value)}
                 >
-                  {VOICES.map(v => <option key={v} value={v}>{v}</option>)}
+                  {language === 'en-US' && (
+                    <optgroup label="Studio voices">
+                      {VOICE_LABELS.map(v => <option key={v} value={v}>{v}</option>)}
+                    </optgroup>
+                  )}
+                  <optgroup label={languageName(language)}>
+                    {!VOICE_LABELS.includes(voice) && !voiceCatalog?.voices.some(v => v.name === voice) && <option value={voice}>{voice}</option>}
+                    {(voiceCatalog?.language === language ? voiceCatalog.voices : []).map(v => (
+                      <option key={v.name} value={v.name}>{v.name} ({v.gender})</option>
+                    ))}
+                  </optgroup>
                 </select>
+                <select
+                  className="rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-sm"
+                  value={voiceGender}
+                  onChange={(e)=>setVoiceGender(e.target.value)}
+                  title="Filter the voice list"
+                >
+                  <option value="">any gender</option>
+                  <option value="female">female</option>
+                  <option value="male">male</option>
+                  <option value="neutral">neutral</option>
+                </select>
+                {voiceCatalog?.source === 'builtin' && (
+                  <span className="text-xs text-white/40" title={voiceCatalog.error || ''}>built-in voice list</span>
+                )}
               </div>
 
+              <div className="mt-3 flex flex-wrap items-center gap-4 text-xs text-white/70">
+                <label className="flex items-center gap-2">
+                  Rate {speakingRate.toFixed(2)}×
+                  <input type="range" min={0.5} max={2} step={0.05} value={speakingRate} onChange={(e)=>setSpeakingRate(Number(e.target.value))} />
+                </label>
+                <label className="flex items-center gap-2">
+                  Pitch {pitch > 0 ? '+' : ''}{pitch} st
+                  <input type="range" min={-10} max={10} step={0.5} value={pitch} onChange={(e)=>setPitch(Number(e.target.value))} />
+                </label>
+                <label className="flex items-center gap-2">
+                  Volume {volumeGainDb > 0 ? '+' : ''}{volumeGainDb} dB
+                  <input type="range" min={-10} max={10} step={0.5} value={volumeGainDb} onChange={(e)=>setVolumeGainDb(Number(e.target.value))} />
+                </label>
+                {(speakingRate !== (activePreset.speakingRate || 1.0) || pitch !== (activePreset.pitch || 0) || volumeGainDb !== (activePreset.volumeGainDb || 0)) && (
+                  <button
+                    onClick={() => { setSpeakingRate(activePreset.speakingRate || 1.0); setPitch(activePreset.pitch || 0); setVolumeGainDb(activePreset.volumeGainDb || 0); }}
+                    className="rounded-lg px-2 py-1 border border-white/10 bg-white/5 hover:bg-white/10"
+                  >
+                    Reset to {activePreset.name}
+                  </button>
+                )}
+              </div>
+
+              {speakers.length > 0 && (
+                <div className="mt-3 rounded-xl border border-white/10 bg-white/5 p-3 text-xs text-white/70">
+                  <div className="text-white/50">
+                    Cast · lines starting with a speaker's name (<code>{speakers[0]}: ...</code>) are read in that speaker's voice.
+                  </div>
+                  <div className="mt-2 flex flex-wrap gap-3">
+                    {speakers.map(name => (
+                      <label key={name} className="flex items-center gap-2">
+                        {name}
+                        <select
+                          className="rounded-lg bg-white/5 border border-white/10 px-2 py-1"
+                          value={cast[name] || ''}
+                          onChange={(e) => {
+                            const picked = e.target.value;
+                            setCast(prev => {
+                              const { [name]: _, ...rest } = prev;
+                              return picked ? { ...rest, [name]: picked } : rest;
+                            });
+                          }}
+                        >
+                          <option value="">project voice ({voice})</option>
+                          {language === 'en-US' && VOICE_LABELS.map(v => <option key={v} value={v}>{v}</option>)}
+                          {cast[name] && !VOICE_LABELS.includes(cast[name]) && !voiceCatalog?.voices.some(v => v.name === cast[name]) && (
+                            <option value={cast[name]}>{cast[name]}</option>
+                          )}
+                          {(voiceCatalog?.language === language ? voiceCatalog.voices : []).map(v => (
+                            <option key={v.name} value={v.name}>{v.name} ({v.gender})</option>
+                          ))}
+                        </select>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               <button
                 onClick={generateAllAudio}
                 disabled={genBusy}
                 className="mt-3 rounded-2xl px-4 py-2 text-sm font-semibold flex items-center gap-2"
                 style={{ backgroundColor: accent, color: '#000' }}
               >
-                <AudioLines size={16} /> {genBusy ? 'Generating...' : 'Generate All Audio'}
+                <AudioLines size={16} />{' '}
+                {genBusy ? 'Generating...' : batchLeft('speech') ? `Resume Audio (${batchLeft('speech')} left)` : 'Generate All Audio'}
               </button>
+              {batch?.kind === 'speech' && <BatchStatus batch={batch} scenes={analysis.scenes} accent={accent} />}
+
+              <div className="mt-3 flex flex-wrap items-center gap-3 text-xs text-white/70">
+                <label className="flex items-center gap-2">
+                  Padding
+                  <input
+                    type="number" min="0" max="3" step="0.1"
+                    className="w-16 rounded-lg bg-white/5 border border-white/10 px-2 py-1"
+                    value={paddingSec}
+                    onChange={(e)=>setPaddingSec(clamp(Number(e.target.value) || 0, 0, 3))}
+                  />
+                  s
+                </label>
+                <label className="flex items-center gap-2">
+                  Too long for {timingRuleSeconds}s
+                  <select
+                    className="rounded-lg bg-white/5 border border-white/10 px-2 py-1"
+                    value={overflowMode}
+                    onChange={(e)=>setOverflowMode(e.target.value)}
+                  >
+                    <option value="split">split scene</option>
+                    <option value="flag">keep & flag</option>
+                  </select>
+                </label>
+                <button
+                  onClick={onRetime}
+                  disabled={genBusy}
+                  className="rounded-lg px-2 py-1 border border-white/10 bg-white/5 hover:bg-white/10"
+                >
+                  Re-time from audio
+                </button>
+                {retimeNote && <span className="text-white/50">{retimeNote}</span>}
+              </div>
+
+              <details className="mt-3 text-xs text-white/70">
+                <summary className="cursor-pointer">
+                  Pronunciation &amp; markup
+                  {audioOpts.lexicon.length ? ` · ${audioOpts.lexicon.length} pronunciation(s)` : ''}
+                </summary>
+                <div className="mt-2 space-y-2">
+                  <div className="text-white/50">
+                    In narration: <code>[pause 500ms]</code> for a silence, <code>*word*</code> or <code>**word**</code> for emphasis.
+                    Captions leave the markup out.
+                  </div>
+                  <textarea
+                    rows={4}
+                    className="w-full rounded-xl bg-white/5 border border-white/10 px-3 py-2 font-mono"
+                    value={lexiconText}
+                    onChange={(e)=>setLexiconText(e.target.value)}
+                    placeholder={'Nebuchadnezzar = /ˌnɛbjʊkədˈnɛzər/\nSQL = sequel\n"Job" = /dʒoʊb/   (quoted: exact case only)'}
+                  />
+                  {projectLexicon.errors.length > 0 && <div className="text-amber-400">{projectLexicon.errors.join('; ')}</div>}
+                  {activePreset.lexicon?.length > 0 && (
+                    <div className="text-white/50" title={lexiconToText(activePreset.lexicon)}>
+                      Plus {activePreset.lexicon.length} from the {activePreset.name} style (yours win for the same term).
+                    </div>
+                  )}
+                </div>
+              </details>
 
               <div className="mt-4 space-y-3 max-h-80 overflow-auto pr-2">
                 {(analysis.scenes || []).map((s) => (
-                  <div key={s.scene_id} className="rounded-2xl border border-white/10 bg-black/30 p-3">
+                  <div key={s.uid || s.scene_id} className="rounded-2xl border border-white/10 bg-black/30 p-3">
                     <div className="flex items-center justify-between">
                       <div className="text-xs text-white/70">Scene {s.scene_id}</div>
-                      {s.audioBase64 ? <span className="text-xs text-green-400">audio ready</span> : <span className="text-xs text-white/40">no audio</span>}
+                      <div className="flex items-center gap-2">
+                        {s.timing_overflow && <span className="text-xs text-amber-400">over {timingRuleSeconds}s</span>}
+                        {s.needs_audio && <span className="text-xs text-amber-400">split, needs audio</span>}
+                        {s.audioBase64
+                          ? <span className="text-xs text-green-400">audio ready{s.audioSec ? ` • ${s.audioSec.toFixed(1)}s → ${s.duration_sec}s` : ''}</span>
+                          : <span className="text-xs text-white/40">no audio</span>}
+                      </div>
                     </div>
                     <div className="text-sm mt-2 text-white/85">{s.narration}</div>
                     {s.audioBase64 && (
@@ -411,28 +1426,169 @@ export default function App() {
           {analysis && tab === 'video' && (
             <div>
               <div className="text-xs text-white/60">
-                Preview uses a Ken Burns CSS effect. MP4 export runs ffmpeg on the server.
+                Preview shows the same Ken Burns move the MP4 export renders with ffmpeg on the server.
               </div>
-              <div className="mt-3 rounded-2xl border border-white/10 bg-black/30 p-3">
-                <button
-                  onClick={exportMp4}
-                  disabled={genBusy}
-                  className="rounded-2xl px-4 py-2 text-sm font-semibold flex items-center gap-2"
-                  style={{ backgroundColor: accent, color: '#000' }}
+              <label className="mt-3 flex items-center gap-3 text-xs text-white/70">
+                Motion intensity
+                <input
+                  type="range" min="0" max="1" step="0.05"
+                  value={motionIntensity}
+                  onChange={(e)=>setMotionIntensity(Number(e.target.value))}
+                />
+                <span className="text-white/50">{Math.round(motionIntensity * 100)}%</span>
+              </label>
+              <div className="mt-2 flex flex-wrap items-center gap-3 text-xs text-white/70">
+                Transitions
+                <select
+                  className="rounded-lg bg-white/5 border border-white/10 px-2 py-1"
+                  value={transition.type}
+                  onChange={(e)=>setTransition(t => ({ ...t, type: e.target.value }))}
                 >
-                  <Film size={16} /> {genBusy ? 'Rendering...' : 'Export MP4'}
-                </button>
+                  {TRANSITION_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+                </select>
+                {transition.type !== 'cut' && (
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="number" min="0.1" max="3" step="0.1"
+                      className="w-16 rounded-lg bg-white/5 border border-white/10 px-2 py-1"
+                      value={transition.duration}
+                      onChange={(e)=>setTransition(t => ({ ...t, duration: clamp(Number(e.target.value) || 0.1, 0.1, 3) }))}
+                    />
+                    s
+                  </label>
+                )}
+              </div>
+              <div className="mt-2 flex flex-wrap gap-4 text-xs text-white/70">
+                <label className="flex items-center gap-2">
+                  <input type="checkbox" checked={burnCaptions} onChange={(e)=>setBurnCaptions(e.target.checked)} />
+                  Burn in captions
+                </label>
+                <label className="flex items-center gap-2">
+                  <input type="checkbox" checked={burnOnScreenText} onChange={(e)=>setBurnOnScreenText(e.target.checked)} />
+                  Burn in on-screen text
+                </label>
+              </div>
+              <div className="mt-3 rounded-2xl border border-white/10 bg-black/30 p-3 text-xs text-white/70 space-y-2">
+                <div className="flex flex-wrap items-center gap-2">
+                  Music bed
+                  <select
+                    className="rounded-lg bg-white/5 border border-white/10 px-2 py-1"
+                    value={musicSource === 'library' ? `lib:${musicTrack}` : musicSource}
+                    onChange={(e)=>{
+                      const v = e.target.value;
+                      if (v.startsWith('lib:')) { setMusicSource('library'); setMusicTrack(v.slice(4)); }
+                      else setMusicSource(v);
+                    }}
+                  >
+                    <option value="none">None</option>
+                    {musicTracks.map(t => <option key={t.track} value={`lib:${t.track}`}>{t.track}</option>)}
+                    <option value="upload">Upload a track…</option>
+                  </select>
+                  {musicSource === 'upload' && (
+                    <input type="file" accept="audio/*" onChange={(e)=>setMusicFile(e.target.files?.[0] || null)} />
+                  )}
+                </div>
+                {musicSource !== 'none' && (
+                  <div className="flex flex-wrap items-center gap-4">
+                    <label className="flex items-center gap-2">
+                      Volume
+                      <input type="range" min="0" max="1" step="0.01" value={musicVolume} onChange={(e)=>setMusicVolume(Number(e.target.value))} />
+                      <span className="text-white/50">{Math.round(musicVolume * 100)}%</span>
+                    </label>
+                    <label className="flex items-center gap-2">
+                      Ducking
+                      <input type="range" min="0" max="1" step="0.05" value={musicDucking} onChange={(e)=>setMusicDucking(Number(e.target.value))} />
+                      <span className="text-white/50">{Math.round(musicDucking * 100)}%</span>
+                    </label>
+                  </div>
+                )}
+              </div>
+              <div className="mt-3 rounded-2xl border border-white/10 bg-black/30 p-3">
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={exportMp4}
+                    disabled={genBusy || rendering}
+                    className="rounded-2xl px-4 py-2 text-sm font-semibold flex items-center gap-2"
+                    style={{ backgroundColor: accent, color: '#000' }}
+                  >
+                    <Film size={16} /> {rendering ? 'Rendering...' : 'Export MP4'}
+                  </button>
+                  {rendering && (
+                    <button
+                      onClick={cancelExport}
+                      className="rounded-2xl px-3 py-2 text-sm border border-white/10 bg-white/5 hover:bg-white/10"
+                    >
+                      Cancel
+                    </button>
+                  )}
+                </div>
+                <div className="mt-2 flex flex-wrap items-center gap-3 text-xs text-white/70">
+                  Also export
+                  {FORMATS.filter(f => f.id !== formatId).map(f => (
+                    <label key={f.id} className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={extraFormats.includes(f.id)}
+                        onChange={(e)=>setExtraFormats(list => e.target.checked ? [...list, f.id] : list.filter(x => x !== f.id))}
+                      />
+                      {f.name}
+                    </label>
+                  ))}
+                </div>
+                {renderJob && (
+                  <div className="mt-3">
+                    <div className="flex justify-between text-xs text-white/60 mb-1">
+                      <span>
+                        {renderJob.status === 'queued' && `Queued${renderJob.queuePosition ? ` (#${renderJob.queuePosition})` : ''}`}
+                        {renderJob.status === 'running' && (
+                          renderJob.progress?.stage === 'concat' ? 'Joining segments'
+                            : renderJob.progress?.stage === 'finish' ? 'Captions & music'
+                              : `Scene ${renderJob.progress?.segment || 0} / ${renderJob.progress?.segments || 0}`)}
+                        {renderJob.status === 'running' && renderJob.progress?.format && ` · ${getFormat(renderJob.progress.format).name}`}
+                        {renderJob.status === 'done' && 'Done'}
+                        {renderJob.status === 'failed' && `Failed: ${renderJob.error || 'unknown error'}`}
+                        {renderJob.status === 'cancelled' && 'Cancelled'}
+                      </span>
+                      <span>{renderJob.progress?.percent ?? 0}%</span>
+                    </div>
+                    <div className="h-2 rounded-full bg-white/10 overflow-hidden">
+                      <div className="h-full" style={{ width: `${renderJob.progress?.percent ?? 0}%`, backgroundColor: accent }} />
+                    </div>
+                  </div>
+                )}
                 <div className="text-xs text-white/60 mt-2">
                   Tip: Generate images + audio for all scenes before exporting.
                 </div>
               </div>
 
               <div className="mt-4 grid grid-cols-1 gap-3 max-h-80 overflow-auto pr-2">
-                {(analysis.scenes || []).map((s) => (
-                  <div key={s.scene_id} className="rounded-2xl border border-white/10 bg-black/30 p-2">
-                    <div className="text-xs text-white/70 mb-2">Scene {s.scene_id}</div>
+                {(analysis.scenes || []).map((s, i) => (
+                  <div key={s.uid || s.scene_id} className="rounded-2xl border border-white/10 bg-black/30 p-2">
+                    <div className="flex items-center justify-between mb-2">
+                      <div className="text-xs text-white/70">Scene {s.scene_id}</div>
+                      <div className="flex items-center gap-2">
+                        <select
+                          className="rounded-lg bg-white/5 border border-white/10 px-2 py-1 text-xs"
+                          value={s.motion || 'auto'}
+                          onChange={(e)=>setSceneField(i, 'motion', e.target.value)}
+                        >
+                          {MOTION_TYPES.map(m => <option key={m} value={m}>{m}</option>)}
+                        </select>
+                        {i > 0 && (
+                          <select
+                            className="rounded-lg bg-white/5 border border-white/10 px-2 py-1 text-xs"
+                            title="Transition into this scene"
+                            value={s.transition || ''}
+                            onChange={(e)=>setSceneField(i, 'transition', e.target.value || undefined)}
+                          >
+                            <option value="">in: default ({transition.type})</option>
+                            {TRANSITION_TYPES.map(t => <option key={t} value={t}>in: {t}</option>)}
+                          </select>
+                        )}
+                      </div>
+                    </div>
                     {s.imageBase64 ? (
-                      <img className="w-full rounded-xl kb" src={`data:image/png;base64,${s.imageBase64}`} />
+                      <ScenePreview scene={s} index={i} intensity={motionIntensity} format={format} />
                     ) : (
                       <div className="h-28 rounded-xl bg-white/5 border border-white/10 flex items-center justify-center text-xs text-white/50">
                         Generate images to preview
@@ -462,11 +1618,7 @@ export default function App() {
               <Download size={16} /> Download ZIP (assets + CSV)
             </button>
 
-            <div className="text-sm text-white/70">
-              <span className="text-white/60">Est. cost:</span>{' '}
-              <span className="font-semibold" style={{ color: accent }}>${estimatedCost.total.toFixed(3)}</span>
-              <span className="text-white/50"> (images ${estimatedCost.imageCost.toFixed(2)} + TTS ${estimatedCost.ttsCost.toFixed(3)}; {estimatedCost.chars} chars)</span>
-            </div>
+            {usage && <UsagePanel usage={usage} accent={accent} onRefresh={refreshUsage} />}
           </div>
 
           {analysis && (
@@ -483,7 +1635,7 @@ export default function App() {
                 </thead>
                 <tbody>
                   {(analysis.scenes || []).map(s => (
-                    <tr key={s.scene_id} className="border-t border-white/10">
+                    <tr key={s.uid || s.scene_id} className="border-t border-white/10">
                       <td className="p-2">#{s.scene_id}</td>
                       <td className="p-2">{s.duration_sec}</td>
                       <td className="p-2 text-white/80">{(s.narration||'').slice(0,80)}{(s.narration||'').length>80?'…':''}</td>
@@ -498,59 +1650,512 @@ export default function App() {
         </section>
       </main>
 
-      {/* Custom style modal */}
-      {showCustom && (
-        <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50">
-          <div className="w-full max-w-lg rounded-2xl border border-white/10 bg-black p-5">
-            <div className="text-lg font-semibold mb-2">Custom Style</div>
-            <div className="text-xs text-white/60 mb-4">
-              Add a style name + visual prompt suffix. Saved in your browser (localStorage).
-            </div>
+      {showPresets && (
+        <PresetLibrary
+          presets={presets}
+          activeId={activePreset.id}
+          accent={accent}
+          onReload={loadPresets}
+          onUse={(id) => { pickPreset(id); setShowPresets(false); }}
+          onClose={() => setShowPresets(false)}
+        />
+      )}
 
-            <label className="text-xs text-white/70">Style Name</label>
-            <input
-              className="w-full mt-1 mb-3 rounded-xl bg-white/5 border border-white/10 px-3 py-2 text-sm"
-              value={customName}
-              onChange={(e)=>setCustomName(e.target.value)}
-              placeholder="e.g., Neon Noir"
-            />
-
-            <label className="text-xs text-white/70">Visual Prompt Suffix</label>
-            <textarea
-              className="w-full mt-1 rounded-xl bg-white/5 border border-white/10 p-3 text-sm h-28"
-              value={customSuffix}
-              onChange={(e)=>setCustomSuffix(e.target.value)}
-              placeholder='e.g., ", cyberpunk ink sketch, rain, neon reflections..."'
-            />
-
-            <div className="mt-4 flex gap-2 justify-end">
-              <button
-                className="rounded-xl px-3 py-2 text-sm border border-white/10 bg-white/5 hover:bg-white/10"
-                onClick={()=>setShowCustom(false)}
-              >
-                Cancel
-              </button>
-              <button
-                className="rounded-xl px-3 py-2 text-sm font-semibold"
-                style={{ backgroundColor: accent, color: '#000' }}
-                onClick={saveCustom}
-              >
-                Save
-              </button>
-            </div>
+      <footer className="py-8 text-center text-xs text-white/40">
+        Built for Cloud Run • Vertex AI on the backend • Accent: <span style={{ color: accent }}>{accent}</span>
+      </footer>
+    </div>
+  );
+}
 
-            {customStyle && (
-              <div className="mt-3 text-xs text-white/60">
-                Current saved: <span className="text-white/80">{customStyle.name}</span>
-              </div>
+// Why auto-detect suggested a preset: the top candidates with confidence and the terms that counted.
+function PresetSuggestion({ result, activeId, pinned, onPick }) {
+  const [top, ...rest] = result.candidates;
+  const pct = c => `${Math.round(c.confidence * 100)}%`;
+  const terms = c => c.reasons.slice(0, 4).map(r => `${r.term}${r.count > 1 ? ` ×${r.count}` : ''}${r.points < 0 ? ' (against)' : ''}`).join(', ');
+  const matched = top.score > 0 || top.modelReason;
+  return (
+    <div className="mt-2 text-xs text-white/60 space-y-1">
+      <div>
+        {matched ? (
+          <>
+            {pinned ? 'Suggested' : 'Using'} <span className="text-white">{top.name}</span> ({pct(top)})
+            {top.modelReason ? ` — AI: ${top.modelReason}` : ` — ${terms(top)}`}
+            {pinned && top.presetId !== activeId && (
+              <button className="ml-2 underline hover:text-white" onClick={()=>onPick(top.presetId)}>Use it</button>
             )}
+          </>
+        ) : 'No style keywords in the script yet; using the first style.'}
+      </div>
+      {result.fallback && <div className="text-amber-300">{result.fallback}</div>}
+      {matched && rest.some(c => c.score > 0) && (
+        <div>
+          Also: {rest.filter(c => c.score > 0).slice(0, 3).map((c, i) => (
+            <span key={c.presetId}>
+              {i > 0 && ' · '}
+              <button className="underline hover:text-white" title={terms(c)} onClick={()=>onPick(c.presetId)}>{c.name}</button> {pct(c)}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Weighted terms are edited as "term:weight, term" (weight 1 when left out).
+const termsToText = (terms) => (terms || []).map(t => (t.weight && t.weight !== 1 ? `${t.term}:${t.weight}` : t.term)).join(', ');
+
+function textToTerms(text) {
+  return text.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const m = part.match(/^(.*?):\s*(\d+(?:\.\d+)?)$/);
+    return m ? { term: m[1].trim(), weight: Number(m[2]) } : { term: part, weight: 1 };
+  });
+}
+
+const usd = (n) => `$${n < 1 ? n.toFixed(3) : n.toFixed(2)}`;
+
+// Metered spend (server-side, failed calls included) for the open project and for today.
+const BATCH_STATUS_LABELS = {
+  pending: 'waiting',
+  running: 'generating',
+  retrying: 'retrying',
+  done: 'done',
+  failed: 'failed'
+};
+
+// One cell per scene in the current "Generate All" batch; hover a cell for its error.
+function BatchStatus({ batch, scenes, accent }) {
+  const sceneIds = new Map(scenes.map(s => [s.uid, s.scene_id]));
+  const entries = Object.entries(batch.statuses);
+  const count = (status) => entries.filter(([, st]) => st.status === status).length;
+  const cellStyle = (st) => {
+    if (st.status === 'done') return 'border-green-500/50 bg-green-500/15 text-green-300';
+    if (st.status === 'failed') return 'border-red-500/50 bg-red-500/15 text-red-300';
+    if (st.status === 'retrying') return 'border-amber-400/50 bg-amber-400/15 text-amber-300';
+    if (st.status === 'running') return 'border-white/40 bg-white/10 text-white animate-pulse';
+    return 'border-white/10 bg-white/5 text-white/40';
+  };
+
+  return (
+    <div className="mt-3">
+      <div className="text-xs text-white/60 mb-2">
+        {count('done')}/{entries.length} done
+        {count('failed') ? ` · ${count('failed')} failed` : ''}
+        {batch.summary?.stopped ? ` · stopped: ${batch.summary.stopped}` : ''}
+      </div>
+      <div className="flex flex-wrap gap-1">
+        {entries.map(([uid, st]) => (
+          <div
+            key={uid}
+            title={[
+              `Scene ${sceneIds.get(uid) ?? '?'}: ${BATCH_STATUS_LABELS[st.status] || st.status}`,
+              st.cached ? 'from cache' : '',
+              st.retries ? `${st.retries} retr${st.retries === 1 ? 'y' : 'ies'}` : '',
+              st.error || ''
+            ].filter(Boolean).join(' · ')}
+            className={`w-9 h-7 rounded-md border text-[10px] flex items-center justify-center ${cellStyle(st)}`}
+            style={st.status === 'running' ? { borderColor: accent } : undefined}
+          >
+            {sceneIds.get(uid) ?? '?'}{st.retries ? <sup>{st.retries}</sup> : null}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function UsagePanel({ usage, accent, onRefresh }) {
+  const { budgets, today, project } = usage;
+  const line = (t) => [
+    `${t.image.images} image${t.image.images === 1 ? '' : 's'} ${usd(t.image.cost)}`,
+    `${t.speech.chars.toLocaleString()} TTS chars ${usd(t.speech.cost)}`,
+    `${(t.text.inputTokens + t.text.outputTokens).toLocaleString()} tokens ${usd(t.text.cost)}`
+  ].join(' · ');
+  const failures = (t) => t.image.failures + t.speech.failures + t.text.failures;
+  // Cached images and clips are free; older usage files have no cache fields.
+  const savings = (t) => {
+    const hits = (t.image.cacheHits || 0) + (t.speech.cacheHits || 0);
+    return hits ? ` · ${hits} from cache, saved ${usd(t.saved || 0)}` : '';
+  };
+  const budgetNote = (used, limit) => (limit ? ` of ${usd(limit)}` + (used / limit >= 0.8 ? ' — nearly used up' : '') : '');
+
+  return (
+    <div className="text-xs text-white/60 space-y-1 text-right">
+      {project && (
+        <div>
+          <span className="text-white/70">Project spend:</span>{' '}
+          <span className="font-semibold text-sm" style={{ color: accent }}>{usd(project.total.cost)}</span>
+          {budgetNote(budgets.projectUsed, budgets.projectUsd)}
+          <div className="text-white/50">
+            {line(project.total)}{failures(project.total) ? ` · ${failures(project.total)} failed call(s)` : ''}{savings(project.total)}
           </div>
         </div>
       )}
+      <div>
+        <span className="text-white/70">Today, all projects:</span> {usd(today.cost)}{budgetNote(budgets.todayUsed, budgets.dailyUsd)}{savings(today)}
+        <button className="ml-2 underline hover:text-white" onClick={onRefresh}>Refresh</button>
+      </div>
+    </div>
+  );
+}
 
-      <footer className="py-8 text-center text-xs text-white/40">
-        Built for Cloud Run • Vertex AI on the backend • Accent: <span style={{ color: accent }}>{accent}</span>
-      </footer>
+// Create a localized variant, or (on a variant) the way back to its source.
+function LocalizePanel({ languages, language, localization, variants, projects, run, onCreate, onOpen, onClose }) {
+  const choices = languages.filter(code => code !== language);
+  const [target, setTarget] = useState('');
+  const busy = run && !run.error && run.narrated + run.failed < run.total;
+  const picked = choices.includes(target) ? target : choices.find(c => c.startsWith('es-')) || choices[0] || '';
+  const source = localization && projects.find(p => p.id === localization.sourceId);
+
+  return (
+    <div className="mx-auto max-w-6xl px-4 pb-3">
+      <div className="rounded-xl border border-white/10 bg-white/5 p-3 text-xs text-white/70 space-y-2">
+        <div className="flex items-center justify-between">
+          <span>
+            {localization
+              ? <>The {languageName(localization.language)} version of{' '}
+                {source
+                  ? <button className="underline hover:text-white" onClick={()=>onOpen(source.id)}>{source.name}</button>
+                  : 'a project that was deleted'}
+                . Translate the original for other languages.</>
+              : 'Translates narration and on-screen text, reuses the images, narrates in a voice for the language and re-times the scenes.'}
+          </span>
+          <button className="text-white/50 hover:text-white" onClick={onClose}>Close</button>
+        </div>
+        {!localization && (
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              className="rounded-lg bg-white/5 border border-white/10 px-2 py-1"
+              value={picked}
+              onChange={(e)=>setTarget(e.target.value)}
+              disabled={busy}
+            >
+              {choices.map(code => <option key={code} value={code}>{languageName(code)} · {code}</option>)}
+            </select>
+            <button
+              className="rounded-lg px-2 py-1 border border-white/10 bg-white/5 hover:bg-white/10 disabled:opacity-40"
+              disabled={busy || !picked}
+              onClick={()=>onCreate(picked)}
+            >
+              {busy ? 'Creating...' : 'Create localized variant'}
+            </button>
+            {run && (
+              <span className={run.error ? 'text-red-400' : 'text-white/50'}>
+                {run.error || `${languageName(run.language)}: translated ${run.translated}/${run.total}, narrated ${run.narrated}/${run.total}`
+                  + (run.failed ? `, ${run.failed} failed` : '') + (run.voice ? ` · ${run.voice}` : '')}
+              </span>
+            )}
+          </div>
+        )}
+        {variants.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2">
+            Variants:
+            {variants.map(v => (
+              <button key={v.id} className="rounded-lg px-2 py-1 border border-white/10 bg-white/5 hover:bg-white/10" onClick={()=>onOpen(v.id)}>
+                {languageName(v.language)} · {v.name}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function presetDraft(p) {
+  const { id, builtin, createdAt, updatedAt, keywords, negativeTerms, lexicon, ...fields } = { ...DEFAULT_PRESET, ...p };
+  return { ...fields, keywordsText: termsToText(keywords), negativeText: termsToText(negativeTerms), lexiconText: lexiconToText(lexicon) };
+}
+
+function draftFields({ keywordsText, negativeText, lexiconText, ...fields }) {
+  return { ...fields, keywords: textToTerms(keywordsText), negativeTerms: textToTerms(negativeText), lexicon: parseLexicon(lexiconText).entries };
+}
+
+// Style library: built-ins are read-only (clone to change), team presets are edited in place.
+// Export/import moves presets between team members as a JSON file.
+function PresetLibrary({ presets, activeId, accent, onReload, onUse, onClose }) {
+  const [selectedId, setSelectedId] = useState(activeId || presets[0]?.id || null);
+  const selected = presets.find(p => p.id === selectedId) || null;
+  const [draft, setDraft] = useState(() => (selected ? presetDraft(selected) : null));
+  const [busy, setBusy] = useState(false);
+  const [note, setNote] = useState('');
+  const importRef = useRef(null);
+
+  useEffect(() => {
+    setDraft(selected ? presetDraft(selected) : null);
+  }, [selectedId, selected?.updatedAt]);
+
+  const readOnly = !selected || selected.builtin;
+  const set = (key, value) => setDraft(d => ({ ...d, [key]: value }));
+  const setIn = (group, key, value) => setDraft(d => ({ ...d, [group]: { ...d[group], [key]: value } }));
+
+  async function run(fn) {
+    setBusy(true);
+    setNote('');
+    try {
+      await fn();
+    } catch (e) {
+      alert(errMessage(e, 'Preset update failed'));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const select = async (preset) => {
+    await onReload();
+    setSelectedId(preset.id);
+  };
+
+  const onNew = () => run(async () => select(await createPreset({ name: 'New style' })));
+  const onClone = () => run(async () => select(await clonePreset(selected.id)));
+  const onSave = () => run(async () => {
+    await updatePreset(selected.id, draftFields(draft));
+    await onReload();
+    setNote('Saved.');
+  });
+  const onDelete = () => {
+    if (!confirm(`Delete the style "${selected.name}"? Projects using it fall back to the first style.`)) return;
+    run(async () => {
+      await deletePreset(selected.id);
+      const list = await onReload();
+      setSelectedId(list[0]?.id || null);
+    });
+  };
+  const onExport = (ids) => run(async () => {
+    downloadBlob(await exportPresets(ids), ids.length === 1 ? `creator-station-preset-${ids[0]}.json` : 'creator-station-presets.json');
+  });
+  const onImport = (file) => run(async () => {
+    const { imported, skipped } = await importPresets(file);
+    await onReload();
+    if (imported[0]) setSelectedId(imported[0].id);
+    setNote(`Imported ${imported.length} style(s).` + (skipped.length ? ` Skipped ${skipped.length}: ${skipped.map(s => `${s.name || `#${s.index + 1}`} (${s.error})`).join('; ')}` : ''));
+  });
+
+  const field = 'w-full mt-1 rounded-lg bg-white/5 border border-white/10 px-2 py-1.5 text-sm outline-none focus:border-white/30 disabled:opacity-60';
+  const button = 'rounded-xl px-3 py-1.5 text-sm border border-white/10 bg-white/5 hover:bg-white/10 disabled:opacity-40';
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50">
+      <div className="w-full max-w-4xl max-h-[90vh] overflow-auto rounded-2xl border border-white/10 bg-black p-5">
+        <div className="flex items-center justify-between gap-3 mb-4">
+          <div>
+            <div className="text-lg font-semibold">Style Library</div>
+            <div className="text-xs text-white/60">Shared by everyone using this server. Built-in styles are read-only; clone one to change it.</div>
+          </div>
+          <button className={button} onClick={onClose}>Close</button>
+        </div>
+
+        <div className="grid md:grid-cols-[14rem_1fr] gap-4">
+          <div className="space-y-2">
+            <div className="space-y-1">
+              {presets.map(p => (
+                <button
+                  key={p.id}
+                  onClick={() => setSelectedId(p.id)}
+                  className={`w-full text-left rounded-xl px-3 py-2 text-sm border ${p.id === selectedId ? 'border-white/30 bg-white/10' : 'border-white/10 bg-white/5 hover:bg-white/10'}`}
+                >
+                  <span className="inline-block w-2.5 h-2.5 rounded-full mr-2" style={{ backgroundColor: p.accent }} />
+                  {p.name}
+                  {p.builtin && <span className="ml-2 text-[10px] uppercase text-white/40">built-in</span>}
+                  {p.id === activeId && <span className="ml-2 text-[10px] uppercase" style={{ color: accent }}>in use</span>}
+                </button>
+              ))}
+            </div>
+            <div className="flex flex-wrap gap-2 pt-2">
+              <button className={button} disabled={busy} onClick={onNew}>New</button>
+              <button className={button} disabled={busy} onClick={() => importRef.current?.click()}>Import…</button>
+              <button className={button} disabled={busy || !presets.some(p => !p.builtin)} onClick={() => onExport([])}>Export team styles</button>
+              <input
+                ref={importRef}
+                type="file"
+                accept="application/json,.json"
+                className="hidden"
+                onChange={(e) => { const f = e.target.files?.[0]; e.target.value = ''; if (f) onImport(f); }}
+              />
+            </div>
+            {note && <div className="text-xs text-white/70">{note}</div>}
+          </div>
+
+          {draft && (
+            <div>
+              <fieldset disabled={readOnly || busy} className="grid sm:grid-cols-2 gap-3 text-xs text-white/70">
+                <label>Name<input className={field} value={draft.name} onChange={(e)=>set('name', e.target.value)} /></label>
+                <label>Target<input className={field} value={draft.target} onChange={(e)=>set('target', e.target.value)} /></label>
+                <label className="sm:col-span-2">Visual prompt suffix
+                  <textarea className={field} rows={3} value={draft.suffix} onChange={(e)=>set('suffix', e.target.value)} placeholder='e.g. ", cyberpunk ink sketch, rain, neon reflections..."' />
+                </label>
+                <label className="sm:col-span-2">Negative prompt
+                  <textarea className={field} rows={2} value={draft.negativePrompt} onChange={(e)=>set('negativePrompt', e.target.value)} placeholder="e.g. text, watermark, photorealistic faces" />
+                </label>
+                <label>Max seconds per scene
+                  <input type="number" min={4} max={30} className={field} value={draft.timing} onChange={(e)=>set('timing', clamp(Math.round(Number(e.target.value) || 13), 4, 30))} />
+                </label>
+                <label>Accent
+                  <input type="color" className={`${field} h-9`} value={draft.accent} onChange={(e)=>set('accent', e.target.value.toUpperCase())} />
+                </label>
+                <label>Default voice (a studio voice or a name like en-GB-Neural2-B)
+                  <input className={field} list="preset-voices" value={draft.voiceDefault} onChange={(e)=>set('voiceDefault', e.target.value.trim())} />
+                  <datalist id="preset-voices">
+                    {VOICE_LABELS.map(v => <option key={v} value={v} />)}
+                  </datalist>
+                </label>
+                <label>Speaking rate ({draft.speakingRate.toFixed(2)}×)
+                  <input type="range" min={0.5} max={2} step={0.05} className="w-full mt-2" value={draft.speakingRate} onChange={(e)=>set('speakingRate', Number(e.target.value))} />
+                </label>
+                <label>Pitch ({draft.pitch > 0 ? '+' : ''}{draft.pitch} semitones)
+                  <input type="range" min={-10} max={10} step={0.5} className="w-full mt-2" value={draft.pitch} onChange={(e)=>set('pitch', Number(e.target.value))} />
+                </label>
+                <label>Narration volume ({draft.volumeGainDb > 0 ? '+' : ''}{draft.volumeGainDb} dB)
+                  <input type="range" min={-10} max={10} step={0.5} className="w-full mt-2" value={draft.volumeGainDb} onChange={(e)=>set('volumeGainDb', Number(e.target.value))} />
+                </label>
+                <label>Music volume ({Math.round(draft.music.volume * 100)}%)
+                  <input type="range" min={0} max={1} step={0.05} className="w-full mt-2" value={draft.music.volume} onChange={(e)=>setIn('music', 'volume', Number(e.target.value))} />
+                </label>
+                <label>Music ducking ({Math.round(draft.music.ducking * 100)}%)
+                  <input type="range" min={0} max={1} step={0.05} className="w-full mt-2" value={draft.music.ducking} onChange={(e)=>setIn('music', 'ducking', Number(e.target.value))} />
+                </label>
+                <label>Transition
+                  <select className={field} value={draft.transition.type} onChange={(e)=>setIn('transition', 'type', e.target.value)}>
+                    {TRANSITION_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+                  </select>
+                </label>
+                <label>Transition seconds
+                  <input type="number" min={0} max={3} step={0.1} className={field} value={draft.transition.duration} onChange={(e)=>setIn('transition', 'duration', clamp(Number(e.target.value) || 0, 0, 3))} />
+                </label>
+                <label>Caption position
+                  <select className={field} value={draft.captionStyle.position} onChange={(e)=>setIn('captionStyle', 'position', e.target.value)}>
+                    {['bottom', 'middle', 'top'].map(v => <option key={v} value={v}>{v}</option>)}
+                  </select>
+                </label>
+                <label>Caption size ({Math.round(draft.captionStyle.fontScale * 100)}%)
+                  <input type="range" min={0.5} max={2} step={0.05} className="w-full mt-2" value={draft.captionStyle.fontScale} onChange={(e)=>setIn('captionStyle', 'fontScale', Number(e.target.value))} />
+                </label>
+                <label>Caption text colour
+                  <input type="color" className={`${field} h-9`} value={draft.captionStyle.textColor} onChange={(e)=>setIn('captionStyle', 'textColor', e.target.value.toUpperCase())} />
+                </label>
+                <label className="flex items-center gap-2 mt-5">
+                  <input type="checkbox" checked={draft.captionStyle.box} onChange={(e)=>setIn('captionStyle', 'box', e.target.checked)} />
+                  Caption box (off: outlined text)
+                </label>
+                <label className="sm:col-span-2">Auto-detect keywords and phrases (comma-separated, optional :weight)
+                  <input className={field} value={draft.keywordsText} onChange={(e)=>set('keywordsText', e.target.value)} placeholder="e.g. stoic:3, marcus aurelius:2, discipline" />
+                </label>
+                <label className="sm:col-span-2">Negative terms (count against this style)
+                  <input className={field} value={draft.negativeText} onChange={(e)=>set('negativeText', e.target.value)} placeholder="e.g. bible:2, recipe" />
+                </label>
+                <label className="sm:col-span-2">Pronunciations (one per line: term = /ipa/ or term = spoken alias; "Quoted" = exact case)
+                  <textarea rows={3} className={`${field} font-mono`} value={draft.lexiconText} onChange={(e)=>set('lexiconText', e.target.value)} placeholder={'Melchizedek = /mɛlˈkɪzədɛk/'} />
+                </label>
+              </fieldset>
+
+              <div className="mt-4 flex flex-wrap gap-2 justify-end">
+                {!readOnly && <button className={button} disabled={busy} onClick={onDelete}>Delete</button>}
+                <button className={button} disabled={busy} onClick={() => onExport([selected.id])}>Export</button>
+                <button className={button} disabled={busy} onClick={onClone}>Clone</button>
+                {!readOnly && <button className={button} disabled={busy} onClick={onSave}>Save</button>}
+                <button
+                  className="rounded-xl px-3 py-1.5 text-sm font-semibold disabled:opacity-40"
+                  style={{ backgroundColor: selected.accent, color: '#000' }}
+                  disabled={busy}
+                  onClick={() => onUse(selected.id)}
+                >
+                  Use this style
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function SceneCard({
+  scene, stale, busy, disabled, timingRuleSeconds, onField, onRegenerateImage, onRegenerateAudio,
+  onSplit, onMergeNext, onInsertBelow, onDelete, dragging, onDragStart, onDragEnd, onDrop
+}) {
+  const narrationRef = useRef(null);
+  const field = 'w-full mt-1 rounded-lg bg-black/40 border border-white/10 px-2 py-1 text-sm outline-none focus:border-white/30';
+  const btn = 'rounded-lg px-2 py-1 text-xs border border-white/10 bg-white/5 hover:bg-white/10 disabled:opacity-40';
+  return (
+    <div
+      className={`rounded-2xl border border-white/10 bg-black/30 p-3 text-xs text-white/70 ${dragging ? 'opacity-40' : ''}`}
+      onDragOver={(e)=>e.preventDefault()}
+      onDrop={(e)=>{ e.preventDefault(); onDrop(); }}
+    >
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2">
+          <span
+            className="cursor-grab select-none text-white/40 hover:text-white"
+            title="Drag to reorder"
+            draggable
+            onDragStart={(e)=>{ e.dataTransfer.effectAllowed = 'move'; onDragStart(); }}
+            onDragEnd={onDragEnd}
+          >
+            ⠿
+          </span>
+          <span className="text-white/80">Scene {scene.scene_id}</span>
+          {stale.image && <span className="text-amber-400">image stale</span>}
+          {stale.audio && <span className="text-amber-400">audio stale</span>}
+          {Number(scene.duration_sec) > timingRuleSeconds && <span className="text-amber-400">over {timingRuleSeconds}s</span>}
+        </div>
+        <div className="flex items-center gap-2">
+          <button className={btn} disabled={disabled || busy.image} onClick={onRegenerateImage}>
+            {busy.image ? 'Generating…' : scene.imageBase64 ? 'Regenerate image' : 'Generate image'}
+          </button>
+          <button className={btn} disabled={disabled || busy.audio} onClick={onRegenerateAudio}>
+            {busy.audio ? 'Generating…' : scene.audioBase64 ? 'Regenerate audio' : 'Generate audio'}
+          </button>
+        </div>
+      </div>
+      <div className="mt-2 flex gap-3">
+        {scene.imageBase64 && (
+          <img className="h-16 w-16 shrink-0 rounded-lg object-cover" src={`data:image/png;base64,${scene.imageBase64}`} />
+        )}
+        <div className="flex-1">
+          <label className="block">
+            Narration
+            <textarea ref={narrationRef} className={field} rows={3} value={scene.narration || ''} onChange={(e)=>onField('narration', e.target.value)} />
+          </label>
+        </div>
+      </div>
+      <label className="mt-2 block">
+        On-screen text
+        <input className={field} value={scene.on_screen_text || ''} onChange={(e)=>onField('on_screen_text', e.target.value)} />
+      </label>
+      <label className="mt-2 block">
+        Image prompt
+        <textarea className={field} rows={2} value={scene.image_prompt || ''} onChange={(e)=>onField('image_prompt', e.target.value)} />
+      </label>
+      <label className="mt-2 flex items-center gap-2">
+        Duration
+        <input
+          type="number" min="1" max="60" step="0.5"
+          className="w-20 rounded-lg bg-black/40 border border-white/10 px-2 py-1"
+          value={scene.duration_sec}
+          onChange={(e)=>onField('duration_sec', clamp(Number(e.target.value) || 1, 1, 60))}
+        />
+        s
+      </label>
+      <div className="mt-2 flex flex-wrap gap-2">
+        <button className={btn} disabled={disabled} onClick={()=>onSplit(narrationRef.current?.selectionStart ?? 0)}>
+          Split at cursor
+        </button>
+        {onMergeNext && <button className={btn} disabled={disabled} onClick={onMergeNext}>Merge with next</button>}
+        <button className={btn} disabled={disabled} onClick={onInsertBelow}>Insert scene below</button>
+        {onDelete && <button className={btn} disabled={disabled} onClick={onDelete}>Delete</button>}
+      </div>
+    </div>
+  );
+}
+
+function ScenePreview({ scene, index, intensity, format }) {
+  const kb = kbProps(scene.motion, index, intensity, scene.duration_sec);
+  // Framed like the render (cover crop), capped at 20rem tall so vertical formats stay compact.
+  const frame = { aspectRatio: `${format.width} / ${format.height}`, maxWidth: `${(20 * format.width / format.height).toFixed(2)}rem` };
+  return (
+    <div className="mx-auto rounded-xl overflow-hidden" style={frame}>
+      <img className={`h-full w-full object-cover ${kb.className}`} style={kb.style} src={`data:image/png;base64,${scene.imageBase64}`} />
     </div>
   );
 }
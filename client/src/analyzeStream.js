@@ -0,0 +1,16 @@
+import { postNdjson } from './ndjson.js';
+
+// Streams /api/analyze-script ({ stream: true }): long scripts are planned part by part and each
+// part's scenes arrive as one NDJSON line, so the scene list can fill in while the rest is analyzed.
+
+/** Calls onChunk({ index, total, title, scenes }) per part; resolves to { data, report } when done. */
+export async function analyzeScriptStream(body, onChunk) {
+  let result = null;
+  await postNdjson('/api/analyze-script', { ...body, stream: true }, (msg) => {
+    if (msg.type === 'chunk') onChunk(msg);
+    else if (msg.type === 'done') result = { data: msg.data, report: msg.report };
+    else if (msg.type === 'error') throw new Error(msg.error || 'Analyze failed');
+  }, 'Analyze');
+  if (!result) throw new Error('Analysis ended before it finished.');
+  return result;
+}
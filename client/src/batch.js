@@ -0,0 +1,21 @@
+import { postNdjson } from './ndjson.js';
+
+// "Generate All" runs as one server-side batch (/api/batch/images, /api/batch/speech) whose
+// per-scene results stream back as NDJSON. Passing the previous batchId resumes a batch that
+// was cut short; scenes it already finished are sent again without being paid for twice.
+
+/**
+ * Calls onScene(line) for every { type: 'scene' } line and onStart({ batchId, total, resumed })
+ * once; resolves to the final { batchId, total, done, failed, pending, stopped? }.
+ */
+export async function runBatch(kind, body, { onStart, onScene } = {}) {
+  let summary = null;
+  await postNdjson(`/api/batch/${kind === 'image' ? 'images' : 'speech'}`, body, (msg) => {
+    if (msg.type === 'start') onStart?.(msg);
+    else if (msg.type === 'scene') onScene?.(msg);
+    else if (msg.type === 'done') summary = msg;
+    else if (msg.type === 'error') throw new Error(msg.error || 'Batch failed');
+  }, 'Batch');
+  if (!summary) throw new Error('The batch ended before it finished; generate again to resume it.');
+  return summary;
+}
@@ -0,0 +1,11 @@
+// Mirrors src/formats.js on the server: the output format drives image aspect, preview layout and render size.
+
+export const FORMATS = [
+  { id: 'landscape', name: 'Landscape 16:9', aspect: '16:9', width: 1280, height: 720 },
+  { id: 'shorts', name: 'Shorts 9:16', aspect: '9:16', width: 720, height: 1280 },
+  { id: 'square', name: 'Square 1:1', aspect: '1:1', width: 720, height: 720 }
+];
+
+export function getFormat(id) {
+  return FORMATS.find(f => f.id === id) || FORMATS[0];
+}
@@ -0,0 +1,159 @@
+import JSZip from 'jszip';
+import Papa from 'papaparse';
+
+// Reads a creator-station-assets.zip (see downloadZip in App.jsx) back into studio state.
+// Scene files are matched by scene id (images/scene_01.png, audio/scene_01.mp3). manifest.csv's
+// has_image/has_audio say what should be there; anything missing, unreadable or unmatched is
+// reported per scene instead of failing the import.
+
+const PNG_MAGIC = [0x89, 0x50, 0x4e, 0x47];
+
+function isPng(bytes) {
+  return PNG_MAGIC.every((b, i) => bytes[i] === b);
+}
+
+// ID3 tag or an MPEG audio frame sync
+function isMp3(bytes) {
+  return (bytes[0] === 0x49 && bytes[1] === 0x44 && bytes[2] === 0x33) || (bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0);
+}
+
+function bytesToB64(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+
+const fileKey = (id) => `scene_${String(id).padStart(2, '0')}`;
+
+/**
+ * Returns { script, analysis, studio, issues }. `studio` is studio.json ({ name, presetId, settings })
+ * when the bundle has one; `issues` is [{ scene_id, message }] with scene_id null for bundle-level notes.
+ * Throws only when the file can't be used at all.
+ */
+export async function importAssetsZip(file) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(file);
+  } catch {
+    throw new Error('That file is not a ZIP archive.');
+  }
+
+  // Bundles re-zipped from an extracted folder have everything under one top-level directory.
+  const anchor = Object.keys(zip.files).find(p => /(^|\/)(analysis\.json|manifest\.csv)$/.test(p));
+  if (!anchor) throw new Error('No analysis.json or manifest.csv in the ZIP; is it a Creator Station assets bundle?');
+  const root = anchor.slice(0, anchor.lastIndexOf('/') + 1);
+  const entry = (name) => zip.file(root + name);
+  const readText = async (name) => (entry(name) ? entry(name).async('string') : null);
+
+  const issues = [];
+  const note = (scene_id, message) => issues.push({ scene_id, message });
+
+  let analysis = null;
+  const analysisText = await readText('analysis.json');
+  if (analysisText != null) {
+    try {
+      analysis = JSON.parse(analysisText);
+    } catch {
+      note(null, 'analysis.json is not valid JSON; scenes were rebuilt from manifest.csv.');
+    }
+    if (analysis && !Array.isArray(analysis.scenes)) {
+      note(null, 'analysis.json has no scenes list; scenes were rebuilt from manifest.csv.');
+      analysis = null;
+    }
+  }
+
+  let rows = [];
+  const csvText = await readText('manifest.csv');
+  if (csvText != null) {
+    const parsed = Papa.parse(csvText.trim(), { header: true, skipEmptyLines: true });
+    rows = parsed.data;
+    if (parsed.errors.length) note(null, `manifest.csv: ${parsed.errors[0].message}`);
+  }
+  const rowById = new Map(rows.map(r => [String(r.scene_id), r]));
+
+  if (!analysis) {
+    if (!rows.length) throw new Error('The ZIP has no readable scenes (analysis.json and manifest.csv are missing or empty).');
+    analysis = {
+      scenes: rows.map(r => ({
+        scene_id: r.scene_id,
+        duration_sec: r.duration_sec,
+        narration: r.narration,
+        on_screen_text: r.on_screen_text,
+        image_prompt: r.image_prompt,
+        imagePromptFinal: r.image_prompt_final || undefined
+      }))
+    };
+  } else if (rows.length && rows.length !== analysis.scenes.length) {
+    note(null, `manifest.csv lists ${rows.length} scenes but analysis.json has ${analysis.scenes.length}; using analysis.json.`);
+  }
+
+  const matched = new Set();
+  const scenes = [];
+  for (const [i, raw] of analysis.scenes.entries()) {
+    const id = raw.scene_id ?? i + 1;
+    const row = rowById.get(String(id));
+    const scene = { ...raw, scene_id: id };
+
+    for (const field of ['narration', 'on_screen_text', 'image_prompt']) {
+      if (scene[field] != null && typeof scene[field] !== 'string') scene[field] = String(scene[field]);
+    }
+    const dur = Number(scene.duration_sec);
+    if (!Number.isFinite(dur) || dur <= 0) {
+      note(id, `duration_sec "${scene.duration_sec ?? ''}" is not a positive number; set to 5s.`);
+      scene.duration_sec = 5;
+    } else {
+      scene.duration_sec = dur;
+    }
+
+    // Files in images/ and audio/ win over base64 embedded in analysis.json.
+    for (const kind of [
+      { dir: 'images', ext: 'png', field: 'imageBase64', flag: 'has_image', label: 'image', valid: isPng },
+      { dir: 'audio', ext: 'mp3', field: 'audioBase64', flag: 'has_audio', label: 'audio', valid: isMp3 }
+    ]) {
+      const path = `${kind.dir}/${fileKey(id)}.${kind.ext}`;
+      const f = entry(path);
+      if (f) {
+        matched.add(root + path);
+        const bytes = await f.async('uint8array');
+        if (kind.valid(bytes)) {
+          scene[kind.field] = bytesToB64(bytes);
+          continue;
+        }
+        note(id, `${path} is not a valid ${kind.label} file.`);
+      }
+      if (scene[kind.field]) continue;
+      delete scene[kind.field];
+      if (!f && String(row?.[kind.flag]).toLowerCase() === 'true') note(id, `${kind.label} missing (${path}).`);
+    }
+    if (scene.audioBase64 == null) delete scene.audioSec;
+    scenes.push(scene);
+  }
+
+  for (const p of Object.keys(zip.files)) {
+    if (!p.startsWith(root) || matched.has(p) || !/^(images|audio)\/[^/]+$/.test(p.slice(root.length))) continue;
+    note(null, `${p.slice(root.length)} doesn't belong to any scene and was ignored.`);
+  }
+
+  // Scene ids must be 1..n for the rest of the studio; renumber after files are matched.
+  if (scenes.some((s, i) => Number(s.scene_id) !== i + 1)) {
+    note(null, 'Scene ids were not 1..n and have been renumbered.');
+    scenes.forEach((s, i) => { s.scene_id = i + 1; });
+  }
+
+  let studio = null;
+  const studioText = await readText('studio.json');
+  if (studioText != null) {
+    try {
+      studio = JSON.parse(studioText);
+    } catch {
+      note(null, 'studio.json is not valid JSON; preset and settings were not restored.');
+    }
+  }
+
+  return {
+    script: (await readText('script.txt')) ?? '',
+    analysis: { ...analysis, scenes },
+    studio,
+    issues
+  };
+}
@@ -0,0 +1,45 @@
+// Pronunciation lexicons (see src/ssml.js on the server) are edited as one entry per line:
+//   Nebuchadnezzar = /ˌnɛbjʊkədˈnɛzər/    IPA between slashes
+//   SQL = sequel                           say this instead
+//   "Job" = /dʒoʊb/                        quoted: only this exact capitalization
+// Blank lines and lines starting with # are ignored.
+
+export function lexiconToText(entries) {
+  return (entries || []).map(e => {
+    const term = e.matchCase ? `"${e.term}"` : e.term;
+    return `${term} = ${e.ipa ? `/${e.ipa}/` : e.alias}`;
+  }).join('\n');
+}
+
+/** { entries, errors: ['line 3: ...'] } */
+export function parseLexicon(text) {
+  const entries = [];
+  const errors = [];
+  String(text || '').split('\n').forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+    const m = line.match(/^(?:"([^"]+)"|([^=]+?))\s*=\s*(.+)$/);
+    if (!m) return errors.push(`line ${i + 1}: expected "term = /ipa/" or "term = spoken alias"`);
+    const say = m[3].trim();
+    const ipa = say.match(/^\/(.+)\/$/);
+    entries.push({
+      term: (m[1] ?? m[2]).trim(),
+      ...(ipa ? { ipa: ipa[1].trim() } : { alias: say }),
+      matchCase: m[1] != null
+    });
+  });
+  return { entries, errors };
+}
+
+/** Preset entries first, overridden by project entries for the same term. */
+export function mergeLexicons(presetEntries, projectEntries) {
+  const byTerm = new Map();
+  for (const e of [...(presetEntries || []), ...(projectEntries || [])]) byTerm.set(e.term.toLowerCase(), e);
+  return [...byTerm.values()];
+}
+
+/** The lexicon entries that apply to a piece of narration (case-insensitive containment). */
+export function entriesUsedIn(text, entries) {
+  const lower = String(text || '').toLowerCase();
+  return (entries || []).filter(e => lower.includes(e.term.toLowerCase()));
+}
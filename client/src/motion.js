@@ -0,0 +1,26 @@
+// Mirrors src/motion.js on the server so the preview shows the move the MP4 will get.
+
+export const MOTION_TYPES = ['auto', 'none', 'zoom-in', 'zoom-out', 'pan-left', 'pan-right', 'pan-up', 'pan-down'];
+
+const AUTO_SEQUENCE = ['zoom-in', 'pan-right', 'zoom-out', 'pan-left', 'pan-up', 'pan-down'];
+const MAX_ZOOM_DELTA = 0.25;
+
+export function resolveMotionType(type, sceneIndex) {
+  if (!type || type === 'auto') return AUTO_SEQUENCE[sceneIndex % AUTO_SEQUENCE.length];
+  return type;
+}
+
+/** className + style for an <img> previewing the scene's Ken Burns move. */
+export function kbProps(type, sceneIndex, intensity, durationSec) {
+  const resolved = resolveMotionType(type, sceneIndex);
+  if (resolved === 'none' || intensity <= 0) return { className: '', style: {} };
+  const zoom = 1 + MAX_ZOOM_DELTA * intensity;
+  return {
+    className: `kb kb-${resolved}`,
+    style: {
+      '--kb-zoom': zoom,
+      '--kb-shift': `${((zoom - 1) / (2 * zoom)) * 100}%`,
+      '--kb-dur': `${Math.max(1, Number(durationSec) || 8)}s`
+    }
+  };
+}
@@ -0,0 +1,32 @@
+import { usageHeaders } from './usage.js';
+
+// POSTs JSON to a streaming route and hands each NDJSON line to onLine. Validation and setup
+// errors come back as a plain { ok: false, error } response and are thrown.
+export async function postNdjson(url, body, onLine, label = 'Request') {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...usageHeaders() },
+    body: JSON.stringify(body)
+  });
+  if (!res.ok || !(res.headers.get('content-type') || '').includes('ndjson')) {
+    const payload = await res.json().catch(() => null);
+    const err = new Error(payload?.error || `${label} failed (HTTP ${res.status})`);
+    // Same shape as an axios error, so errMessage() works on it.
+    err.response = { status: res.status, data: payload };
+    throw err;
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    buffered += decoder.decode(value || new Uint8Array(), { stream: !done });
+    const lines = buffered.split('\n');
+    buffered = done ? '' : lines.pop();
+    for (const line of lines) {
+      if (line.trim()) onLine(JSON.parse(line));
+    }
+    if (done) return;
+  }
+}
@@ -0,0 +1,52 @@
+import axios from 'axios';
+
+// Style presets live on the server (/api/presets): three read-only built-ins plus the team's own.
+
+export async function listPresets() {
+  const res = await axios.get('/api/presets');
+  return res.data.presets;
+}
+
+export async function createPreset(fields) {
+  const res = await axios.post('/api/presets', fields);
+  return res.data.preset;
+}
+
+export async function updatePreset(id, fields) {
+  const res = await axios.put(`/api/presets/${encodeURIComponent(id)}`, fields);
+  return res.data.preset;
+}
+
+export async function deletePreset(id) {
+  await axios.delete(`/api/presets/${encodeURIComponent(id)}`);
+}
+
+export async function clonePreset(id, name) {
+  const res = await axios.post(`/api/presets/${encodeURIComponent(id)}/clone`, name ? { name } : {});
+  return res.data.preset;
+}
+
+/** The export file as a Blob; `ids` picks presets, otherwise every team preset. */
+export async function exportPresets(ids = []) {
+  const res = await axios.get('/api/presets/export', { params: ids.length ? { ids: ids.join(',') } : {} });
+  return new Blob([JSON.stringify(res.data, null, 2)], { type: 'application/json' });
+}
+
+/** Imports an export file. Returns { imported, skipped }. */
+export async function importPresets(file, { replace = false } = {}) {
+  let payload;
+  try {
+    payload = JSON.parse(await file.text());
+  } catch {
+    throw new Error('That file is not a presets export (invalid JSON).');
+  }
+  const res = await axios.post('/api/presets/import', payload, { params: replace ? { replace: 1 } : {} });
+  return { imported: res.data.imported, skipped: res.data.skipped };
+}
+
+/** Ranked preset suggestions for a script; mode 'llm' asks the text model. */
+export async function classifyPreset(script, mode = 'keywords') {
+  const res = await axios.post('/api/classify-preset', { script, mode });
+  if (!res.data.ok) throw new Error(res.data.error || 'Style suggestion failed');
+  return res.data;
+}
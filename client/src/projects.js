@@ -0,0 +1,125 @@
+import axios from 'axios';
+import { b64ToBlob, blobToB64 } from './utils.js';
+import { postNdjson } from './ndjson.js';
+
+// Server-side projects (/api/projects). Scenes hold imageBase64/audioBase64 in the studio;
+// on disk they become asset files named by content hash, so unchanged media is uploaded once.
+
+const ASSET_KINDS = [
+  { field: 'imageBase64', ref: 'imageAsset', prefix: 'img', ext: 'png', mime: 'image/png' },
+  { field: 'audioBase64', ref: 'audioAsset', prefix: 'aud', ext: 'mp3', mime: 'audio/mpeg' }
+];
+
+// base64 -> asset name, so autosave doesn't re-hash media that hasn't changed
+const nameCache = new Map();
+
+async function assetName(kind, b64) {
+  const cached = nameCache.get(b64);
+  if (cached) return cached;
+  const blob = b64ToBlob(b64, kind.mime);
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  const hex = [...new Uint8Array(digest)].slice(0, 10).map(b => b.toString(16).padStart(2, '0')).join('');
+  const name = `${kind.prefix}-${hex}.${kind.ext}`;
+  nameCache.set(b64, name);
+  return name;
+}
+
+export async function listProjects() {
+  const res = await axios.get('/api/projects');
+  return res.data.projects;
+}
+
+export async function createProject(fields = {}) {
+  const res = await axios.post('/api/projects', fields);
+  return res.data.project;
+}
+
+export async function duplicateProject(id) {
+  const res = await axios.post(`/api/projects/${id}/duplicate`);
+  return res.data.project;
+}
+
+export async function deleteProject(id) {
+  await axios.delete(`/api/projects/${id}`);
+}
+
+/**
+ * Creates a localized variant of a saved project ({ language, voice? }), translated and narrated on
+ * the server. onProgress gets each progress line; resolves to { project: { id, name }, failed, changes }.
+ */
+export async function localizeProject(id, body, onProgress) {
+  let result = null;
+  await postNdjson(`/api/projects/${id}/localize`, body, (msg) => {
+    if (msg.type === 'done') result = msg;
+    else if (msg.type === 'error') throw new Error(msg.error || 'Localization failed');
+    else onProgress?.(msg);
+  }, 'Localization');
+  if (!result) throw new Error('Localization stopped before it finished.');
+  return result;
+}
+
+/**
+ * Splits studio state into JSON fields (scenes carry asset names instead of base64)
+ * and the media those names refer to.
+ */
+export async function packProject({ analysis, ...fields }) {
+  const assets = new Map();
+  const used = new Set();
+  let packed = analysis;
+  if (analysis) {
+    const scenes = [];
+    for (const s of analysis.scenes || []) {
+      const scene = { ...s };
+      for (const kind of ASSET_KINDS) {
+        const b64 = scene[kind.field];
+        delete scene[kind.field];
+        if (!b64) { delete scene[kind.ref]; continue; }
+        used.add(b64);
+        const name = await assetName(kind, b64);
+        scene[kind.ref] = name;
+        assets.set(name, () => b64ToBlob(b64, kind.mime));
+      }
+      scenes.push(scene);
+    }
+    packed = { ...analysis, scenes };
+  }
+  // Forget media that left the project so the cache doesn't pin old base64 strings.
+  for (const b64 of nameCache.keys()) if (!used.has(b64)) nameCache.delete(b64);
+  return { fields: { ...fields, analysis: packed }, assets };
+}
+
+/** Uploads assets not in `stored` (names already on the server), then saves the fields. */
+export async function saveProject(id, { fields, assets }, stored) {
+  for (const [name, toBlob] of assets) {
+    if (stored.has(name)) continue;
+    const blob = toBlob();
+    await axios.put(`/api/projects/${id}/assets/${name}`, blob, { headers: { 'Content-Type': blob.type } });
+    stored.add(name);
+  }
+  const res = await axios.put(`/api/projects/${id}`, fields);
+  return res.data.project;
+}
+
+/** Loads a project and puts its media back on the scenes as base64. Missing files are listed, not fatal. */
+export async function loadProject(id) {
+  const res = await axios.get(`/api/projects/${id}`);
+  const project = res.data.project;
+  const missing = [];
+  if (project.analysis) {
+    const scenes = [];
+    for (const s of project.analysis.scenes || []) {
+      const scene = { ...s };
+      for (const kind of ASSET_KINDS) {
+        const name = scene[kind.ref];
+        if (!name) continue;
+        if (!project.assets.includes(name)) { missing.push(name); continue; }
+        const file = await axios.get(`/api/projects/${id}/assets/${name}`, { responseType: 'blob' });
+        scene[kind.field] = await blobToB64(file.data);
+        nameCache.set(scene[kind.field], name);
+      }
+      scenes.push(scene);
+    }
+    project.analysis = { ...project.analysis, scenes };
+  }
+  return { project, missing };
+}
@@ -0,0 +1,68 @@
+import axios from 'axios';
+
+const TERMINAL = ['done', 'failed', 'cancelled'];
+
+export async function submitRender(form) {
+  const res = await axios.post('/api/render-video', form);
+  if (!res.data.ok) throw new Error(res.data.error || 'Render submit failed');
+  return res.data.job;
+}
+
+/**
+ * Streams job updates to onUpdate(job) until the job finishes.
+ * Uses SSE, and falls back to polling if the stream drops (proxies, instance restarts).
+ * Returns a function that stops watching.
+ */
+export function watchRender(jobId, onUpdate) {
+  let stopped = false;
+  let es = null;
+  let pollTimer = null;
+
+  const handle = (job) => {
+    if (stopped) return;
+    onUpdate(job);
+    if (TERMINAL.includes(job.status)) stop();
+  };
+
+  const poll = async () => {
+    if (stopped) return;
+    try {
+      const res = await axios.get(`/api/render-jobs/${jobId}`);
+      handle(res.data.job);
+    } catch (e) {
+      handle({ id: jobId, status: 'failed', error: e?.response?.data?.error || e.message, progress: null });
+      return;
+    }
+    if (!stopped) pollTimer = setTimeout(poll, 2000);
+  };
+
+  function stop() {
+    stopped = true;
+    if (es) es.close();
+    clearTimeout(pollTimer);
+  }
+
+  if (typeof EventSource === 'undefined') {
+    poll();
+  } else {
+    es = new EventSource(`/api/render-jobs/${jobId}/events`);
+    es.addEventListener('progress', (ev) => handle(JSON.parse(ev.data)));
+    es.onerror = () => {
+      if (stopped) return;
+      es.close();
+      es = null;
+      poll();
+    };
+  }
+
+  return stop;
+}
+
+export async function cancelRender(jobId) {
+  await axios.post(`/api/render-jobs/${jobId}/cancel`);
+}
+
+export async function downloadRender(jobId, format) {
+  const res = await axios.get(`/api/render-jobs/${jobId}/download`, { params: { format }, responseType: 'blob' });
+  return res.data;
+}
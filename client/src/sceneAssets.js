@@ -0,0 +1,36 @@
+import { entriesUsedIn } from './lexicon.js';
+import { dialogueLines } from './speakers.js';
+
+// Each generated asset remembers the inputs it was made from (imageKey / audioKey on the scene),
+// so an edit to the prompt, narration, voice or format shows which assets no longer match.
+// Scenes without a key (older projects, imported bundles) are never reported stale.
+
+// negativePrompt only joins the key when set, so images made before presets had one stay fresh.
+export function imageKey(scene, { suffix, negativePrompt, aspect }) {
+  const key = [(scene.image_prompt || '').trim(), suffix || '', aspect];
+  if (negativePrompt) key.push(negativePrompt);
+  return JSON.stringify(key);
+}
+
+// Only pronunciations the narration uses join the key, so a lexicon edit stales just those clips.
+// Language, pitch and volume join it only when set, so clips made before those controls stay fresh.
+// In a dialogue scene, so do the cast voices of the speakers it labels.
+export function audioKey(scene, { voice, languageCode, speakingRate, pitch, volumeGainDb, lexicon, speakers, cast }) {
+  const narration = (scene.narration || '').trim();
+  const key = [narration, voice, speakingRate];
+  const used = entriesUsedIn(narration, lexicon);
+  if (used.length) key.push(used);
+  if (languageCode && languageCode !== 'en-US') key.push({ languageCode });
+  if (pitch) key.push({ pitch });
+  if (volumeGainDb) key.push({ volumeGainDb });
+  const labelled = [...new Set(dialogueLines(narration, speakers).map(l => l.speaker).filter(Boolean))];
+  if (labelled.length) key.push({ cast: labelled.map(name => [name, cast?.[name] || voice]) });
+  return JSON.stringify(key);
+}
+
+export function staleAssets(scene, imageOpts, audioOpts) {
+  return {
+    image: !!(scene.imageBase64 && scene.imageKey && scene.imageKey !== imageKey(scene, imageOpts)),
+    audio: !!(scene.audioBase64 && scene.audioKey && scene.audioKey !== audioKey(scene, audioOpts))
+  };
+}
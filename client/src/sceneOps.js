@@ -0,0 +1,92 @@
+// Scene list restructuring for the Step 1 editor. Every op returns a new array; media travel with
+// their scene object, and `uid` (not scene_id, which is renumbered) identifies a scene across edits.
+
+function newUid() {
+  return Math.random().toString(36).slice(2, 10) + Date.now().toString(36).slice(-4);
+}
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/**
+ * Fresh uids for scenes missing one (or sharing one, e.g. after a retime split), scene ids 1..n,
+ * durations clamped to 1–60s and `timing_overflow` set where a scene runs past the timing rule.
+ */
+export function normalizeScenes(scenes, timingRuleSeconds) {
+  const seen = new Set();
+  return scenes.map((s, i) => {
+    const uid = s.uid && !seen.has(s.uid) ? s.uid : newUid();
+    seen.add(uid);
+    const duration_sec = Math.min(60, Math.max(1, Number(s.duration_sec) || timingRuleSeconds));
+    const scene = { ...s, uid, scene_id: i + 1, duration_sec };
+    if (duration_sec > timingRuleSeconds) scene.timing_overflow = true;
+    else delete scene.timing_overflow;
+    return scene;
+  });
+}
+
+function withoutAudio(s) {
+  const { audioBase64, audioSec, audioKey, ...rest } = s;
+  return { ...rest, audioBase64: '', needs_audio: !!(s.narration || '').trim() };
+}
+
+/**
+ * Splits scene `index` at character `at` of its narration. Duration is shared by text length;
+ * both halves keep the image, neither keeps the (now mismatched) narration audio.
+ */
+export function splitScene(scenes, index, at) {
+  const s = scenes[index];
+  const text = s.narration || '';
+  const head = text.slice(0, at).trim();
+  const tail = text.slice(at).trim();
+  if (!head || !tail) return scenes;
+  const dur = Number(s.duration_sec) || 1;
+  const headSec = Math.max(1, round1(dur * head.length / (head.length + tail.length)));
+  const first = { ...withoutAudio(s), narration: head, duration_sec: headSec };
+  const second = {
+    ...withoutAudio(s),
+    uid: undefined,
+    narration: tail,
+    on_screen_text: '',
+    duration_sec: Math.max(1, round1(dur - headSec)),
+    transition: undefined
+  };
+  return [...scenes.slice(0, index), first, second, ...scenes.slice(index + 1)];
+}
+
+/** Merges scene `index` with the next one. The first scene's image wins; audio is kept only if one side had narration. */
+export function mergeWithNext(scenes, index) {
+  const a = scenes[index];
+  const b = scenes[index + 1];
+  if (!b) return scenes;
+  const join = (x, y) => [x, y].map(v => (v || '').trim()).filter(Boolean).join(' ');
+  const aSpeaks = !!(a.narration || '').trim();
+  const bSpeaks = !!(b.narration || '').trim();
+  let merged = {
+    ...(a.imageBase64 || !b.imageBase64 ? a : { ...a, imageBase64: b.imageBase64, imageKey: b.imageKey, imagePromptFinal: b.imagePromptFinal }),
+    narration: join(a.narration, b.narration),
+    on_screen_text: join(a.on_screen_text, b.on_screen_text),
+    image_prompt: (a.image_prompt || '').trim() || b.image_prompt || '',
+    duration_sec: round1((Number(a.duration_sec) || 0) + (Number(b.duration_sec) || 0))
+  };
+  if (aSpeaks && bSpeaks) merged = withoutAudio(merged);
+  else if (bSpeaks) merged = { ...merged, audioBase64: b.audioBase64, audioSec: b.audioSec, audioKey: b.audioKey, needs_audio: b.needs_audio };
+  return [...scenes.slice(0, index), merged, ...scenes.slice(index + 2)];
+}
+
+/** Inserts an empty scene at `index`. */
+export function insertBlankScene(scenes, index, durationSec) {
+  const blank = { narration: '', on_screen_text: '', image_prompt: '', duration_sec: durationSec, imageBase64: '', audioBase64: '', imagePromptFinal: '' };
+  return [...scenes.slice(0, index), blank, ...scenes.slice(index)];
+}
+
+export function deleteScene(scenes, index) {
+  return scenes.filter((_, i) => i !== index);
+}
+
+export function moveScene(scenes, from, to) {
+  if (from === to || from < 0 || to < 0 || from >= scenes.length || to >= scenes.length) return scenes;
+  const next = [...scenes];
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next;
+}
@@ -0,0 +1,20 @@
+// Dialogue narration: scenes keep their speaker labels ("Narrator: ...", "Jesus: ...") in the
+// narration, one turn per line, and the project's cast maps each speaker to a voice. The labels
+// are read by the server's own module (src/speakers.js, shared through vite.config.js), so the
+// studio and the server always agree on who says what.
+import { dialogueLines } from '../../src/speakers.js';
+
+export { dialogueLines };
+
+/** Each scene's turns, carrying the last speaker from one scene into the next. */
+export function sceneLines(scenes, speakers) {
+  let carry = null;
+  return (scenes || []).map(s => {
+    const lines = dialogueLines(s.narration, speakers, carry);
+    carry = lines.at(-1)?.speaker || carry;
+    return lines;
+  });
+}
+
+/** True when some turn has a speaker, i.e. the scene is read by the cast rather than one voice. */
+export const isDialogue = (lines) => lines.some(l => l.speaker);
@@ -0,0 +1,21 @@
+import axios from 'axios';
+
+// Server-side usage metering (/api/usage). Provider calls are billed to the open project through
+// the X-Project-Id header, which is set here for axios and handed to fetch() callers.
+
+let currentProjectId = null;
+
+export function setUsageProject(id) {
+  currentProjectId = id || null;
+  if (currentProjectId) axios.defaults.headers.common['X-Project-Id'] = currentProjectId;
+  else delete axios.defaults.headers.common['X-Project-Id'];
+}
+
+export function usageHeaders() {
+  return currentProjectId ? { 'X-Project-Id': currentProjectId } : {};
+}
+
+export async function getUsage(projectId) {
+  const res = await axios.get('/api/usage', { params: projectId ? { projectId, days: 7 } : { days: 7 } });
+  return res.data;
+}
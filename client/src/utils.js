@@ -1,5 +1,3 @@
-export const sleep = (ms) => new Promise(r => setTimeout(r, ms));
-
 export function b64ToBlob(b64, mime) {
   const byteChars = atob(b64);
   const byteNumbers = new Array(byteChars.length);
@@ -18,3 +16,17 @@ export function downloadBlob(blob, filename) {
   a.remove();
   URL.revokeObjectURL(url);
 }
+
+// Prefer the server's { error } message over axios' generic "Request failed with status code ...".
+export function errMessage(e, fallback = 'Request failed') {
+  return e?.response?.data?.error || e?.message || fallback;
+}
+
+export function blobToB64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
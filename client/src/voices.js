@@ -0,0 +1,30 @@
+import axios from 'axios';
+
+// The Text-to-Speech voice catalog (/api/voices). The studio labels (Default, Fenrir, ...) stay
+// available for English (US) narration; every other voice is picked by its full name.
+
+export const VOICE_LABELS = ['Default', 'Fenrir', 'Puck', 'Zephyr', 'Nova'];
+
+/** { source, languages, voices: [{ name, languageCodes, gender, type }], aliases } */
+export async function getVoices({ language, gender } = {}) {
+  const res = await axios.get('/api/voices', { params: { language, gender } });
+  return res.data;
+}
+
+/** The language a voice name speaks ("en-GB-Neural2-B" -> "en-GB"); labels are en-US. */
+export function voiceLanguage(voice) {
+  if (VOICE_LABELS.includes(voice)) return 'en-US';
+  return String(voice).match(/^([a-z]{2,3}-[A-Z]{2})-/)?.[1] || null;
+}
+
+/** "en-GB" -> "English (United Kingdom)", falling back to the code. */
+export function languageName(code) {
+  try {
+    const [lang, region] = code.split('-');
+    const name = new Intl.DisplayNames(['en'], { type: 'language' }).of(lang);
+    const place = region ? new Intl.DisplayNames(['en'], { type: 'region' }).of(region) : '';
+    return place ? `${name} (${place})` : name;
+  } catch {
+    return code;
+  }
+}
@@ -3,5 +3,11 @@ import react from '@vitejs/plugin-react';
 
 export default defineConfig({
   plugins: [react()],
-  server: { port: 5173 }
+  server: {
+    port: 5173,
+    // Forward API calls to the Express server (npm run dev / dev:mock) during local development
+    proxy: { '/api': 'http://localhost:8080' },
+    // The speaker-label parser is the server's (src/speakers.js, no Node imports)
+    fs: { allow: ['.', '../src/speakers.js'] }
+  }
 });
@@ -6,27 +6,63 @@
  *  - accepting both {script} and {text} payloads
  *  - logging useful details when the body is missing
  *
- * AI:
- *  - If GOOGLE_API_KEY is set, uses @google/generative-ai (Gemini API Key)
- *  - Otherwise, uses Application Default Credentials (Cloud Run) to call Vertex AI REST
+ * AI (see src/providers/):
+ *  - AI_PROVIDER=vertex  Vertex AI via Application Default Credentials (Cloud Run default)
+ *  - AI_PROVIDER=gemini  Gemini API key (GOOGLE_API_KEY / GEMINI_API_KEY); picked automatically when a key is set
+ *  - AI_PROVIDER=mock    deterministic offline output, no credentials needed (local dev)
  */
 
 import express from "express";
 import cors from "cors";
 import path from "path";
+import os from "os";
+import fs from "fs";
 import { fileURLToPath } from "url";
-
-import { GoogleAuth } from "google-auth-library";
-
-// Optional: only used if GOOGLE_API_KEY is provided
-let GoogleGenerativeAI = null;
-try {
-  // dynamic import so deployment doesn't fail if package isn't installed
-  const mod = await import("@google/generative-ai");
-  GoogleGenerativeAI = mod.GoogleGenerativeAI;
-} catch (e) {
-  // ok – we can still use ADC/Vertex REST
-}
+import multer from "multer";
+import { ZodError } from "zod";
+
+import { analyzeScript } from "./src/analyze.js";
+import { generateImage } from "./src/imagen.js";
+import { generateSpeech } from "./src/tts.js";
+import { buildSubtitles } from "./src/subtitles.js";
+import { retimeScenes } from "./src/timing.js";
+import { listMusicLibrary } from "./src/music.js";
+import { removeUploads } from "./src/render.js";
+import {
+  listProjects,
+  createProject,
+  getProject,
+  updateProject,
+  duplicateProject,
+  deleteProject,
+  putAsset,
+  getAssetPath,
+} from "./src/projects.js";
+import {
+  listPresets,
+  createPreset,
+  updatePreset,
+  deletePreset,
+  clonePreset,
+  exportPresets,
+  importPresets,
+} from "./src/presets.js";
+import { classifyPreset } from "./src/presetClassifier.js";
+import { usageContext, usageReport } from "./src/usage.js";
+import { queueStats } from "./src/scheduler.js";
+import { runBatch, getBatch } from "./src/batch.js";
+import { listVoices } from "./src/voices.js";
+import { localizeProject } from "./src/localize.js";
+import { getProviderName } from "./src/providers/index.js";
+import {
+  submitRenderJob,
+  getRenderJob,
+  cancelRenderJob,
+  subscribeRenderJob,
+  publicJob,
+  isTerminal,
+  getRenderQueueStats,
+} from "./src/jobs.js";
 
 const app = express();
 
@@ -54,10 +90,43 @@ const PORT = process.env.PORT || 8080;
 const GCP_PROJECT_ID = process.env.GCP_PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT || "";
 const GCP_LOCATION = process.env.GCP_LOCATION || process.env.GOOGLE_CLOUD_REGION || "us-central1";
 
-/** Models (edit if needed) */
-const MODEL_ANALYZE = process.env.MODEL_ANALYZE || "gemini-1.5-flash-002"; // Vertex model id
-const MODEL_IMAGE = process.env.MODEL_IMAGE || "imagen-3.0-generate-001";
-const MODEL_TTS = process.env.MODEL_TTS || "gemini-2.5-flash-preview-tts";
+/** Validation errors are the caller's fault (400); HttpError carries its own status; anything else is ours (500). */
+function sendError(res, err, label) {
+  if (err instanceof ZodError) {
+    return res.status(400).json({
+      ok: false,
+      error: err.issues.map((i) => `${i.path.join(".") || "body"}: ${i.message}`).join("; "),
+    });
+  }
+  if (err?.status) {
+    if (err.retryAfterMs) res.set("Retry-After", String(Math.ceil(err.retryAfterMs / 1000)));
+    return res.status(err.status).json({ ok: false, error: err.message });
+  }
+  console.error(`${label} exception:`, err);
+  return res.status(500).json({ ok: false, error: err?.message || `${label} failed. Check server logs for details.` });
+}
+
+/** Newline-delimited JSON responses: headers go out with the first line, so early errors can still use sendError */
+function ndjson(res) {
+  return (obj) => {
+    if (!res.headersSent) {
+      res.writeHead(200, {
+        "Content-Type": "application/x-ndjson; charset=utf-8",
+        "Cache-Control": "no-cache, no-transform",
+        "X-Accel-Buffering": "no",
+      });
+    }
+    if (!res.writableEnded && !res.destroyed) res.write(JSON.stringify(obj) + "\n");
+  };
+}
+
+/** Multipart uploads (render inputs) are spooled to disk, never held in memory */
+const uploadDir = path.join(os.tmpdir(), "creator-station-uploads");
+fs.mkdirSync(uploadDir, { recursive: true });
+const upload = multer({
+  dest: uploadDir,
+  limits: { fileSize: 50 * 1024 * 1024, files: 400 },
+});
 
 /** Health check */
 app.get("/healthz", (_req, res) => res.status(200).send("ok"));
@@ -70,7 +139,7 @@ app.post("/api/analyze-script", async (req, res) => {
 
     if (!script || String(script).trim().length === 0) {
       console.log("Analyze error: empty script body. req.body=", req.body);
-      return res.status(400).json({ error: "Script is empty. Send JSON: { script: '...' }" });
+      return res.status(400).json({ ok: false, error: "Script is empty. Send JSON: { script: '...' }" });
     }
 
     // If you just want to confirm body parsing works, set ANALYZE_DRY_RUN=true
@@ -83,147 +152,382 @@ app.post("/api/analyze-script", async (req, res) => {
       });
     }
 
-    const prompt = [
-      "You are a YouTube production assistant.",
-      "Analyze the script and return:",
-      "1) a short summary",
-      "2) suggested scenes split by timing rules (assume 8–13 seconds max per scene)",
-      "3) for each scene: scene title + narration text + image prompt",
-      "",
-      "SCRIPT:",
-      String(script),
-    ].join("\n");
-
-    const outputText = await generateText(prompt);
+    const body = { ...req.body, script: String(script) };
+    if (req.body?.stream) return streamAnalysis(req, res, body);
 
-    return res.json({ ok: true, result: outputText });
+    const { plan, report } = await analyzeScript(body, { usage: usageContext(req) });
+    return res.json({ ok: true, data: plan, report });
   } catch (err) {
-    console.error("Analyze exception:", err);
-    // Return a helpful error without leaking secrets
-    return res.status(500).json({ error: "Analyze failed. Check Cloud Run logs for details." });
+    return sendError(res, err, "Analyze");
   }
 });
 
-/** ====== API: Generate Image (placeholder) ====== */
+// {stream: true}: NDJSON, one {type:"chunk"} line per analyzed part of a long script, then
+// {type:"done", data, report} or {type:"error", error}. Stops early if the client goes away.
+async function streamAnalysis(req, res, body) {
+  const send = ndjson(res);
+  const controller = new AbortController();
+  res.on("close", () => controller.abort());
+  try {
+    const { plan, report } = await analyzeScript(body, {
+      signal: controller.signal,
+      usage: usageContext(req),
+      onChunk: (chunk) => send({ type: "chunk", ...chunk }),
+    });
+    send({ type: "done", data: plan, report });
+    res.end();
+  } catch (err) {
+    if (!res.headersSent) return sendError(res, err, "Analyze");
+    if (!controller.signal.aborted) console.error("Analyze stream exception:", err);
+    send({ type: "error", error: err?.message || "Analyze failed." });
+    res.end();
+  }
+}
+
+/** ====== API: Generate Image ====== */
 app.post("/api/generate-image", async (req, res) => {
-  // This endpoint depends on your chosen Imagen call method.
-  // Keep it simple for now: validate input and respond with a clear message.
-  const prompt = req.body?.prompt ?? "";
-  if (!prompt || String(prompt).trim().length === 0) {
-    return res.status(400).json({ error: "Prompt is empty. Send JSON: { prompt: '...' }" });
-  }
-  return res.status(501).json({
-    error: "Image generation not wired in this server.js template. (Your deployment is OK.)",
-    model: MODEL_IMAGE,
-    receivedPromptChars: String(prompt).length,
-  });
+  try {
+    return res.json(await generateImage(req.body || {}, usageContext(req)));
+  } catch (err) {
+    return sendError(res, err, "Image");
+  }
 });
 
-/** ====== API: Generate Speech (placeholder) ====== */
+/** ====== API: Generate Speech ====== */
 app.post("/api/generate-speech", async (req, res) => {
-  const text = req.body?.text ?? "";
-  if (!text || String(text).trim().length === 0) {
-    return res.status(400).json({ error: "Text is empty. Send JSON: { text: '...' }" });
-  }
-  return res.status(501).json({
-    error: "TTS not wired in this server.js template. (Your deployment is OK.)",
-    model: MODEL_TTS,
-    receivedTextChars: String(text).length,
+  try {
+    return res.json(await generateSpeech(req.body || {}, usageContext(req)));
+  } catch (err) {
+    return sendError(res, err, "Speech");
+  }
+});
+
+/** ====== API: Voice catalog (?language=en | en-GB, ?gender=male|female|neutral, ?refresh=1) ====== */
+app.get("/api/voices", async (req, res) => {
+  try {
+    return res.json({ ok: true, ...(await listVoices(req.query)) });
+  } catch (err) {
+    return sendError(res, err, "Voices");
+  }
+});
+
+/** ====== API: Batch generation (every scene in one request, results streamed as NDJSON) ====== */
+// POST /api/batch/images { suffix, negativePrompt, aspect, scenes: [{ id, prompt }], batchId? }
+// POST /api/batch/speech { voice, speakingRate, cast?, scenes: [{ id, text, lines? }], batchId? }
+// One line per scene event, then {type:"done"}; see src/batch.js. Send a previous batchId to resume.
+for (const [route, kind] of [["images", "image"], ["speech", "speech"]]) {
+  app.post(`/api/batch/${route}`, async (req, res) => {
+    const send = ndjson(res);
+    const controller = new AbortController();
+    res.on("close", () => controller.abort());
+    try {
+      await runBatch(kind, req.body, usageContext(req), { emit: send, signal: controller.signal });
+      res.end();
+    } catch (err) {
+      if (!res.headersSent) return sendError(res, err, "Batch");
+      console.error("Batch stream exception:", err);
+      send({ type: "error", error: err?.message || "Batch failed." });
+      res.end();
+    }
   });
+}
+
+app.get("/api/batch/:id", (req, res) => {
+  try {
+    return res.json({ ok: true, ...getBatch(req.params.id) });
+  } catch (err) {
+    return sendError(res, err, "Batch status");
+  }
 });
 
-/** ====== Static frontend serving (Vite build output) ====== */
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+/** ====== API: Retime scenes from measured narration length ====== */
+app.post("/api/retime-scenes", (req, res) => {
+  try {
+    return res.json(retimeScenes(req.body || {}));
+  } catch (err) {
+    return sendError(res, err, "Retime");
+  }
+});
 
-// If you build the client into /app/client/dist (common), serve it:
-const distPath = path.join(__dirname, "client", "dist");
-app.use(express.static(distPath));
+/** ====== API: Subtitles (SRT + WebVTT from the scene timeline) ====== */
+app.post("/api/subtitles", (req, res) => {
+  try {
+    return res.json(buildSubtitles(req.body || {}));
+  } catch (err) {
+    return sendError(res, err, "Subtitles");
+  }
+});
 
-// SPA fallback (React Router safe)
-app.get("*", (req, res) => {
-  res.sendFile(path.join(distPath, "index.html"));
+/** ====== API: Music library (files in MUSIC_LIBRARY_DIR, default ./music) ====== */
+app.get("/api/music", (_req, res) => {
+  res.json({ ok: true, tracks: listMusicLibrary() });
+});
+
+/** ====== API: Projects (DATA_DIR/projects: project.json + asset files) ====== */
+app.get("/api/projects", (_req, res) => {
+  try {
+    return res.json({ ok: true, projects: listProjects() });
+  } catch (err) {
+    return sendError(res, err, "Projects");
+  }
 });
 
-/** ====== Gemini text generation helper ====== */
-async function generateText(prompt) {
-  // 1) If GOOGLE_API_KEY is present, use Gemini API key via @google/generative-ai
-  const apiKey = process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY;
-  if (apiKey && GoogleGenerativeAI) {
-    const genAI = new GoogleGenerativeAI(apiKey);
-    const modelName = process.env.GEMINI_API_MODEL || "gemini-1.5-flash";
-    const model = genAI.getGenerativeModel({ model: modelName });
+app.post("/api/projects", (req, res) => {
+  try {
+    return res.status(201).json({ ok: true, project: createProject(req.body) });
+  } catch (err) {
+    return sendError(res, err, "Project create");
+  }
+});
 
-    const resp = await model.generateContent(prompt);
-    const text = resp?.response?.text?.() ?? "";
-    if (!text) throw new Error("Empty response from Gemini API key flow.");
-    return text;
+app.get("/api/projects/:id", (req, res) => {
+  try {
+    return res.json({ ok: true, project: getProject(req.params.id) });
+  } catch (err) {
+    return sendError(res, err, "Project load");
   }
+});
 
-  // 2) Otherwise use ADC to call Vertex AI REST
-  if (!GCP_PROJECT_ID) {
-    throw new Error("Missing GCP_PROJECT_ID. Set it in Cloud Run Variables & secrets.");
+app.put("/api/projects/:id", (req, res) => {
+  try {
+    return res.json({ ok: true, project: updateProject(req.params.id, req.body) });
+  } catch (err) {
+    return sendError(res, err, "Project save");
   }
+});
 
-  const auth = new GoogleAuth({
-    scopes: ["https://www.googleapis.com/auth/cloud-platform"],
-  });
+app.post("/api/projects/:id/duplicate", (req, res) => {
+  try {
+    return res.status(201).json({ ok: true, project: duplicateProject(req.params.id, req.body || {}) });
+  } catch (err) {
+    return sendError(res, err, "Project duplicate");
+  }
+});
 
-  const client = await auth.getClient();
-  const tokenResp = await client.getAccessToken();
-  const accessToken = tokenResp?.token;
-  if (!accessToken) {
-    throw new Error("Could not obtain access token via ADC.");
-  }
-
-  const url =
-    `https://${GCP_LOCATION}-aiplatform.googleapis.com/v1/projects/${encodeURIComponent(
-      GCP_PROJECT_ID
-    )}/locations/${encodeURIComponent(GCP_LOCATION)}/publishers/google/models/${encodeURIComponent(
-      MODEL_ANALYZE
-    )}:generateContent`;
-
-  const body = {
-    contents: [
-      {
-        role: "user",
-        parts: [{ text: prompt }],
-      },
-    ],
-    generationConfig: {
-      temperature: 0.6,
-      maxOutputTokens: 2048,
-    },
-  };
+// Localized variant: { language, voice?, speakingRate?, pitch?, volumeGainDb?, name?, audio? }.
+// NDJSON progress (translation, each scene's narration), then {type:"done", project}; see src/localize.js.
+app.post("/api/projects/:id/localize", async (req, res) => {
+  const send = ndjson(res);
+  const controller = new AbortController();
+  res.on("close", () => controller.abort());
+  try {
+    await localizeProject(req.params.id, req.body, usageContext(req), { emit: send, signal: controller.signal });
+    res.end();
+  } catch (err) {
+    if (!res.headersSent) return sendError(res, err, "Localize");
+    if (!controller.signal.aborted) console.error("Localize stream exception:", err);
+    send({ type: "error", error: err?.message || "Localization failed." });
+    res.end();
+  }
+});
 
-  const r = await fetch(url, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${accessToken}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify(body),
-  });
+app.delete("/api/projects/:id", (req, res) => {
+  try {
+    deleteProject(req.params.id);
+    return res.json({ ok: true });
+  } catch (err) {
+    return sendError(res, err, "Project delete");
+  }
+});
 
-  const json = await r.json().catch(() => ({}));
+// Assets are raw bodies (image/png, audio/mpeg, ...), so the JSON body limit doesn't apply
+app.put("/api/projects/:id/assets/:name", express.raw({ type: () => true, limit: "50mb" }), (req, res) => {
+  try {
+    return res.json({ ok: true, asset: putAsset(req.params.id, req.params.name, req.body) });
+  } catch (err) {
+    return sendError(res, err, "Asset upload");
+  }
+});
 
-  if (!r.ok) {
-    console.error("Vertex AI error status:", r.status, "body:", json);
-    throw new Error(`Vertex AI returned ${r.status}`);
+app.get("/api/projects/:id/assets/:name", (req, res) => {
+  try {
+    return res.sendFile(getAssetPath(req.params.id, req.params.name));
+  } catch (err) {
+    return sendError(res, err, "Asset");
+  }
+});
+
+/** ====== API: Style presets (built-ins + DATA_DIR/presets.json) ====== */
+app.get("/api/presets", (_req, res) => {
+  try {
+    return res.json({ ok: true, presets: listPresets() });
+  } catch (err) {
+    return sendError(res, err, "Presets");
   }
+});
 
-  const text =
-    json?.candidates?.[0]?.content?.parts?.map((p) => p?.text || "").join("") || "";
+app.post("/api/presets", (req, res) => {
+  try {
+    return res.status(201).json({ ok: true, preset: createPreset(req.body) });
+  } catch (err) {
+    return sendError(res, err, "Preset create");
+  }
+});
 
-  if (!text) {
-    console.error("Vertex AI response (no text):", json);
-    throw new Error("Vertex AI response did not include text.");
+// Ranked preset suggestions for a script: { mode, presetId, candidates: [{ presetId, confidence, reasons }] }
+app.post("/api/classify-preset", async (req, res) => {
+  try {
+    return res.json({ ok: true, ...(await classifyPreset(req.body || {}, usageContext(req))) });
+  } catch (err) {
+    return sendError(res, err, "Preset classify");
   }
+});
 
-  return text;
+// ?ids=a,b exports those presets; without it, every team preset.
+app.get("/api/presets/export", (req, res) => {
+  try {
+    const ids = String(req.query.ids || "").split(",").map((s) => s.trim()).filter(Boolean);
+    res.setHeader("Content-Disposition", 'attachment; filename="creator-station-presets.json"');
+    return res.json(exportPresets(ids));
+  } catch (err) {
+    return sendError(res, err, "Preset export");
+  }
+});
+
+// Body: an export file. ?replace=1 overwrites team presets with the same id instead of adding copies.
+app.post("/api/presets/import", (req, res) => {
+  try {
+    const result = importPresets(req.body, { replace: req.query.replace === "1" });
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    return sendError(res, err, "Preset import");
+  }
+});
+
+app.put("/api/presets/:id", (req, res) => {
+  try {
+    return res.json({ ok: true, preset: updatePreset(req.params.id, req.body) });
+  } catch (err) {
+    return sendError(res, err, "Preset save");
+  }
+});
+
+app.post("/api/presets/:id/clone", (req, res) => {
+  try {
+    return res.status(201).json({ ok: true, preset: clonePreset(req.params.id, req.body || {}) });
+  } catch (err) {
+    return sendError(res, err, "Preset clone");
+  }
+});
+
+app.delete("/api/presets/:id", (req, res) => {
+  try {
+    deletePreset(req.params.id);
+    return res.json({ ok: true });
+  } catch (err) {
+    return sendError(res, err, "Preset delete");
+  }
+});
+
+/** ====== API: Usage (metered provider calls, prices and budgets) ====== */
+// ?projectId=<id> adds that project's totals; ?days=N (default 30) limits the daily list.
+app.get("/api/usage", (req, res) => {
+  try {
+    const projectId = /^[0-9a-f-]{36}$/.test(String(req.query.projectId || "")) ? String(req.query.projectId) : null;
+    return res.json({ ok: true, ...usageReport({ projectId, days: req.query.days }) });
+  } catch (err) {
+    return sendError(res, err, "Usage");
+  }
+});
+
+/** ====== API: Provider queues (per-model concurrency, rate limits and retries) and the render queue ====== */
+app.get("/api/queue", (req, res) => {
+  return res.json({ ok: true, queues: queueStats(), render: getRenderQueueStats() });
+});
+
+/** ====== API: Render Video (async jobs) ====== */
+// Submit: multipart images[] + audios[] + optional music + manifest. Returns 202 with a job id right away.
+app.post(
+  "/api/render-video",
+  upload.fields([{ name: "images" }, { name: "audios" }, { name: "music", maxCount: 1 }]),
+  (req, res) => {
+    const files = req.files || {};
+    try {
+      const job = submitRenderJob({ files, manifestJson: req.body?.manifest ?? "" });
+      return res.status(202).json({ ok: true, jobId: job.id, job: publicJob(job) });
+    } catch (err) {
+      removeUploads(files);
+      return sendError(res, err, "Render submit");
+    }
+  }
+);
+
+function findJob(req, res) {
+  const job = getRenderJob(req.params.id);
+  if (!job) res.status(404).json({ ok: false, error: "Render job not found (it may have expired)." });
+  return job;
 }
 
+// Polling status
+app.get("/api/render-jobs/:id", (req, res) => {
+  const job = findJob(req, res);
+  if (job) res.json({ ok: true, job: publicJob(job) });
+});
+
+// Server-Sent Events: one "progress" event per update, stream ends when the job does
+app.get("/api/render-jobs/:id/events", (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  const send = (view) => {
+    res.write(`event: progress\ndata: ${JSON.stringify(view)}\n\n`);
+    if (isTerminal(view)) res.end();
+  };
+
+  send(publicJob(job));
+  if (isTerminal(job)) return;
+
+  const unsubscribe = subscribeRenderJob(job.id, send);
+  // Keep proxies (and Cloud Run) from closing an idle stream
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+app.post("/api/render-jobs/:id/cancel", (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  cancelRenderJob(job.id);
+  res.json({ ok: true, job: publicJob(job) });
+});
+
+// ?format=shorts picks one output of a multi-format job (default: the first format rendered)
+app.get("/api/render-jobs/:id/download", (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  if (job.status !== "done") {
+    return res.status(409).json({ ok: false, error: `Render job is ${job.status}, nothing to download yet.` });
+  }
+  const format = String(req.query.format || Object.keys(job.outputs)[0]);
+  const outPath = Object.hasOwn(job.outputs, format) ? job.outputs[format] : null;
+  if (!outPath) {
+    return res.status(404).json({ ok: false, error: `No "${format}" output in this render job.` });
+  }
+  res.download(outPath, `creator-station-${format}.mp4`);
+});
+
+/** ====== Static frontend serving (Vite build output) ====== */
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// If you build the client into /app/client/dist (common), serve it:
+const distPath = path.join(__dirname, "client", "dist");
+app.use(express.static(distPath));
+
+// SPA fallback (React Router safe)
+app.get("*", (req, res) => {
+  res.sendFile(path.join(distPath, "index.html"));
+});
+
 app.listen(PORT, () => {
   console.log(`✅ Creator Station server listening on port ${PORT}`);
-  console.log(`Project=${GCP_PROJECT_ID || "(unset)"} Location=${GCP_LOCATION}`);
+  console.log(`Provider=${getProviderName()} Project=${GCP_PROJECT_ID || "(unset)"} Location=${GCP_LOCATION}`);
 });
@@ -1,20 +1,26 @@
 import { z } from 'zod';
-import { getVertexClient, getGeminiModelId } from './vertex.js';
+import { HttpError } from './errors.js';
+import { ScenePlan, SCENE_PLAN_RESPONSE_SCHEMA, parsePlanJson, coercePlan, formatPlanIssues } from './scenePlan.js';
+import { chunkScript, getChunkChars } from './chunking.js';
+import { splitScriptLocally } from './localSplit.js';
+import { meteredText } from './usage.js';
+import { SpeakingRate } from './tts.js';
+import { detectSpeakers, assignSpeakers, stripSpeakers } from './speakers.js';
 
 const AnalyzeReq = z.object({
   script: z.string().min(10),
   styleName: z.string().optional(),
   timingRuleSeconds: z.number().int().min(4).max(30).default(13),
   visualPromptSuffix: z.string().optional().default(''),
+  // 'local' splits the narration as written, without a model call (see src/localSplit.js).
+  mode: z.enum(['llm', 'local']).optional().default('llm'),
+  voice: z.string().optional().default('Default'),
+  speakingRate: SpeakingRate.optional().default(1.0),
+  paddingSec: z.number().min(0).max(3).optional().default(0.5),
+  imagePromptTemplate: z.string().max(2000).optional().default(''),
 });
 
-export async function analyzeScript(body) {
-  const { script, styleName, timingRuleSeconds, visualPromptSuffix } = AnalyzeReq.parse(body);
-
-  const { vertexAI } = getVertexClient();
-  const model = vertexAI.getGenerativeModel({ model: getGeminiModelId() });
-
-  const system = `
+const SYSTEM = `
 You are a YouTube production assistant. Convert the user's script into a scene plan.
 
 Output STRICT JSON ONLY with this schema:
@@ -37,52 +43,146 @@ Rules:
 - Split into scenes so each scene duration is <= TIMING_RULE_SECONDS.
 - Keep narration short and punchy for each scene.
 - image_prompt MUST NOT include the visual suffix. The server will append it later.
+- When PART is given, SCRIPT is one part of a longer script: keep TITLE, continue on from
+  PREVIOUS_NARRATION with the same visual style, and plan only the text in SCRIPT.
+- When SPEAKERS is given, SCRIPT is dialogue: keep each turn's speaker label exactly as written
+  ("Name: ...") at the start of its own line in narration, and keep labels out of on_screen_text
+  and image_prompt.
 - Avoid markdown, avoid commentary, JSON only.
 `.trim();
 
+/**
+ * Returns { plan, report }: plan is the validated scene plan; report.mode is 'llm' or 'local',
+ * report.chunks is how many parts the script was analyzed in, report.repairs counts repair
+ * round-trips and report.coerced lists fields that were defaulted, coerced, clamped or renumbered
+ * (paths refer to the stitched plan). Local mode also reports the wordsPerSecond it assumed.
+ * A dialogue script (see src/speakers.js) also gets plan.speakers, and each scene `lines`:
+ * [{ speaker, text }] per turn, with narration labelled one turn per line.
+ * onChunk({ index, total, title, scenes }) fires as each part finishes, with continuous scene ids.
+ * Model calls are metered against `usage` ({ projectId }).
+ */
+export async function analyzeScript(body, { onChunk = () => {}, signal, usage = {} } = {}) {
+  const req = AnalyzeReq.parse(body);
+  const { script, styleName, timingRuleSeconds } = req;
+  const speakers = detectSpeakers(script);
+  const withSpeakers = speakers.length ? { speakers } : {};
+  // A title taken from the first line of dialogue loses its "Narrator:".
+  const plainTitle = (t) => (speakers.length && t ? stripSpeakers(t, speakers).trim() || t : t);
+
+  if (req.mode === 'local') {
+    const { plan, wordsPerSecond } = splitScriptLocally(req);
+    if (speakers.length) assignSpeakers(plan.scenes, speakers);
+    plan.title = plainTitle(plan.title);
+    onChunk({ index: 0, total: 1, title: plan.title, scenes: plan.scenes });
+    return { plan: { ...plan, ...withSpeakers }, report: { mode: 'local', chunks: 1, repairs: 0, coerced: [], wordsPerSecond } };
+  }
+
+  const chunks = chunkScript(script, getChunkChars(), { keepLines: speakers.length > 0 });
+
+  let title = null;
+  const summaries = [];
+  const scenes = [];
+  const coerced = [];
+  let repairs = 0;
+  let speaking = null; // speaker still talking at the end of the previous part
+
+  for (const [index, chunk] of chunks.entries()) {
+    if (signal?.aborted) throw new Error('Analysis cancelled.');
+    const context = chunks.length > 1
+      ? { part: index + 1, parts: chunks.length, title, previousNarration: scenes.at(-1)?.narration }
+      : null;
+    const { plan, report } = await planChunk({ chunk, styleName, timingRuleSeconds, context, speakers, usage });
+
+    const offset = scenes.length;
+    const added = plan.scenes.map(s => ({ ...s, scene_id: offset + s.scene_id }));
+    if (speakers.length) speaking = assignSpeakers(added, speakers, speaking);
+    scenes.push(...added);
+    title ??= plainTitle(plan.title);
+    if (plan.summary) summaries.push(plan.summary);
+    repairs += report.repairs;
+    for (const c of report.coerced) {
+      const path = c.path.startsWith('scenes[')
+        ? c.path.replace(/^scenes\[(\d+)\]/, (_, j) => `scenes[${offset + Number(j)}]`)
+        : chunks.length > 1 ? `chunks[${index}].${c.path}` : c.path;
+      coerced.push({ ...c, path });
+    }
+    onChunk({ index, total: chunks.length, title, scenes: added });
+  }
+
+  return {
+    plan: { title, summary: summaries.join(' '), scenes, ...withSpeakers },
+    report: { mode: 'llm', chunks: chunks.length, repairs, coerced }
+  };
+}
+
+// One model call (plus repairs) for one part of the script.
+async function planChunk({ chunk, styleName, timingRuleSeconds, context, speakers, usage }) {
+  const contextLines = context
+    ? [
+      `PART: ${context.part} of ${context.parts}`,
+      context.title ? `TITLE: ${context.title}` : null,
+      context.previousNarration ? `PREVIOUS_NARRATION: ${context.previousNarration}` : null
+    ].filter(Boolean).join('\n') + '\n'
+    : '';
+
   const prompt = `
 STYLE_NAME: ${styleName || 'Unknown'}
 TIMING_RULE_SECONDS: ${timingRuleSeconds}
-
+${speakers.length ? `SPEAKERS: ${speakers.join(', ')}\n` : ''}${contextLines}
 SCRIPT:
-${script}
+${chunk}
 `.trim();
 
-  const resp = await model.generateContent({
-    contents: [
-      { role: 'user', parts: [{ text: system }, { text: prompt }] }
-    ],
-    generationConfig: {
-      temperature: 0.4,
-      maxOutputTokens: 2048
+  const request = { system: SYSTEM, task: 'scene-plan', temperature: 0.4, maxOutputTokens: 2048, responseSchema: SCENE_PLAN_RESPONSE_SCHEMA };
+  let text = await meteredText(usage, { ...request, prompt });
+
+  // Validate; on failure send the model its own output plus the issues, a bounded number of times.
+  const maxRepairs = getMaxRepairs();
+  for (let attempt = 0; ; attempt++) {
+    let issues;
+    try {
+      const { plan: candidate, coerced } = coercePlan(parsePlanJson(text), { timingRuleSeconds });
+      const result = ScenePlan.safeParse(candidate);
+      if (result.success) {
+        return { plan: result.data, report: { repairs: attempt, coerced } };
+      }
+      issues = formatPlanIssues(result.error);
+    } catch (e) {
+      issues = [e.message];
     }
-  });
-
-  const text = resp?.response?.candidates?.[0]?.content?.parts?.map(p => p.text).join('') || '';
-  // Extract JSON even if model adds stray text.
-  const start = text.indexOf('{');
-  const end = text.lastIndexOf('}');
-  if (start < 0 || end < 0) throw new Error('Model did not return JSON.');
-  const jsonStr = text.slice(start, end + 1);
-
-  let data;
-  try {
-    data = JSON.parse(jsonStr);
-  } catch (e) {
-    throw new Error('Failed to parse model JSON. Try again.');
-  }
 
-  // Enforce timing rule and append suffix later in image generation
-  if (Array.isArray(data.scenes)) {
-    data.scenes = data.scenes.map((s, idx) => ({
-      scene_id: Number(s.scene_id ?? (idx + 1)),
-      duration_sec: Math.min(Number(s.duration_sec ?? timingRuleSeconds), timingRuleSeconds),
-      narration: String(s.narration ?? ''),
-      on_screen_text: String(s.on_screen_text ?? ''),
-      image_prompt: String(s.image_prompt ?? ''),
-      keywords: Array.isArray(s.keywords) ? s.keywords.map(String).slice(0, 12) : []
-    }));
+    if (attempt >= maxRepairs) {
+      const where = context ? ` (part ${context.part} of ${context.parts})` : '';
+      throw new HttpError(502, `The model's scene plan${where} was still invalid after ${maxRepairs} repair attempt(s): ${issues.slice(0, 5).join('; ')}`);
+    }
+    console.warn(`Scene plan invalid (attempt ${attempt + 1}), asking for a repair:`, issues);
+    text = await meteredText(usage, {
+      ...request,
+      task: 'scene-plan-repair',
+      temperature: 0.2,
+      prompt: repairPrompt(text, issues, prompt)
+    });
   }
+}
 
-  return data;
+function getMaxRepairs() {
+  const n = Number(process.env.ANALYZE_MAX_REPAIRS ?? 2);
+  return Number.isInteger(n) && n >= 0 ? Math.min(n, 5) : 2;
+}
+
+// The original request goes last so SCRIPT: still ends the prompt.
+function repairPrompt(previous, issues, original) {
+  return `
+Your previous answer did not match the required JSON schema.
+
+PREVIOUS_OUTPUT:
+${String(previous).slice(0, 12000)}
+
+VALIDATION_ERRORS:
+${issues.slice(0, 20).map(i => `- ${i}`).join('\n')}
+
+Return the complete corrected JSON only, for this request:
+
+${original}
+`.trim();
 }
@@ -0,0 +1,67 @@
+// MP3 duration by walking frame headers. No ffprobe needed, and exact for CBR and VBR alike.
+
+const BITRATES = {
+  // kbps by [version][layer], index 1..14
+  V1L1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  V1L2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  V1L3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  V2L1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  V2L23: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+const SAMPLE_RATES = {
+  3: [44100, 48000, 32000], // MPEG-1
+  2: [22050, 24000, 16000], // MPEG-2
+  0: [11025, 12000, 8000] // MPEG-2.5
+};
+
+function readFrame(buf, i) {
+  if (buf[i] !== 0xFF || (buf[i + 1] & 0xE0) !== 0xE0) return null;
+  const version = (buf[i + 1] >> 3) & 3;
+  const layer = (buf[i + 1] >> 1) & 3; // 3 = Layer I, 2 = Layer II, 1 = Layer III
+  const bitrateIdx = buf[i + 2] >> 4;
+  const rateIdx = (buf[i + 2] >> 2) & 3;
+  const padding = (buf[i + 2] >> 1) & 1;
+  if (version === 1 || layer === 0 || bitrateIdx === 0 || bitrateIdx === 15 || rateIdx === 3) return null;
+
+  const v1 = version === 3;
+  const table = v1
+    ? (layer === 3 ? BITRATES.V1L1 : layer === 2 ? BITRATES.V1L2 : BITRATES.V1L3)
+    : (layer === 3 ? BITRATES.V2L1 : BITRATES.V2L23);
+  const bitrate = table[bitrateIdx] * 1000;
+  const sampleRate = SAMPLE_RATES[version][rateIdx];
+
+  if (layer === 3) {
+    return { length: Math.floor((12 * bitrate) / sampleRate + padding) * 4, samples: 384, sampleRate };
+  }
+  const samples = layer === 1 && !v1 ? 576 : 1152;
+  return { length: Math.floor((samples / 8) * bitrate / sampleRate) + padding, samples, sampleRate };
+}
+
+// ID3v2 tag length at the start of buf: 10-byte header + syncsafe size (+ optional 10-byte footer).
+function id3Length(buf) {
+  if (buf.length <= 10 || buf.toString('latin1', 0, 3) !== 'ID3') return 0;
+  const size = ((buf[6] & 0x7F) << 21) | ((buf[7] & 0x7F) << 14) | ((buf[8] & 0x7F) << 7) | (buf[9] & 0x7F);
+  return 10 + size + ((buf[5] & 0x10) ? 10 : 0);
+}
+
+/** Duration in seconds of an MP3 buffer (0 when no frames are found). */
+export function probeMp3Duration(buf) {
+  let i = id3Length(buf);
+  let seconds = 0;
+  while (i + 4 <= buf.length) {
+    const frame = readFrame(buf, i);
+    if (!frame || frame.length <= 0) {
+      i++;
+      continue;
+    }
+    seconds += frame.samples / frame.sampleRate;
+    i += frame.length;
+  }
+  return seconds;
+}
+
+/** One MP3 from several (same sample rate): frames back to back, tags after the first dropped. */
+export function concatMp3(buffers) {
+  return Buffer.concat(buffers.map((buf, i) => (i === 0 ? buf : buf.subarray(id3Length(buf)))));
+}
@@ -0,0 +1,219 @@
+import crypto from 'crypto';
+import { z } from 'zod';
+import PQueue from 'p-queue';
+import { HttpError } from './errors.js';
+import { generateImage } from './imagen.js';
+import { generateSpeech, Cast, SpeechLine } from './tts.js';
+import { cacheGet, cacheKey } from './cache.js';
+import { probeMp3Duration } from './audio.js';
+import { Lexicon } from './ssml.js';
+
+// "Generate All" on the server: one request carries every scene, scenes are generated a few at a
+// time (on top of the per-model limits in src/scheduler.js) and each result is reported as soon
+// as it is ready. Batches are remembered for a while, so a batch that was cut short (closed tab,
+// dropped connection, budget refusal) can be resumed: scenes that already succeeded with the same
+// request are sent again from the media cache, the rest are generated.
+
+const MAX_BATCHES = 100;
+const KEEP_MS = 24 * 60 * 60 * 1000;
+
+const SceneId = z.union([z.string().min(1).max(64), z.number().int()]);
+
+const BatchCommon = {
+  batchId: z.string().uuid().optional(),
+  bypassCache: z.boolean().optional().default(false),
+  concurrency: z.number().int().min(1).max(8).optional()
+};
+
+// Shared options go at the top level; scenes carry what differs per scene. Each scene's request
+// is validated by generateImage / generateSpeech, so a bad scene fails alone.
+const KINDS = {
+  image: {
+    schema: z.object({
+      ...BatchCommon,
+      suffix: z.string().optional(),
+      negativePrompt: z.string().optional(),
+      aspect: z.string().optional(),
+      scenes: z.array(z.object({ id: SceneId, prompt: z.string() })).min(1).max(500)
+    }),
+    request: ({ suffix, negativePrompt, aspect }, scene) => ({ prompt: scene.prompt, suffix, negativePrompt, aspect }),
+    generate: generateImage,
+    fromCache: (data) => ({ imageBase64: data.toString('base64') }),
+    fields: (r) => ({ imageBase64: r.imageBase64 }),
+    meta: () => ({})
+  },
+  speech: {
+    schema: z.object({
+      ...BatchCommon,
+      voice: z.string().optional(),
+      languageCode: z.string().optional(),
+      speakingRate: z.number().optional(),
+      pitch: z.number().optional(),
+      volumeGainDb: z.number().optional(),
+      lexicon: Lexicon.optional(),
+      cast: Cast.optional(),
+      // lines: a dialogue scene's turns, read by the cast's voices
+      scenes: z.array(z.object({ id: SceneId, text: z.string(), lines: z.array(SpeechLine).optional() })).min(1).max(500)
+    }),
+    request: (shared, { text, lines }) => ({ ...shared, text, ...(lines ? { lines } : {}) }),
+    generate: generateSpeech,
+    fromCache: (data) => ({
+      audioBase64: data.toString('base64'),
+      mime: 'audio/mpeg',
+      durationSec: Math.round(probeMp3Duration(data) * 1000) / 1000
+    }),
+    fields: (r) => ({ audioBase64: r.audioBase64, mime: r.mime, durationSec: r.durationSec, ...(r.voices ? { voices: r.voices } : {}) }),
+    // What fields() reports besides the media, kept so a resumed scene is reported the same way.
+    meta: (r) => (r.voices ? { voices: r.voices } : {})
+  }
+};
+
+// batchId -> { id, kind, createdAt, updatedAt, scenes: Map(sceneId -> state) }
+// state: { fingerprint, status: 'done' | 'failed' | 'pending', cacheKey?, meta?, error?, retries }
+const batches = new Map();
+
+function defaultConcurrency() {
+  const n = Number(process.env.BATCH_CONCURRENCY ?? 4);
+  return Number.isInteger(n) && n > 0 ? Math.min(n, 8) : 4;
+}
+
+function forgetOld() {
+  const cutoff = Date.now() - KEEP_MS;
+  for (const [id, b] of batches) {
+    if (b.updatedAt < cutoff || batches.size > MAX_BATCHES) batches.delete(id);
+  }
+}
+
+// Identifies what a scene asked for, so a resumed scene is only reused when nothing changed.
+const fingerprint = (kind, request) => cacheKey(`batch-${kind}`, { request });
+
+function summary(batch) {
+  const counts = { done: 0, failed: 0, pending: 0 };
+  for (const s of batch.scenes.values()) counts[s.status] += 1;
+  return { batchId: batch.id, kind: batch.kind, total: batch.scenes.size, ...counts };
+}
+
+/** GET /api/batch/:id -> the batch's counts and each scene's status (no media). */
+export function getBatch(id) {
+  const batch = batches.get(id);
+  if (!batch) throw new HttpError(404, 'Batch not found (batches are kept for 24 hours and lost on restart).');
+  return {
+    ...summary(batch),
+    scenes: [...batch.scenes].map(([id, s]) => ({ id, status: s.status, retries: s.retries, ...(s.error ? { error: s.error } : {}) }))
+  };
+}
+
+/**
+ * Runs (or resumes, with a known batchId) a batch of `kind` ('image' | 'speech'). emit(line) gets:
+ *   { type: 'start', batchId, kind, total, resumed }
+ *   { type: 'scene', id, status: 'running' }
+ *   { type: 'scene', id, status: 'retrying', retries, error }
+ *   { type: 'scene', id, status: 'done', retries, cache, resumed?, ...media }
+ *   { type: 'scene', id, status: 'failed', retries, error, httpStatus }
+ *   { type: 'done', batchId, kind, total, done, failed, pending, stopped? }
+ * A budget refusal (402) stops the batch: scenes not started stay pending for a resume. So does
+ * an abort via `signal` (the client went away); scenes already running still finish and count.
+ * A signal that is already aborted throws a 499 before anything runs.
+ */
+export async function runBatch(kind, body, usage, { emit, signal } = {}) {
+  const spec = KINDS[kind];
+  const { batchId, bypassCache, concurrency, scenes, ...shared } = spec.schema.parse(body || {});
+  const ids = new Set();
+  for (const scene of scenes) {
+    if (ids.has(scene.id)) throw new HttpError(400, `Duplicate scene id "${scene.id}".`);
+    ids.add(scene.id);
+  }
+  // Gone before it started: leave a previous run of this batch as it was, ready for a resume.
+  if (signal?.aborted) throw new HttpError(499, 'The client disconnected.');
+
+  forgetOld();
+  const previous = batchId ? batches.get(batchId) : null;
+  if (previous && previous.kind !== kind) throw new HttpError(400, `Batch ${batchId} is not a ${kind} batch.`);
+  const batch = {
+    id: previous?.id || crypto.randomUUID(),
+    kind,
+    createdAt: previous?.createdAt || Date.now(),
+    updatedAt: Date.now(),
+    scenes: new Map()
+  };
+  batches.set(batch.id, batch);
+
+  const jobs = scenes.map(scene => {
+    const request = spec.request(shared, scene);
+    const print = fingerprint(kind, request);
+    const before = previous?.scenes.get(scene.id);
+    const reusable = !bypassCache && before?.status === 'done' && before.fingerprint === print ? before : null;
+    batch.scenes.set(scene.id, { fingerprint: print, status: 'pending', retries: 0 });
+    return { id: scene.id, request, reusable };
+  });
+
+  emit({ type: 'start', batchId: batch.id, kind, total: jobs.length, resumed: jobs.filter(j => j.reusable).length });
+
+  let stopped = null;
+  const queue = new PQueue({ concurrency: concurrency || defaultConcurrency() });
+  const stop = (reason) => {
+    stopped ??= reason;
+    queue.clear();
+  };
+  const onAbort = () => stop('The client disconnected.');
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  const runScene = async ({ id, request, reusable }) => {
+    const state = batch.scenes.get(id);
+    const settle = (patch, line) => {
+      Object.assign(state, patch);
+      batch.updatedAt = Date.now();
+      emit({ type: 'scene', id, status: state.status, retries: state.retries, ...line });
+    };
+
+    // Already generated in this batch: send it again from the cache (no new charge).
+    const cached = reusable?.cacheKey ? cacheGet(reusable.cacheKey) : null;
+    if (cached) {
+      settle(
+        { status: 'done', cacheKey: reusable.cacheKey, meta: reusable.meta, retries: reusable.retries },
+        { resumed: true, ...spec.fromCache(cached), ...reusable.meta }
+      );
+      return;
+    }
+
+    emit({ type: 'scene', id, status: 'running' });
+    try {
+      const result = await spec.generate({ ...request, bypassCache }, usage, {
+        onRetry: ({ attempt, error }) => {
+          state.retries = attempt;
+          emit({ type: 'scene', id, status: 'retrying', retries: attempt, error });
+        }
+      });
+      if (!result.ok) {
+        settle({ status: 'failed', error: result.error }, { error: result.error, httpStatus: 502 });
+        return;
+      }
+      settle(
+        { status: 'done', cacheKey: result.cache?.key, meta: spec.meta(result), error: undefined },
+        { cache: result.cache, ...spec.fields(result) }
+      );
+    } catch (err) {
+      const message = err?.issues
+        ? err.issues.map(i => `${i.path.join('.') || 'scene'}: ${i.message}`).join('; ')
+        : err?.message || 'Generation failed.';
+      const httpStatus = err?.issues ? 400 : err?.status || 500;
+      if (httpStatus === 402) {
+        // Nothing else will get through either; leave this scene and the rest pending.
+        stop(message);
+        settle({ status: 'pending', error: message }, { error: message, httpStatus });
+        return;
+      }
+      if (httpStatus === 500) console.error(`Batch ${kind} scene ${id} exception:`, err);
+      settle({ status: 'failed', error: message }, { error: message, httpStatus });
+    }
+  };
+
+  // Not awaited one by one: stop() clears the queue, and cleared jobs never settle.
+  for (const job of jobs) queue.add(() => runScene(job));
+  await queue.onIdle();
+  signal?.removeEventListener('abort', onAbort);
+
+  const result = summary(batch);
+  emit({ type: 'done', ...result, ...(stopped ? { stopped } : {}) });
+  return result;
+}
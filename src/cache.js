@@ -0,0 +1,121 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Content-addressed cache of generated media in <DATA_DIR>/cache/<kind>/<sha256>.<ext>. The key is
+// a hash of everything that shapes the output (provider, model and the full provider request), so
+// an unchanged scene is served from disk instead of paid for again. Total size is capped at
+// CACHE_MAX_MB (default 1024; 0 turns the cache off), evicting the least recently used entries.
+// A hit refreshes the file's mtime, so recency survives restarts.
+
+const EXTENSIONS = { image: 'png', speech: 'mp3' };
+const FORMAT_VERSION = 1;
+
+// key -> { kind, file, size }, least recently used first (Map keeps insertion order).
+let index = null;
+let totalBytes = 0;
+
+export function getCacheDir() {
+  return path.join(process.env.DATA_DIR || path.join(process.cwd(), 'data'), 'cache');
+}
+
+export function getCacheMaxBytes() {
+  const mb = Number(process.env.CACHE_MAX_MB ?? 1024);
+  return Number.isFinite(mb) && mb > 0 ? Math.floor(mb * 1024 * 1024) : 0;
+}
+
+/** sha256 over a canonical JSON of the request (object keys sorted, so field order doesn't matter). */
+export function cacheKey(kind, { provider, model, request }) {
+  const canonical = JSON.stringify({ v: FORMAT_VERSION, kind, provider, model, request }, (k, v) => (
+    v && typeof v === 'object' && !Array.isArray(v)
+      ? Object.fromEntries(Object.keys(v).sort().map(key => [key, v[key]]))
+      : v
+  ));
+  return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+function load() {
+  if (index) return index;
+  index = new Map();
+  totalBytes = 0;
+  const entries = [];
+  for (const kind of Object.keys(EXTENSIONS)) {
+    const dir = path.join(getCacheDir(), kind);
+    if (!fs.existsSync(dir)) continue;
+    for (const name of fs.readdirSync(dir)) {
+      const m = name.match(/^([0-9a-f]{64})\.\w+$/);
+      if (!m) continue;
+      const file = path.join(dir, name);
+      const stat = fs.statSync(file);
+      entries.push({ key: m[1], kind, file, size: stat.size, usedAt: stat.mtimeMs });
+    }
+  }
+  for (const { usedAt, key, ...entry } of entries.sort((a, b) => a.usedAt - b.usedAt)) {
+    index.set(key, entry);
+    totalBytes += entry.size;
+  }
+  return index;
+}
+
+function evict(maxBytes) {
+  for (const [key, entry] of index) {
+    if (totalBytes <= maxBytes) break;
+    fs.rmSync(entry.file, { force: true });
+    index.delete(key);
+    totalBytes -= entry.size;
+  }
+}
+
+/** The cached bytes for key, or null. Counts as a use for LRU. */
+export function cacheGet(key) {
+  if (!getCacheMaxBytes()) return null;
+  const entry = load().get(key);
+  if (!entry) return null;
+  let data;
+  try {
+    data = fs.readFileSync(entry.file);
+  } catch {
+    // Removed behind our back: forget it.
+    index.delete(key);
+    totalBytes -= entry.size;
+    return null;
+  }
+  index.delete(key);
+  index.set(key, entry);
+  const now = new Date();
+  try {
+    fs.utimesSync(entry.file, now, now);
+  } catch { /* recency is best effort */ }
+  return data;
+}
+
+/** Stores data under key (write-then-rename), then evicts down to the size limit. Never throws. */
+export function cachePut(kind, key, data) {
+  const maxBytes = getCacheMaxBytes();
+  if (!maxBytes || data.length > maxBytes) return;
+  try {
+    load();
+    const file = path.join(getCacheDir(), kind, `${key}.${EXTENSIONS[kind]}`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, data);
+    fs.renameSync(tmp, file);
+    const previous = index.get(key);
+    if (previous) {
+      index.delete(key);
+      totalBytes -= previous.size;
+    }
+    index.set(key, { kind, file, size: data.length });
+    totalBytes += data.length;
+    evict(maxBytes);
+  } catch (err) {
+    console.warn('Could not write to the media cache:', err.message);
+  }
+}
+
+export function cacheStats() {
+  const maxBytes = getCacheMaxBytes();
+  if (!maxBytes) return { enabled: false, entries: 0, bytes: 0, maxBytes: 0 };
+  load();
+  return { enabled: true, entries: index.size, bytes: totalBytes, maxBytes };
+}
@@ -0,0 +1,60 @@
+// Long scripts are analyzed in parts so each model call fits its output budget. Parts end at
+// paragraph breaks where possible, else at sentence ends, else between words. Dialogue keeps its
+// line breaks (one speaker turn per line, see src/speakers.js) and may also end a part at one.
+
+const DEFAULT_CHUNK_CHARS = 2500;
+
+export function getChunkChars() {
+  const n = Number(process.env.ANALYZE_CHUNK_CHARS || DEFAULT_CHUNK_CHARS);
+  return Number.isFinite(n) && n >= 500 ? Math.floor(n) : DEFAULT_CHUNK_CHARS;
+}
+
+// Pieces of at most maxChars, each remembering the separator that preceded it.
+function units(script, maxChars, keepLines) {
+  const out = [];
+  const tidy = keepLines
+    ? (p) => p.split('\n').map(line => line.replace(/[ \t]+/g, ' ').trim()).filter(Boolean).join('\n')
+    : (p) => p.replace(/\s+/g, ' ').trim();
+  const paragraphs = String(script).split(/\n\s*\n/).map(tidy).filter(Boolean);
+  for (const paragraph of paragraphs) {
+    let sep = '\n\n';
+    const push = (text) => { out.push({ text, sep }); sep = ' '; };
+    if (paragraph.length <= maxChars) { push(paragraph); continue; }
+    for (const [i, line] of paragraph.split('\n').entries()) {
+      if (i) sep = '\n';
+      if (line.length <= maxChars) { push(line); continue; }
+      for (const sentence of line.split(/(?<=[.!?])\s+/)) {
+        if (sentence.length <= maxChars) { push(sentence); continue; }
+        let cur = '';
+        for (const word of sentence.split(' ')) {
+          if (cur && cur.length + 1 + word.length > maxChars) { push(cur); cur = ''; }
+          if (cur) { cur = `${cur} ${word}`; continue; }
+          // A word longer than a part (a URL, a run of symbols) is cut into parts, never dropped.
+          let rest = word;
+          while (rest.length > maxChars) { push(rest.slice(0, maxChars)); rest = rest.slice(maxChars); }
+          cur = rest;
+        }
+        if (cur) push(cur);
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Splits a script into parts of at most maxChars. A short script comes back as one part.
+ * keepLines: keep single line breaks inside paragraphs (dialogue) instead of joining the lines.
+ */
+export function chunkScript(script, maxChars = getChunkChars(), { keepLines = false } = {}) {
+  const chunks = [];
+  let cur = '';
+  for (const { text, sep } of units(script, maxChars, keepLines)) {
+    if (cur && cur.length + sep.length + text.length > maxChars) {
+      chunks.push(cur);
+      cur = '';
+    }
+    cur = cur ? cur + sep + text : text;
+  }
+  if (cur) chunks.push(cur);
+  return chunks;
+}
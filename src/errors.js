@@ -0,0 +1,26 @@
+// Errors that should reach the client with a specific HTTP status (server.js reads `status`).
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+// An AI provider call that failed upstream. `upstreamStatus` is the provider's HTTP status (when
+// there was one); the client sees 429 for rate limits and 502 otherwise. See src/scheduler.js.
+export class ProviderError extends Error {
+  constructor(message, upstreamStatus, { retryAfterMs } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.upstreamStatus = upstreamStatus ?? null;
+    this.status = upstreamStatus === 429 ? 429 : 502;
+    this.retryAfterMs = retryAfterMs ?? null;
+  }
+}
+
+/** A fetch Response's Retry-After in ms; only the seconds form is read (an HTTP date gives null). */
+export function retryAfterMs(response) {
+  const sec = Number(response.headers.get('retry-after'));
+  return Number.isFinite(sec) && sec > 0 ? sec * 1000 : null;
+}
@@ -0,0 +1,9 @@
+// Output formats. The aspect drives image generation, the size drives the render.
+// Keep in step with client/src/formats.js.
+export const FORMATS = {
+  landscape: { id: 'landscape', aspect: '16:9', width: 1280, height: 720, maxCharsPerLine: 42 },
+  shorts: { id: 'shorts', aspect: '9:16', width: 720, height: 1280, maxCharsPerLine: 24 },
+  square: { id: 'square', aspect: '1:1', width: 720, height: 720, maxCharsPerLine: 30 }
+};
+
+export const FORMAT_IDS = Object.keys(FORMATS);
@@ -1,10 +1,16 @@
 import { z } from 'zod';
-import { getVertexClient, getImagenModelId } from './vertex.js';
+import { getProvider } from './providers/index.js';
+import { reserveBudget, recordUsage, recordCacheHit } from './usage.js';
+import { cacheKey, cacheGet, cachePut } from './cache.js';
 
 const ImageReq = z.object({
   prompt: z.string().min(5),
   suffix: z.string().optional().default(''),
-  aspect: z.enum(['16:9', '1:1', '9:16']).optional().default('16:9')
+  // What the image should not contain (from the style preset)
+  negativePrompt: z.string().max(1000).optional().default(''),
+  aspect: z.enum(['16:9', '1:1', '9:16']).optional().default('16:9'),
+  // Skip the cache lookup and generate a new image (which then replaces the cached one)
+  bypassCache: z.boolean().optional().default(false)
 });
 
 function aspectToSize(aspect) {
@@ -13,38 +19,40 @@ function aspectToSize(aspect) {
   return { width: 1280, height: 720 };
 }
 
-export async function generateImage(body) {
-  const { prompt, suffix, aspect } = ImageReq.parse(body);
-  const { vertexAI } = getVertexClient();
-
-  // Imagen on Vertex AI uses a Prediction-style API through the SDK's generative image model helper.
-  // The exact model id can vary by region; override VERTEX_IMAGEN_MODEL if needed.
-  const model = vertexAI.getGenerativeModel({ model: getImagenModelId() });
-
+/**
+ * `usage` ({ projectId }) is who the image is metered and budgeted against (src/usage.js).
+ * Identical requests are served from the media cache (src/cache.js) unless bypassCache is set;
+ * the response's `cache` says whether it was a hit and what the hit saved. onRetry: see src/scheduler.js.
+ */
+export async function generateImage(body, usage = {}, { onRetry } = {}) {
+  const { prompt, suffix, negativePrompt, aspect, bypassCache } = ImageReq.parse(body);
   const { width, height } = aspectToSize(aspect);
   const fullPrompt = `${prompt}${suffix ? ' ' + suffix : ''}`.trim();
 
-  // Many Vertex image models accept a "prompt" and image parameters. If your region requires a different request shape,
-  // change here without touching the frontend.
-  const resp = await model.generateContent({
-    contents: [{ role: 'user', parts: [{ text: JSON.stringify({
-      prompt: fullPrompt,
-      image: { width, height },
-      safetySettings: 'default'
-    }) }] }],
-    generationConfig: { temperature: 0.2, maxOutputTokens: 1024 }
-  });
-
-  // Try to locate base64 image data in the response.
-  const parts = resp?.response?.candidates?.[0]?.content?.parts || [];
-  const joined = parts.map(p => p.text || '').join('\n');
+  const provider = getProvider();
+  const request = { prompt: fullPrompt, negativePrompt, aspect, width, height };
+  const key = cacheKey('image', { provider: provider.name, model: provider.modelFor('image'), request });
+  const cached = bypassCache ? null : cacheGet(key);
+  if (cached) {
+    const savedUsd = recordCacheHit(usage, 'image', { images: 1 });
+    return { ok: true, imageBase64: cached.toString('base64'), cache: { hit: true, key, savedUsd } };
+  }
 
-  // Heuristic: find base64 token that looks like an image.
-  // If your Vertex model returns different fields, you can update parsing.
-  const b64Match = joined.match(/"data"\s*:\s*"([^"]+)"/) || joined.match(/base64,([A-Za-z0-9+/=]+)/);
-  if (!b64Match) {
-    // Fallback: return raw text for debugging in UI
-    return { ok: false, error: 'No image data found in response. Check model id/region.', raw: joined };
+  const release = reserveBudget(usage, 'image', { images: 1 });
+  let imageBase64;
+  try {
+    imageBase64 = await provider.generateImage(request, { onRetry });
+  } catch (err) {
+    recordUsage(usage, 'image', {}, { failed: true });
+    throw err;
+  } finally {
+    release();
+  }
+  recordUsage(usage, 'image', { images: imageBase64 ? 1 : 0 }, { failed: !imageBase64 });
+  if (!imageBase64) {
+    // Usually a safety filter or a model id that is not available in this region.
+    return { ok: false, error: 'No image data found in response. Check model id/region.' };
   }
-  return { ok: true, imageBase64: b64Match[1] };
+  cachePut('image', key, Buffer.from(imageBase64, 'base64'));
+  return { ok: true, imageBase64, cache: { hit: false, key, savedUsd: 0 } };
 }
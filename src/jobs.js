@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { EventEmitter } from 'events';
+import PQueue from 'p-queue';
+import { renderMp4, validateRenderRequest, removeUploads } from './render.js';
+
+// In-memory render jobs. State lives in this process, so on Cloud Run keep the
+// service on one instance (or enable session affinity) while renders run.
+const RENDER_CONCURRENCY = Math.max(1, Number(process.env.RENDER_CONCURRENCY || 1));
+const JOB_TTL_MS = Number(process.env.RENDER_JOB_TTL_MIN || 60) * 60 * 1000;
+
+const queue = new PQueue({ concurrency: RENDER_CONCURRENCY });
+const jobs = new Map();
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+const TERMINAL = new Set(['done', 'failed', 'cancelled']);
+
+export function isTerminal(job) {
+  return TERMINAL.has(job.status);
+}
+
+// What clients see: no paths, no controller. `outputs` lists the formats ready to download.
+export function publicJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    error: job.error,
+    outputs: Object.keys(job.outputs || {}),
+    queuePosition: job.status === 'queued' ? [...jobs.values()].filter(j => j.status === 'queued' && j.createdAt <= job.createdAt).length : 0,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+function update(job, patch) {
+  Object.assign(job, patch, { updatedAt: Date.now() });
+  events.emit(job.id, publicJob(job));
+}
+
+function removeOutput(job) {
+  if (job.workDir) fs.rmSync(job.workDir, { recursive: true, force: true });
+  job.workDir = null;
+  job.outputs = {};
+}
+
+async function runJob(job, files, manifestJson) {
+  if (job.status === 'cancelled') return;
+  update(job, { status: 'running' });
+  try {
+    const { outputs, workDir } = await renderMp4({
+      files,
+      manifestJson,
+      signal: job.controller.signal,
+      onProgress: progress => update(job, { progress })
+    });
+    job.outputs = outputs;
+    job.workDir = workDir;
+    update(job, { status: 'done' });
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      update(job, { status: 'cancelled' });
+    } else {
+      console.error(`Render job ${job.id} failed:`, err);
+      update(job, { status: 'failed', error: err.message || 'Render failed.' });
+    }
+  }
+}
+
+/** Validates the request up front (so bad requests fail with 400), then queues the render. */
+export function submitRenderJob({ files, manifestJson }) {
+  validateRenderRequest({ files, manifestJson });
+
+  const now = Date.now();
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    progress: { stage: 'queued', segment: 0, segments: 0, percent: 0 },
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    controller: new AbortController(),
+    outputs: {},
+    workDir: null,
+    cleanupUploads: () => removeUploads(files)
+  };
+  jobs.set(job.id, job);
+  queue.add(() => runJob(job, files, manifestJson));
+  return job;
+}
+
+export function getRenderJob(id) {
+  return jobs.get(id) || null;
+}
+
+export function cancelRenderJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (isTerminal(job)) return job;
+  job.controller.abort();
+  if (job.status === 'queued') {
+    // Never reached renderMp4, so the uploads are still ours to remove.
+    job.cleanupUploads();
+    update(job, { status: 'cancelled' });
+  }
+  return job;
+}
+
+/** Calls listener(publicJob) on every change; returns an unsubscribe function. */
+export function subscribeRenderJob(id, listener) {
+  events.on(id, listener);
+  return () => events.off(id, listener);
+}
+
+/** Renders running and waiting (GET /api/queue). */
+export function getRenderQueueStats() {
+  return { running: queue.pending, queued: queue.size, concurrency: RENDER_CONCURRENCY };
+}
+
+// Drop finished jobs (and their MP4s) after the TTL.
+setInterval(() => {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const job of jobs.values()) {
+    if (isTerminal(job) && job.updatedAt < cutoff) {
+      removeOutput(job);
+      jobs.delete(job.id);
+    }
+  }
+}, 5 * 60 * 1000).unref();
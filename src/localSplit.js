@@ -0,0 +1,132 @@
+// Offline scene splitting for narration that is already final: no model call, same input always
+// gives the same plan. Speech length is estimated from words per second for the chosen voice and
+// speaking rate, and scenes are cut at sentence ends, else clause breaks, else between words, so
+// none runs past the timing rule.
+
+const DEFAULT_WORDS_PER_SECOND = 2.5;
+
+// Pace of each studio voice (see src/tts.js) at speakingRate 1.0.
+export const VOICE_WORDS_PER_SECOND = {
+  Default: 2.5,
+  Fenrir: 2.3,
+  Puck: 2.6,
+  Zephyr: 2.5,
+  Nova: 2.5
+};
+
+// Short pause the voice takes at a sentence end.
+const SENTENCE_PAUSE_SEC = 0.3;
+
+const STOPWORDS = new Set(['about', 'after', 'again', 'because', 'before', 'being', 'could', 'every', 'first', 'going',
+  'other', 'should', 'their', 'there', 'these', 'thing', 'things', 'think', 'those', 'through', 'which', 'while',
+  'would', 'where', 'really', 'still', 'never', 'always', 'something', 'someone', 'everything', 'without']);
+
+const roundUpTenth = n => Math.ceil(n * 10 - 1e-9) / 10;
+const countWords = text => (String(text).match(/\S+/g) || []).length;
+
+/**
+ * Words per second for a voice at a speaking rate. LOCAL_WORDS_PER_SECOND replaces the pace of
+ * the default voice (other voices keep their offset from it).
+ */
+export function wordsPerSecond(voice = 'Default', speakingRate = 1) {
+  const base = Number(process.env.LOCAL_WORDS_PER_SECOND);
+  const scale = Number.isFinite(base) && base > 0 ? base / DEFAULT_WORDS_PER_SECOND : 1;
+  const voiceWps = VOICE_WORDS_PER_SECOND[voice] ?? DEFAULT_WORDS_PER_SECOND;
+  return voiceWps * scale * (Number(speakingRate) || 1);
+}
+
+/** Estimated seconds to speak `text` at `wps` words per second, sentence pauses included. */
+export function estimateSpeechSec(text, wps) {
+  const clean = String(text).trim();
+  if (!clean) return 0;
+  const pauses = Math.max(0, (clean.match(/[.!?]+(\s|$)/g) || []).length - 1);
+  return countWords(clean) / wps + pauses * SENTENCE_PAUSE_SEC;
+}
+
+// Pieces no longer than maxSec each: the sentence itself, else its clauses, else runs of words.
+function fitUnits(sentence, maxSec, wps) {
+  if (estimateSpeechSec(sentence, wps) <= maxSec) return [sentence];
+  const clauses = sentence.split(/(?<=[,;:–—])\s+/).filter(Boolean);
+  if (clauses.length > 1) return clauses.flatMap(c => fitUnits(c, maxSec, wps));
+
+  const maxWords = Math.max(1, Math.floor(maxSec * wps));
+  const words = sentence.split(/\s+/);
+  const out = [];
+  for (let i = 0; i < words.length; i += maxWords) out.push(words.slice(i, i + maxWords).join(' '));
+  return out;
+}
+
+function keywordsOf(text) {
+  const seen = new Set();
+  for (const w of String(text).toLowerCase().match(/[a-z][a-z'-]{4,}/g) || []) {
+    if (!STOPWORDS.has(w)) seen.add(w);
+    if (seen.size === 5) break;
+  }
+  return [...seen];
+}
+
+/** Fills {narration}, {on_screen_text}, {keywords}, {scene_id} and {title}; unknown placeholders are left as is. */
+export function fillImagePrompt(template, scene, title) {
+  if (!template) return '';
+  const values = {
+    narration: scene.narration,
+    on_screen_text: scene.on_screen_text,
+    keywords: scene.keywords.join(', '),
+    scene_id: String(scene.scene_id),
+    title
+  };
+  return template.replace(/\{(\w+)\}/g, (m, key) => (key in values ? values[key] : m)).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Returns a scene plan ({ title, summary, scenes }, the same shape the model produces) plus the
+ * words per second it assumed. Paragraph breaks always start a new scene; duration_sec is the
+ * estimate plus paddingSec, rounded up to a tenth and never above timingRuleSeconds.
+ */
+export function splitScriptLocally({ script, timingRuleSeconds, voice, speakingRate, paddingSec = 0.5, imagePromptTemplate = '' }) {
+  const wps = wordsPerSecond(voice, speakingRate);
+  const maxSec = Math.max(1, timingRuleSeconds - paddingSec);
+  const paragraphs = String(script).split(/\n\s*\n/).map(p => p.replace(/\s+/g, ' ').trim()).filter(Boolean);
+
+  const narrations = [];
+  for (const paragraph of paragraphs) {
+    let cur = '';
+    for (const sentence of paragraph.split(/(?<=[.!?])\s+/).filter(Boolean)) {
+      for (const unit of fitUnits(sentence, maxSec, wps)) {
+        const joined = cur ? `${cur} ${unit}` : unit;
+        if (cur && estimateSpeechSec(joined, wps) > maxSec) {
+          narrations.push(cur);
+          cur = unit;
+        } else {
+          cur = joined;
+        }
+      }
+    }
+    if (cur) narrations.push(cur);
+  }
+
+  const firstSentence = paragraphs[0]?.split(/(?<=[.!?])\s+/)[0] || '';
+  const title = firstSentence.replace(/[.!?]+$/, '').slice(0, 60) || 'Untitled';
+  const scenes = narrations.map((narration, i) => {
+    const scene = {
+      scene_id: i + 1,
+      duration_sec: Math.min(timingRuleSeconds, Math.max(1, roundUpTenth(estimateSpeechSec(narration, wps) + paddingSec))),
+      narration,
+      on_screen_text: '',
+      image_prompt: '',
+      keywords: keywordsOf(narration)
+    };
+    scene.image_prompt = fillImagePrompt(imagePromptTemplate, scene, title);
+    return scene;
+  });
+
+  const total = scenes.reduce((sum, s) => sum + s.duration_sec, 0);
+  return {
+    plan: {
+      title,
+      summary: `Split locally into ${scenes.length} scene(s), about ${Math.round(total)}s of narration at ${wps.toFixed(2)} words/s.`,
+      scenes
+    },
+    wordsPerSecond: wps
+  };
+}
@@ -0,0 +1,275 @@
+import crypto from 'crypto';
+import { z } from 'zod';
+import PQueue from 'p-queue';
+import { HttpError } from './errors.js';
+import { getProject, createProject, updateProject, copyAssets, putAsset } from './projects.js';
+import { listPresets } from './presets.js';
+import { parsePlanJson } from './scenePlan.js';
+import { meteredText } from './usage.js';
+import { generateSpeech, LanguageCode, Voice, SpeakingRate, Pitch, VolumeGain } from './tts.js';
+import { matchingVoice } from './voices.js';
+import { retimeScenes } from './timing.js';
+import { assignSpeakers } from './speakers.js';
+
+// Localized variants: a project's narration and on-screen text translated by the text model into
+// a new project that keeps the scene structure and reuses the source's images, with narration
+// synthesized in a voice for the target language and durations re-timed to it. The variant is a
+// normal project (its captions come from the translated narration when it is exported), linked
+// back to its source by `localization`.
+
+// Scenes per translation call: small enough for the output limit, large enough for context.
+const SCENES_PER_CALL = 20;
+const MAX_ATTEMPTS = 2;
+const CANCELLED = 'Localization cancelled.';
+
+const LocalizeReq = z.object({
+  language: LanguageCode,
+  // Defaults to a catalog voice for `language` like the source's (src/voices.js)
+  voice: Voice.optional(),
+  speakingRate: SpeakingRate.optional(),
+  pitch: Pitch.optional(),
+  volumeGainDb: VolumeGain.optional(),
+  name: z.string().trim().min(1).max(200).optional(),
+  // false: translate only; narration is generated later from the studio
+  audio: z.boolean().optional().default(true),
+  concurrency: z.number().int().min(1).max(8).optional().default(4)
+});
+
+const Translation = z.object({
+  title: z.string().optional(),
+  scenes: z.array(z.object({
+    scene_id: z.number(),
+    narration: z.string(),
+    on_screen_text: z.string().optional().default('')
+  }))
+});
+
+const TRANSLATION_RESPONSE_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    title: { type: 'STRING' },
+    scenes: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          scene_id: { type: 'INTEGER' },
+          narration: { type: 'STRING' },
+          on_screen_text: { type: 'STRING' }
+        },
+        required: ['scene_id', 'narration', 'on_screen_text']
+      }
+    }
+  },
+  required: ['scenes']
+};
+
+const SYSTEM = `
+You translate video narration for voice-over. Translate every scene from SOURCE_LANGUAGE into
+TARGET_LANGUAGE (BCP-47 codes) and return STRICT JSON ONLY:
+{ "title": string (only if a title was given), "scenes": [{ "scene_id": number, "narration": string, "on_screen_text": string }] }
+
+Rules:
+- Keep every scene_id, in order; never merge, split, add or drop scenes.
+- Narration is spoken: natural, idiomatic and about as long as the original, so timing still fits.
+- Keep voice markup as it is: [pause 500ms] markers stay where they fall, *word* and **word**
+  wrap the translated word that carries the emphasis.
+- Speaker labels at the start of a line ("Narrator: ...", "Jesus: ...") are names: keep them exactly
+  as written, untranslated, each turn on its own line.
+- on_screen_text stays short (a headline, not a sentence); an empty one stays empty.
+- Keep names, numbers and units; no notes, no markdown, JSON only.
+`.trim();
+
+// A saved setting as a number, or `fallback` when it is missing or not a number.
+const numberOr = (value, fallback) => (value == null || value === '' || !Number.isFinite(Number(value)) ? fallback : Number(value));
+
+// Same name scheme as the client (client/src/projects.js), so a re-save doesn't upload it again.
+const audioAssetName = (buf) => `aud-${crypto.createHash('sha256').update(buf).digest('hex').slice(0, 20)}.mp3`;
+
+async function translateChunk({ scenes, title, sourceLanguage, language, usage }) {
+  const prompt = [
+    `SOURCE_LANGUAGE: ${sourceLanguage}`,
+    `TARGET_LANGUAGE: ${language}`,
+    'SCENES:',
+    JSON.stringify({
+      ...(title != null ? { title } : {}),
+      scenes: scenes.map(s => ({ scene_id: s.scene_id, narration: s.narration || '', on_screen_text: s.on_screen_text || '' }))
+    })
+  ].join('\n');
+  const wanted = scenes.map(s => s.scene_id).join(',');
+
+  let problem;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const text = await meteredText(usage, {
+      system: SYSTEM,
+      prompt,
+      task: 'translate-scenes',
+      temperature: 0.3,
+      maxOutputTokens: 8192,
+      responseSchema: TRANSLATION_RESPONSE_SCHEMA
+    });
+    try {
+      const result = Translation.parse(parsePlanJson(text));
+      const got = result.scenes.map(s => s.scene_id).join(',');
+      if (got !== wanted) throw new Error(`expected scenes ${wanted}, got ${got || 'none'}`);
+      if (result.scenes.some((s, i) => scenes[i].narration?.trim() && !s.narration.trim())) throw new Error('a narration came back empty');
+      return result;
+    } catch (err) {
+      problem = err.issues ? err.issues.map(i => `${i.path.join('.')}: ${i.message}`).join('; ') : err.message;
+      console.warn(`Translation to ${language} invalid (attempt ${attempt}):`, problem);
+    }
+  }
+  throw new HttpError(502, `The model's translation was still invalid after ${MAX_ATTEMPTS} attempts: ${problem}`);
+}
+
+/**
+ * Creates a localized variant of project `id`. emit(line) gets:
+ *   { type: 'start', language, voice, total }
+ *   { type: 'translated', done, total }                  scenes translated so far
+ *   { type: 'project', project }                         the variant, once it exists
+ *   { type: 'scene', id, status: 'done' | 'failed', audioSec?, error? }
+ *   { type: 'done', project, failed, changes, stopped? } changes: retiming (see src/timing.js)
+ * Translation is metered against `usage` (the source project); narration against the variant.
+ * A budget refusal (402) leaves the remaining scenes without audio, to be generated in the studio,
+ * and so does an abort via `signal` during narration (`stopped` says why). An abort while
+ * translating throws a 499: no variant exists yet.
+ */
+export async function localizeProject(id, body, usage, { emit = () => {}, signal } = {}) {
+  const req = LocalizeReq.parse(body || {});
+  const source = getProject(id);
+  const scenes = source.analysis?.scenes || [];
+  if (!scenes.length) throw new HttpError(400, 'The project has no scenes to translate yet.');
+  if (source.localization) throw new HttpError(400, 'This project is itself a translation; create variants from the original.');
+  const settings = source.settings || {};
+  const sourceLanguage = settings.language || 'en-US';
+  if (req.language === sourceLanguage) throw new HttpError(400, `The project is already in ${sourceLanguage}.`);
+
+  const voice = req.voice || await matchingVoice(req.language, settings.voice || 'Default');
+  // Dialogue: every cast member gets a voice for the language too, each a different one if possible.
+  const cast = {};
+  for (const [speaker, castVoice] of Object.entries(settings.cast || {})) {
+    cast[speaker] = await matchingVoice(req.language, castVoice, [voice, ...Object.values(cast)]);
+  }
+  const speakers = [...new Set([...(source.analysis.speakers || []), ...Object.keys(cast)])];
+  const preset = listPresets().find(p => p.id === source.presetId);
+  // Checked here, not by retimeScenes at the end: by then the variant is saved and narration billed.
+  const timingRuleSeconds = Math.min(30, Math.max(4, Math.round(numberOr(preset?.timing, 13))));
+  const paddingSec = Math.min(3, Math.max(0, numberOr(settings.paddingSec, 0.5)));
+  emit({ type: 'start', language: req.language, voice, total: scenes.length });
+
+  // 1. Translate, a chunk of scenes per call (the title rides along with the first).
+  const translated = new Map();
+  let title = source.analysis.title;
+  for (let i = 0; i < scenes.length; i += SCENES_PER_CALL) {
+    if (signal?.aborted) throw new HttpError(499, CANCELLED);
+    const chunk = scenes.slice(i, i + SCENES_PER_CALL);
+    const result = await translateChunk({
+      scenes: chunk,
+      title: i === 0 ? source.analysis.title : undefined,
+      sourceLanguage,
+      language: req.language,
+      usage
+    });
+    if (i === 0 && result.title) title = result.title;
+    result.scenes.forEach((t, j) => translated.set(chunk[j].scene_id, t));
+    emit({ type: 'translated', done: Math.min(i + SCENES_PER_CALL, scenes.length), total: scenes.length });
+  }
+
+  // 2. The variant: same scenes and images, translated text, no narration yet.
+  const narration = {
+    voice,
+    language: req.language,
+    speakingRate: req.speakingRate ?? settings.speakingRate ?? preset?.speakingRate ?? 1.0,
+    pitch: req.pitch ?? settings.pitch ?? preset?.pitch ?? 0,
+    volumeGainDb: req.volumeGainDb ?? settings.volumeGainDb ?? preset?.volumeGainDb ?? 0
+  };
+  const variantScenes = scenes.map(s => {
+    const { audioAsset, audioSec, audioKey, timing_overflow, lines, ...scene } = s;
+    const t = translated.get(s.scene_id);
+    return {
+      ...scene,
+      narration: t.narration,
+      on_screen_text: t.on_screen_text,
+      duration_sec: numberOr(scene.duration_sec, timingRuleSeconds),
+      needs_audio: true
+    };
+  });
+  if (speakers.length) assignSpeakers(variantScenes, speakers);
+  const variant = createProject({
+    name: req.name || `${source.name} (${req.language})`,
+    script: variantScenes.map(s => s.narration).join('\n\n'),
+    presetId: source.presetId,
+    // The project's pronunciations are for the source language.
+    settings: { ...settings, ...narration, cast, lexiconText: '' },
+    localization: { sourceId: source.id, language: req.language, sourceLanguage },
+    analysis: { ...source.analysis, title, scenes: variantScenes }
+  });
+  copyAssets(source.id, variant.id, variantScenes.map(s => s.imageAsset).filter(Boolean));
+  emit({ type: 'project', project: { id: variant.id, name: variant.name } });
+
+  // 3. Narration, a few scenes at a time (on top of the per-model limits in src/scheduler.js).
+  let failed = 0;
+  let stopped = null;
+  if (req.audio) {
+    const speechUsage = { projectId: variant.id };
+    const queue = new PQueue({ concurrency: req.concurrency });
+    const stop = (reason) => {
+      stopped ??= reason;
+      queue.clear();
+    };
+    const onAbort = () => stop(CANCELLED);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    // Aborted before the listener was added: 'abort' won't fire again, and no scene should start.
+    if (signal?.aborted) onAbort();
+    const runScene = async (scene) => {
+      if (stopped || !scene.narration.trim()) return;
+      try {
+        const result = await generateSpeech({
+          text: scene.narration,
+          ...(scene.lines ? { lines: scene.lines, cast } : {}),
+          voice,
+          languageCode: req.language,
+          speakingRate: narration.speakingRate,
+          pitch: narration.pitch,
+          volumeGainDb: narration.volumeGainDb
+        }, speechUsage);
+        if (!result.ok) throw new Error(result.error);
+        const audio = Buffer.from(result.audioBase64, 'base64');
+        const name = audioAssetName(audio);
+        putAsset(variant.id, name, audio);
+        Object.assign(scene, { audioAsset: name, audioSec: result.durationSec, needs_audio: false });
+        emit({ type: 'scene', id: scene.scene_id, status: 'done', audioSec: result.durationSec });
+      } catch (err) {
+        failed += 1;
+        if (err?.status === 402) stop(err.message);
+        emit({ type: 'scene', id: scene.scene_id, status: 'failed', error: err?.message || 'Speech generation failed.' });
+      }
+    };
+    for (const scene of variantScenes) queue.add(() => runScene(scene));
+    await queue.onIdle();
+    signal?.removeEventListener('abort', onAbort);
+  }
+
+  // 4. Durations from the new narration. Scenes keep their structure: an over-long one is flagged.
+  const { scenes: retimed, changes } = retimeScenes({
+    scenes: variantScenes.map(s => ({
+      scene_id: s.scene_id,
+      duration_sec: s.duration_sec,
+      narration: s.narration,
+      audio_sec: s.audioSec ?? null
+    })),
+    timingRuleSeconds,
+    paddingSec,
+    overflow: 'flag'
+  });
+  const finalScenes = variantScenes.map((s, i) => {
+    const scene = { ...s, duration_sec: retimed[i].duration_sec };
+    if (retimed[i].timing_overflow) scene.timing_overflow = true;
+    return scene;
+  });
+  const saved = updateProject(variant.id, { analysis: { ...source.analysis, title, scenes: finalScenes } });
+
+  const result = { project: { id: saved.id, name: saved.name }, failed, changes };
+  emit({ type: 'done', ...result, ...(stopped ? { stopped } : {}) });
+  return result;
+}
@@ -0,0 +1,67 @@
+import { z } from 'zod';
+
+// Ken Burns motion for still images, mirrored by the .kb-* classes in client/src/index.css.
+
+export const MOTION_TYPES = ['auto', 'none', 'zoom-in', 'zoom-out', 'pan-left', 'pan-right', 'pan-up', 'pan-down'];
+
+// Order used when type is "auto": consecutive scenes never repeat a move.
+const AUTO_SEQUENCE = ['zoom-in', 'pan-right', 'zoom-out', 'pan-left', 'pan-up', 'pan-down'];
+
+// intensity 1 => 25% zoom (the CSS preview uses the same mapping).
+const MAX_ZOOM_DELTA = 0.25;
+
+// zoompan positions land on whole pixels; rendering from a larger canvas hides that stair-step jitter.
+const SUPERSAMPLE = 4;
+
+export const Motion = z.object({
+  type: z.enum(MOTION_TYPES).optional().default('auto'),
+  intensity: z.number().min(0).max(1).optional().default(0.5)
+});
+
+export function resolveMotionType(type, sceneIndex) {
+  if (type !== 'auto') return type;
+  return AUTO_SEQUENCE[sceneIndex % AUTO_SEQUENCE.length];
+}
+
+// 'cover' fills the frame and crops the overflow (reframing a 16:9 image for 9:16);
+// 'contain' letterboxes the whole image.
+function fitFilter(fit, width, height) {
+  return fit === 'contain'
+    ? `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`
+    : `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}`;
+}
+
+/**
+ * Builds the video filter for one still-image segment of `frames` frames at `fps`, sized width x height.
+ * The image is fitted to the frame first, exactly like the static path, then moved.
+ */
+export function motionFilter({ type, intensity, frames, fps, width, height, fit = 'cover' }) {
+  const fitted = fitFilter(fit, width, height);
+  if (type === 'none' || intensity <= 0) return `${fitted},format=yuv420p`;
+
+  const a = (MAX_ZOOM_DELTA * intensity).toFixed(4);
+  const last = Math.max(1, frames - 1);
+  // Eased progress 0..1 (smoothstep), matching CSS ease-in-out closely enough to read as the same move.
+  const p = `(3*pow(on/${last},2)-2*pow(on/${last},3))`;
+  const cx = 'iw/2-(iw/zoom/2)';
+  const cy = 'ih/2-(ih/zoom/2)';
+  const spanX = '(iw-iw/zoom)';
+  const spanY = '(ih-ih/zoom)';
+
+  const moves = {
+    'zoom-in': { z: `1+${a}*${p}`, x: cx, y: cy },
+    'zoom-out': { z: `1+${a}*(1-${p})`, x: cx, y: cy },
+    'pan-left': { z: `1+${a}`, x: `${spanX}*(1-${p})`, y: cy },
+    'pan-right': { z: `1+${a}`, x: `${spanX}*${p}`, y: cy },
+    'pan-up': { z: `1+${a}`, x: cx, y: `${spanY}*(1-${p})` },
+    'pan-down': { z: `1+${a}`, x: cx, y: `${spanY}*${p}` }
+  };
+  const m = moves[type] || moves['zoom-in'];
+
+  return [
+    fitted,
+    `scale=${width * SUPERSAMPLE}:${height * SUPERSAMPLE}`,
+    `zoompan=z='${m.z}':x='${m.x}':y='${m.y}':d=${frames}:s=${width}x${height}:fps=${fps}`,
+    'format=yuv420p'
+  ].join(',');
+}
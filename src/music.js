@@ -0,0 +1,76 @@
+import fs from 'fs';
+import path from 'path';
+import { z } from 'zod';
+import { HttpError } from './errors.js';
+
+// Background music bed: looped/trimmed to the timeline, faded, and ducked under narration.
+
+const MUSIC_EXTENSIONS = new Set(['.mp3', '.m4a', '.aac', '.wav', '.ogg', '.flac']);
+
+export function getMusicLibraryDir() {
+  return process.env.MUSIC_LIBRARY_DIR || path.join(process.cwd(), 'music');
+}
+
+export const MusicOptions = z.object({
+  // 'upload' = the multipart `music` file; 'library' = `track` from the library folder
+  source: z.enum(['none', 'upload', 'library']).optional().default('none'),
+  track: z.string().optional().default(''),
+  volume: z.number().min(0).max(1).optional().default(0.25),
+  // 0 = no ducking, 1 = bed nearly silent while narration plays
+  ducking: z.number().min(0).max(1).optional().default(0.7),
+  fadeInSec: z.number().min(0).max(10).optional().default(2),
+  fadeOutSec: z.number().min(0).max(10).optional().default(3)
+});
+
+export function listMusicLibrary() {
+  const dir = getMusicLibraryDir();
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(d => d.isFile() && MUSIC_EXTENSIONS.has(path.extname(d.name).toLowerCase()))
+    .map(d => ({ track: d.name, bytes: fs.statSync(path.join(dir, d.name)).size }))
+    .sort((a, b) => a.track.localeCompare(b.track));
+}
+
+/** Path of the music input for a render, or null. Only names listed in the library are accepted. */
+export function resolveMusicPath(music, files) {
+  if (music.source === 'none') return null;
+  if (music.source === 'upload') {
+    const file = files.music?.[0];
+    if (!file) throw new HttpError(400, 'music.source is "upload" but no music file was sent.');
+    return file.path;
+  }
+  if (!listMusicLibrary().some(t => t.track === music.track)) {
+    throw new HttpError(400, `Music track "${music.track}" is not in the library.`);
+  }
+  return path.join(getMusicLibraryDir(), music.track);
+}
+
+/**
+ * filter_complex mixing narration [narrationIn] with the looped bed [musicIn] over `total` seconds.
+ * Output label: [aout].
+ */
+export function musicMixFilter({ narrationIn, musicIn, total, volume, ducking, fadeInSec, fadeOutSec }) {
+  const fadeOut = Math.min(fadeOutSec, total / 2);
+  const fadeIn = Math.min(fadeInSec, total / 2);
+  const bed = [
+    `atrim=0:${total.toFixed(3)}`,
+    'asetpts=N/SR/TB',
+    'aformat=sample_rates=44100:channel_layouts=stereo',
+    `volume=${volume.toFixed(3)}`,
+    fadeIn > 0 ? `afade=t=in:st=0:d=${fadeIn.toFixed(3)}` : null,
+    fadeOut > 0 ? `afade=t=out:st=${(total - fadeOut).toFixed(3)}:d=${fadeOut.toFixed(3)}` : null
+  ].filter(Boolean).join(',');
+
+  const chains = [`[${musicIn}]${bed}[bed]`];
+  if (ducking > 0) {
+    // Narration is the sidechain key: the bed drops while someone is speaking.
+    const ratio = (1 + 19 * ducking).toFixed(2);
+    chains.push(`[${narrationIn}]asplit=2[voice][key]`);
+    chains.push(`[bed][key]sidechaincompress=threshold=0.02:ratio=${ratio}:attack=20:release=400[ducked]`);
+    // amix halves each input; volume=2 restores the narration level.
+    chains.push('[voice][ducked]amix=inputs=2:duration=first:dropout_transition=0,volume=2[aout]');
+  } else {
+    chains.push(`[${narrationIn}][bed]amix=inputs=2:duration=first:dropout_transition=0,volume=2[aout]`);
+  }
+  return chains.join(';');
+}
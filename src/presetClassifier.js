@@ -0,0 +1,143 @@
+import { z } from 'zod';
+import { listPresets } from './presets.js';
+import { parsePlanJson } from './scenePlan.js';
+import { meteredText } from './usage.js';
+
+// Picks the style preset a script most likely belongs to. Keyword mode scores each preset's
+// weighted keywords and negative terms; llm mode asks the text model and falls back to keyword
+// scores when that fails. Both return ranked candidates with a confidence and the reasons.
+
+const ClassifyReq = z.object({
+  script: z.string().max(500000),
+  mode: z.enum(['keywords', 'llm']).optional().default('keywords')
+});
+
+const LlmChoice = z.object({
+  presetId: z.string(),
+  confidence: z.number().min(0).max(1),
+  reason: z.string()
+});
+
+const PRESET_CHOICE_RESPONSE_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    presetId: { type: 'STRING' },
+    confidence: { type: 'NUMBER' },
+    reason: { type: 'STRING' }
+  },
+  required: ['presetId', 'confidence', 'reason']
+};
+
+const SYSTEM = `
+You match YouTube scripts to channel style presets. Pick the ONE preset whose channel the script
+most likely belongs to, judged by topic and tone rather than single words.
+Output STRICT JSON ONLY: { "presetId": string, "confidence": number (0-1), "reason": string (one short sentence) }.
+presetId MUST be one of the listed ids.
+`.trim();
+
+// The LLM only needs the opening of a long script to judge its topic.
+const LLM_SCRIPT_CHARS = 6000;
+
+const round2 = n => Math.round(n * 100) / 100;
+
+function termPattern(term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  // Whole words, plus common endings: "habit" also matches "habits", "focus" matches "focused".
+  return new RegExp(`(?<![a-z0-9])${escaped}(?:s|es|ed|ing|ly)?(?![a-z0-9])`, 'gi');
+}
+
+// Repeats count with diminishing returns: 1 hit = 1, 3 hits = 2, 7 hits = 3.
+const hitPoints = count => Math.log2(1 + count);
+
+function scorePreset(preset, text) {
+  const reasons = [];
+  let score = 0;
+  for (const [list, sign] of [[preset.keywords || [], 1], [preset.negativeTerms || [], -1]]) {
+    for (const { term, weight } of list) {
+      const count = (text.match(termPattern(term)) || []).length;
+      if (!count) continue;
+      const points = round2(sign * weight * hitPoints(count));
+      score += points;
+      reasons.push({ term, count, points });
+    }
+  }
+  reasons.sort((a, b) => Math.abs(b.points) - Math.abs(a.points));
+  return { score: round2(score), reasons };
+}
+
+/**
+ * Keyword scores for every preset, best first: [{ presetId, name, score, confidence, reasons }].
+ * confidence is the preset's share of all positive score, damped when there is little evidence
+ * overall (one weight-1 hit is about 0.4, a clear winner with several hits approaches 1).
+ */
+export function rankPresets(script, presets) {
+  const text = String(script).toLowerCase();
+  const scored = presets.map((p, order) => ({ preset: p, order, ...scorePreset(p, text) }));
+  const total = scored.reduce((sum, s) => sum + Math.max(0, s.score), 0);
+  const evidence = 1 - Math.exp(-total / 2);
+  return scored
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .map(({ preset, score, reasons }) => ({
+      presetId: preset.id,
+      name: preset.name,
+      score,
+      confidence: total > 0 ? round2((Math.max(0, score) / total) * evidence) : 0,
+      reasons
+    }));
+}
+
+/**
+ * POST /api/classify-preset -> { mode, candidates, presetId, fallback? }. presetId is the top
+ * candidate, or the first preset when nothing matched. fallback explains why llm mode fell back.
+ */
+export async function classifyPreset(body, usage = {}) {
+  const { script, mode } = ClassifyReq.parse(body);
+  const presets = listPresets();
+  const candidates = rankPresets(script, presets);
+  const keywordResult = {
+    mode: 'keywords',
+    candidates,
+    presetId: candidates[0]?.score > 0 ? candidates[0].presetId : presets[0]?.id
+  };
+  if (mode !== 'llm' || !script.trim()) return keywordResult;
+
+  let choice;
+  try {
+    choice = await askModel(script, presets, usage);
+  } catch (err) {
+    console.warn('Preset classification via the model failed:', err.message);
+    return { ...keywordResult, fallback: `The model could not classify the script (${err.message}); showing keyword scores.` };
+  }
+
+  // The model's pick goes first; the keyword ranking (and its reasons) orders the rest.
+  const picked = candidates.find(c => c.presetId === choice.presetId);
+  return {
+    mode: 'llm',
+    presetId: picked.presetId,
+    candidates: [
+      { ...picked, confidence: round2(choice.confidence), modelReason: choice.reason },
+      ...candidates.filter(c => c !== picked)
+    ]
+  };
+}
+
+async function askModel(script, presets, usage) {
+  const lines = presets.map(p => [
+    `PRESET: ${p.id}`,
+    p.name,
+    p.target || '',
+    `keywords: ${(p.keywords || []).map(k => k.term).join(', ')}`
+  ].join(' | '));
+  const prompt = `${lines.join('\n')}\n\nSCRIPT:\n${script.slice(0, LLM_SCRIPT_CHARS)}`;
+  const text = await meteredText(usage, {
+    system: SYSTEM,
+    prompt,
+    task: 'preset-classify',
+    temperature: 0,
+    maxOutputTokens: 256,
+    responseSchema: PRESET_CHOICE_RESPONSE_SCHEMA
+  });
+  const choice = LlmChoice.parse(parsePlanJson(text));
+  if (!presets.some(p => p.id === choice.presetId)) throw new Error(`unknown preset id "${choice.presetId}"`);
+  return choice;
+}
@@ -0,0 +1,250 @@
+import fs from 'fs';
+import path from 'path';
+import { z } from 'zod';
+import { HttpError } from './errors.js';
+import { Transition } from './transitions.js';
+import { CaptionStyle } from './subtitles.js';
+import { Voice, SpeakingRate, Pitch, VolumeGain } from './tts.js';
+import { Lexicon } from './ssml.js';
+
+// Style presets: the built-ins below plus the team's own, stored in <DATA_DIR>/presets.json.
+// Built-ins are read-only; clone one to change it. Export/import moves presets between servers
+// as a JSON file.
+
+const HEX = /^#[0-9a-fA-F]{6}$/;
+const ID_RE = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const EXPORT_FORMAT = 'creator-station-presets';
+
+// A word or phrase that points to (or, as a negative term, away from) a preset when it appears in
+// a script. A bare string means weight 1.
+const WeightedTerm = z.preprocess(
+  v => (typeof v === 'string' ? { term: v } : v),
+  z.object({
+    term: z.string().trim().toLowerCase().min(1).max(60),
+    weight: z.number().min(0.1).max(10).optional().default(1)
+  })
+);
+
+export const PresetFields = z.object({
+  name: z.string().trim().min(1).max(80),
+  target: z.string().trim().max(120).optional().default(''),
+  // Appended to every image prompt
+  suffix: z.string().max(2000).optional().default(''),
+  negativePrompt: z.string().max(1000).optional().default(''),
+  // Max seconds per scene
+  timing: z.number().int().min(4).max(30).optional().default(13),
+  accent: z.string().regex(HEX).optional().default('#7C3AED'),
+  voiceDefault: Voice.optional().default('Default'),
+  // Starting values for a project's narration controls
+  speakingRate: SpeakingRate.optional().default(1.0),
+  pitch: Pitch.optional().default(0),
+  volumeGainDb: VolumeGain.optional().default(0),
+  // Background music bed: volume 0-1, ducking 0-1 (how far it drops under narration)
+  music: z.object({
+    volume: z.number().min(0).max(1).optional().default(0.25),
+    ducking: z.number().min(0).max(1).optional().default(0.7)
+  }).optional().default({}),
+  transition: Transition.optional().default({}),
+  captionStyle: CaptionStyle.optional().default({}),
+  // Auto-detect (src/presetClassifier.js): terms that count for this preset, and against it
+  keywords: z.array(WeightedTerm).max(50).optional().default([]),
+  negativeTerms: z.array(WeightedTerm).max(50).optional().default([]),
+  // Pronunciations every project in this style starts from (src/ssml.js); a project's own entries win
+  lexicon: Lexicon.optional().default([])
+});
+
+const BUILTIN_PRESETS = [
+  {
+    id: 'digital-futurism',
+    name: 'Digital Futurism',
+    target: "Tomorrow's Problem",
+    suffix: ", minimalist hand-drawn black ink sketch, bright ORANGE SCARF (#FF6B35), PURE BLACK VOID (#000000), high contrast, editorial illustration.",
+    timing: 13,
+    accent: '#FF6B35',
+    voiceDefault: 'Fenrir',
+    music: { volume: 0.25, ducking: 0.7 },
+    transition: { type: 'crossfade', duration: 0.5 },
+    keywords: [
+      { term: 'dopamine', weight: 3 }, { term: 'focus', weight: 2 }, { term: 'future', weight: 1.5 },
+      { term: 'technology' }, { term: 'ai' }, { term: 'algorithm' }, { term: 'screen' }, { term: 'social media', weight: 1.5 }
+    ],
+    negativeTerms: [{ term: 'bible', weight: 2 }]
+  },
+  {
+    id: 'productivity-sketch',
+    name: 'Productivity Sketch',
+    target: 'The Smart Friend',
+    suffix: ", rough pencil sketch on CRUMPLED GRAPH PAPER (#FFFFFF), Graphite Black ink (#333333), Highlighter YELLOW (#FAFF00) accents, messy lines.",
+    timing: 8,
+    accent: '#FAFF00',
+    voiceDefault: 'Puck',
+    speakingRate: 1.15,
+    music: { volume: 0.4, ducking: 0.6 },
+    transition: { type: 'slide', duration: 0.4 },
+    keywords: [
+      { term: 'productivity', weight: 3 }, { term: 'system', weight: 1.5 }, { term: 'habit', weight: 2 },
+      { term: 'routine', weight: 1.5 }, { term: 'to-do', weight: 1.5 }, { term: 'workflow' }, { term: 'notion' }, { term: 'procrastination', weight: 2 }
+    ]
+  },
+  {
+    id: 'bible-stories',
+    name: 'Bible Stories',
+    target: 'Bible Stories',
+    suffix: ", biblical era oil painting, golden light, ancient robes, desert landscape, cinematic 8k, dramatic lighting.",
+    timing: 13,
+    accent: '#D4AF37',
+    voiceDefault: 'Default',
+    music: { volume: 0.12, ducking: 0.85 },
+    transition: { type: 'fade-black', duration: 0.8 },
+    keywords: [
+      { term: 'god', weight: 3 }, { term: 'jesus', weight: 3 }, { term: 'bible', weight: 3 }, { term: 'prayer', weight: 2 },
+      { term: 'faith', weight: 1.5 }, { term: 'scripture', weight: 2 }, { term: 'moses' }, { term: 'david' }, { term: 'psalm', weight: 2 }
+    ],
+    lexicon: [
+      { term: 'Nebuchadnezzar', ipa: 'ˌnɛbjʊkədˈnɛzər' },
+      { term: 'Melchizedek', ipa: 'mɛlˈkɪzədɛk' },
+      { term: 'Habakkuk', ipa: 'ˈhæbəkʌk' },
+      { term: 'Gethsemane', ipa: 'ɡɛθˈsɛməni' },
+      { term: 'Isaiah', ipa: 'aɪˈzeɪə' },
+      { term: 'Elijah', ipa: 'ɪˈlaɪdʒə' },
+      { term: 'Job', ipa: 'dʒoʊb', matchCase: true }
+    ]
+  }
+].map(({ id, ...fields }) => Object.freeze({ id, builtin: true, ...PresetFields.parse(fields) }));
+
+const BUILTIN_IDS = new Set(BUILTIN_PRESETS.map(p => p.id));
+
+export function getPresetsFile() {
+  return path.join(process.env.DATA_DIR || path.join(process.cwd(), 'data'), 'presets.json');
+}
+
+function readCustom() {
+  const file = getPresetsFile();
+  if (!fs.existsSync(file)) return [];
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return Array.isArray(data.presets) ? data.presets : [];
+}
+
+// Write-then-rename, as for projects.
+function writeCustom(presets) {
+  const file = getPresetsFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ presets }, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function slugify(name) {
+  return String(name).toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 48) || 'preset';
+}
+
+// `wanted` if it is a valid id nobody uses, else a numbered variant of the name's slug.
+function freeId(wanted, name, taken) {
+  if (wanted && ID_RE.test(wanted) && !taken.has(wanted)) return wanted;
+  const base = slugify(name);
+  if (!taken.has(base)) return base;
+  for (let n = 2; ; n++) {
+    if (!taken.has(`${base}-${n}`)) return `${base}-${n}`;
+  }
+}
+
+function takenIds(custom) {
+  return new Set([...BUILTIN_IDS, ...custom.map(p => p.id)]);
+}
+
+function findCustom(custom, id) {
+  const index = custom.findIndex(p => p.id === id);
+  if (index >= 0) return index;
+  if (BUILTIN_IDS.has(id)) throw new HttpError(403, 'Built-in presets are read-only; clone it to make changes.');
+  throw new HttpError(404, 'Preset not found.');
+}
+
+/** Built-ins first, then the team's presets by name. */
+export function listPresets() {
+  const custom = readCustom().sort((a, b) => a.name.localeCompare(b.name));
+  return [...BUILTIN_PRESETS, ...custom];
+}
+
+export function getPreset(id) {
+  const preset = listPresets().find(p => p.id === id);
+  if (!preset) throw new HttpError(404, 'Preset not found.');
+  return preset;
+}
+
+export function createPreset(body) {
+  const custom = readCustom();
+  const fields = PresetFields.parse(body || {});
+  const now = Date.now();
+  const preset = { id: freeId(null, fields.name, takenIds(custom)), builtin: false, ...fields, createdAt: now, updatedAt: now };
+  writeCustom([...custom, preset]);
+  return preset;
+}
+
+/** Partial update of a team preset: fields not sent keep their value. */
+export function updatePreset(id, body) {
+  const custom = readCustom();
+  const index = findCustom(custom, id);
+  const { id: _id, builtin, createdAt, updatedAt, ...current } = custom[index];
+  const fields = PresetFields.parse({ ...current, ...(body || {}) });
+  custom[index] = { id, builtin: false, ...fields, createdAt, updatedAt: Date.now() };
+  writeCustom(custom);
+  return custom[index];
+}
+
+export function deletePreset(id) {
+  const custom = readCustom();
+  custom.splice(findCustom(custom, id), 1);
+  writeCustom(custom);
+}
+
+/** Copies any preset (built-in or not) into a new, editable team preset. */
+export function clonePreset(id, { name } = {}) {
+  const { id: _id, builtin, createdAt, updatedAt, ...fields } = getPreset(id);
+  return createPreset({ ...fields, name: String(name || '').trim() || `${fields.name} (copy)` });
+}
+
+/** The export file: every team preset, or only `ids` (built-ins included when asked for). */
+export function exportPresets(ids) {
+  const wanted = ids?.length ? new Set(ids) : null;
+  const presets = listPresets()
+    .filter(p => (wanted ? wanted.has(p.id) : !p.builtin))
+    .map(({ builtin, createdAt, updatedAt, ...p }) => p);
+  return { format: EXPORT_FORMAT, version: 1, exportedAt: new Date().toISOString(), presets };
+}
+
+/**
+ * Imports an export file (or a bare array of presets). Each preset keeps its id when that id is
+ * free; with replace, a team preset with the same id is overwritten instead. Built-ins are never
+ * overwritten. Returns { imported, skipped: [{ index, name, error }] }.
+ */
+export function importPresets(payload, { replace = false } = {}) {
+  const list = Array.isArray(payload) ? payload : payload?.presets;
+  if (!Array.isArray(list)) throw new HttpError(400, 'Expected a presets export file ({ "presets": [...] }).');
+  if (!Array.isArray(payload) && payload.format && payload.format !== EXPORT_FORMAT) {
+    throw new HttpError(400, `Unknown export format "${payload.format}".`);
+  }
+
+  const custom = readCustom();
+  const imported = [];
+  const skipped = [];
+  const now = Date.now();
+  list.forEach((raw, index) => {
+    const result = PresetFields.safeParse(raw);
+    if (!result.success) {
+      const issue = result.error.issues[0];
+      skipped.push({ index, name: raw?.name ?? null, error: `${issue.path.join('.') || 'preset'}: ${issue.message}` });
+      return;
+    }
+    const existing = replace && !BUILTIN_IDS.has(raw.id) ? custom.findIndex(p => p.id === raw.id) : -1;
+    if (existing >= 0) {
+      custom[existing] = { ...custom[existing], ...result.data, updatedAt: now };
+      imported.push(custom[existing]);
+      return;
+    }
+    const preset = { id: freeId(raw.id, result.data.name, takenIds(custom)), builtin: false, ...result.data, createdAt: now, updatedAt: now };
+    custom.push(preset);
+    imported.push(preset);
+  });
+  if (imported.length) writeCustom(custom);
+  return { imported, skipped };
+}
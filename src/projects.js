@@ -0,0 +1,178 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { z } from 'zod';
+import { HttpError } from './errors.js';
+
+// Projects on local disk: <DATA_DIR>/projects/<id>/project.json plus assets/ (images, narration).
+// Scenes reference their files by name (imageAsset / audioAsset); base64 never goes into project.json.
+
+const ID_RE = /^[0-9a-f-]{36}$/;
+const ASSET_RE = /^[a-z0-9][a-z0-9._-]{0,120}\.(png|jpe?g|webp|mp3|wav|m4a)$/i;
+const INLINE_FIELDS = ['imageBase64', 'audioBase64'];
+
+export function getProjectsDir() {
+  return path.join(process.env.DATA_DIR || path.join(process.cwd(), 'data'), 'projects');
+}
+
+export const ProjectFields = z.object({
+  name: z.string().trim().min(1).max(200).optional(),
+  script: z.string().max(500000).optional(),
+  presetId: z.string().max(100).optional(),
+  // The client's analysis state ({ title, scenes[], ... }); extra fields are kept as-is.
+  analysis: z.object({ scenes: z.array(z.object({}).passthrough()) }).passthrough().nullable().optional(),
+  // Studio settings (format, voice, render options); opaque to the server.
+  settings: z.record(z.any()).optional(),
+  // Set on a localized variant (src/localize.js): the project it was translated from.
+  localization: z.object({
+    sourceId: z.string().regex(ID_RE),
+    language: z.string(),
+    sourceLanguage: z.string()
+  }).optional()
+});
+
+function projectDir(id) {
+  if (!ID_RE.test(String(id))) throw new HttpError(404, 'Project not found.');
+  return path.join(getProjectsDir(), id);
+}
+
+function readProject(id) {
+  const file = path.join(projectDir(id), 'project.json');
+  if (!fs.existsSync(file)) throw new HttpError(404, 'Project not found.');
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Write-then-rename so a crash mid-save never leaves a truncated project.json.
+function writeProject(project) {
+  const dir = projectDir(project.id);
+  fs.mkdirSync(path.join(dir, 'assets'), { recursive: true });
+  const tmp = path.join(dir, `project.json.${process.pid}.tmp`);
+  fs.writeFileSync(tmp, JSON.stringify(project, null, 2));
+  fs.renameSync(tmp, path.join(dir, 'project.json'));
+  return project;
+}
+
+function stripInline(analysis) {
+  if (!analysis) return analysis;
+  return {
+    ...analysis,
+    scenes: analysis.scenes.map(s => {
+      const scene = { ...s };
+      for (const f of INLINE_FIELDS) delete scene[f];
+      return scene;
+    })
+  };
+}
+
+function listAssets(id) {
+  const dir = path.join(projectDir(id), 'assets');
+  return fs.existsSync(dir) ? fs.readdirSync(dir).filter(n => ASSET_RE.test(n)).sort() : [];
+}
+
+function summary(p) {
+  return {
+    id: p.id,
+    name: p.name,
+    presetId: p.presetId,
+    scenes: p.analysis?.scenes?.length || 0,
+    ...(p.localization ? { variantOf: p.localization.sourceId, language: p.localization.language } : {}),
+    createdAt: p.createdAt,
+    updatedAt: p.updatedAt
+  };
+}
+
+/** Newest first. Unreadable project folders are skipped, not fatal. */
+export function listProjects() {
+  const root = getProjectsDir();
+  if (!fs.existsSync(root)) return [];
+  const out = [];
+  for (const id of fs.readdirSync(root)) {
+    if (!ID_RE.test(id)) continue;
+    try {
+      out.push(summary(readProject(id)));
+    } catch (err) {
+      console.warn(`Skipping project ${id}:`, err.message);
+    }
+  }
+  return out.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export function createProject(body) {
+  const { analysis = null, ...fields } = ProjectFields.parse(body || {});
+  const now = Date.now();
+  return writeProject({
+    id: crypto.randomUUID(),
+    name: 'Untitled project',
+    script: '',
+    presetId: '',
+    settings: {},
+    ...fields,
+    analysis: stripInline(analysis),
+    createdAt: now,
+    updatedAt: now
+  });
+}
+
+/** The project plus the names of its stored assets and its localized variants. */
+export function getProject(id) {
+  return { ...readProject(id), assets: listAssets(id), variants: listProjects().filter(p => p.variantOf === id) };
+}
+
+/** Partial update: only the fields sent are replaced. */
+export function updateProject(id, body) {
+  const current = readProject(id);
+  const fields = ProjectFields.parse(body || {});
+  if ('analysis' in fields) fields.analysis = stripInline(fields.analysis);
+  return writeProject({ ...current, ...fields, id: current.id, createdAt: current.createdAt, updatedAt: Date.now() });
+}
+
+/** Copies the project with all its assets under a new id. */
+export function duplicateProject(id, { name } = {}) {
+  const source = readProject(id);
+  const copyId = crypto.randomUUID();
+  fs.cpSync(path.join(projectDir(id), 'assets'), path.join(projectDir(copyId), 'assets'), { recursive: true });
+  const now = Date.now();
+  return writeProject({
+    ...source,
+    id: copyId,
+    name: name ? String(name).trim().slice(0, 200) : `${source.name} (copy)`,
+    createdAt: now,
+    updatedAt: now
+  });
+}
+
+export function deleteProject(id) {
+  readProject(id);
+  fs.rmSync(projectDir(id), { recursive: true, force: true });
+}
+
+function assetFile(id, name) {
+  if (!ASSET_RE.test(String(name))) {
+    throw new HttpError(400, 'Asset names must be simple file names ending in .png, .jpg, .webp, .mp3, .wav or .m4a.');
+  }
+  return path.join(projectDir(id), 'assets', name);
+}
+
+/** Copies the named assets (those that exist) from one project to another. */
+export function copyAssets(fromId, toId, names) {
+  fs.mkdirSync(path.join(projectDir(toId), 'assets'), { recursive: true });
+  for (const name of new Set(names)) {
+    const from = assetFile(fromId, name);
+    if (fs.existsSync(from)) fs.copyFileSync(from, assetFile(toId, name));
+  }
+}
+
+export function putAsset(id, name, buf) {
+  readProject(id);
+  if (!Buffer.isBuffer(buf) || buf.length === 0) throw new HttpError(400, 'Asset body is empty.');
+  const file = assetFile(id, name);
+  fs.writeFileSync(file, buf);
+  return { name, bytes: buf.length };
+}
+
+/** Absolute path of an existing asset (for res.sendFile). */
+export function getAssetPath(id, name) {
+  const file = assetFile(id, name);
+  if (!fs.existsSync(file)) throw new HttpError(404, `Asset "${name}" not found.`);
+  return file;
+}
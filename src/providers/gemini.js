@@ -0,0 +1,89 @@
+import { ProviderError, retryAfterMs } from '../errors.js';
+import { jsonMode } from './jsonMode.js';
+
+// Gemini API (AI Studio key) — for running outside GCP without service-account credentials.
+const API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
+
+function getApiKey() {
+  const key = process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY;
+  if (!key) throw new Error('Missing GOOGLE_API_KEY (or GEMINI_API_KEY). Set it as an env var.');
+  return key;
+}
+
+export function getGeminiApiModelId() {
+  return process.env.GEMINI_API_MODEL || 'gemini-1.5-flash';
+}
+
+export function getGeminiApiImagenModelId() {
+  return process.env.GEMINI_API_IMAGEN_MODEL || 'imagen-3.0-generate-002';
+}
+
+async function postJson(url, body, label) {
+  const r = await fetch(url, {
+    method: 'POST',
+    headers: { 'x-goog-api-key': getApiKey(), 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const json = await r.json().catch(() => ({}));
+  if (!r.ok) {
+    console.error(`${label} error status:`, r.status, 'body:', json);
+    throw new ProviderError(`${label} returned ${r.status}`, r.status, { retryAfterMs: retryAfterMs(r) });
+  }
+  return json;
+}
+
+export const geminiProvider = {
+  name: 'gemini',
+
+  modelFor(kind) {
+    if (kind === 'text') return getGeminiApiModelId();
+    if (kind === 'image') return getGeminiApiImagenModelId();
+    return 'cloud-tts';
+  },
+
+  async generateText({ system, prompt, temperature = 0.4, maxOutputTokens = 2048, responseSchema, onUsage }) {
+    const parts = system ? [{ text: system }, { text: prompt }] : [{ text: prompt }];
+    const json = await postJson(`${API_BASE}/models/${encodeURIComponent(getGeminiApiModelId())}:generateContent`, {
+      contents: [{ role: 'user', parts }],
+      generationConfig: jsonMode({ temperature, maxOutputTokens }, responseSchema)
+    }, 'Gemini API');
+    const usage = json?.usageMetadata;
+    if (usage) onUsage?.({ inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 });
+    return json?.candidates?.[0]?.content?.parts?.map(p => p.text || '').join('') || '';
+  },
+
+  async generateImage({ prompt, negativePrompt, aspect }) {
+    const json = await postJson(`${API_BASE}/models/${encodeURIComponent(getGeminiApiImagenModelId())}:predict`, {
+      instances: [{ prompt }],
+      parameters: { sampleCount: 1, aspectRatio: aspect, ...(negativePrompt ? { negativePrompt } : {}) }
+    }, 'Imagen (API key)');
+    return json?.predictions?.[0]?.bytesBase64Encoded || '';
+  },
+
+  // Cloud Text-to-Speech accepts API keys on its REST surface, so the same key covers narration.
+  async synthesizeSpeech({ text, ssml, voice, speakingRate, pitch = 0, volumeGainDb = 0, sampleRateHertz }) {
+    const r = await fetch(`https://texttospeech.googleapis.com/v1/text:synthesize?key=${encodeURIComponent(getApiKey())}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        input: ssml ? { ssml } : { text },
+        voice: { languageCode: voice.languageCode, name: voice.name },
+        audioConfig: { audioEncoding: 'MP3', speakingRate, pitch, volumeGainDb, ...(sampleRateHertz ? { sampleRateHertz } : {}) }
+      })
+    });
+    const json = await r.json().catch(() => ({}));
+    if (!r.ok) {
+      console.error('TTS (API key) error status:', r.status, 'body:', json);
+      throw new ProviderError(`Text-to-Speech returned ${r.status}`, r.status, { retryAfterMs: retryAfterMs(r) });
+    }
+    return json.audioContent ? Buffer.from(json.audioContent, 'base64') : null;
+  },
+
+  async listVoices({ languageCode } = {}) {
+    const query = languageCode ? `&languageCode=${encodeURIComponent(languageCode)}` : '';
+    const r = await fetch(`https://texttospeech.googleapis.com/v1/voices?key=${encodeURIComponent(getApiKey())}${query}`);
+    const json = await r.json().catch(() => ({}));
+    if (!r.ok) throw new ProviderError(`Text-to-Speech voices returned ${r.status}`, r.status, { retryAfterMs: retryAfterMs(r) });
+    return json.voices || [];
+  }
+};
@@ -0,0 +1,39 @@
+import { vertexProvider } from './vertex.js';
+import { geminiProvider } from './gemini.js';
+import { mockProvider } from './mock.js';
+import { scheduled } from '../scheduler.js';
+
+// Every AI call in src/ goes through one of these. Each provider implements:
+//   generateText({ system, prompt, task, temperature, maxOutputTokens, responseSchema, onUsage }) -> string
+//     (with responseSchema the model is asked for JSON matching it; see jsonMode.js;
+//     onUsage({ inputTokens, outputTokens }) is called when the provider reports token counts)
+//   generateImage({ prompt, negativePrompt, aspect, width, height }) -> base64 PNG ('' when nothing came back)
+//   synthesizeSpeech({ text | ssml, voice: { languageCode, name }, speakingRate, pitch?, volumeGainDb?, sampleRateHertz? })
+//     -> MP3 Buffer | null
+//   modelFor(kind) -> model id used for 'text' | 'image' | 'speech' calls
+//   listVoices({ languageCode }) -> [{ name, languageCodes, ssmlGender, naturalSampleRateHertz }]
+//     (optional; without it /api/voices serves the built-in list, see src/voices.js)
+// `task` is a hint naming the kind of text request; only the mock provider uses it.
+// getProvider() hands out a scheduled wrapper: calls queue per model and transient failures are
+// retried (src/scheduler.js); each method takes an optional second argument { onRetry }. Providers throw ProviderError (src/errors.js) for upstream HTTP errors.
+const PROVIDERS = {
+  vertex: scheduled(vertexProvider),
+  gemini: scheduled(geminiProvider),
+  mock: scheduled(mockProvider)
+};
+
+export function getProviderName() {
+  const explicit = (process.env.AI_PROVIDER || '').trim().toLowerCase();
+  if (explicit) return explicit;
+  if (process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY) return 'gemini';
+  return 'vertex';
+}
+
+export function getProvider() {
+  const name = getProviderName();
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown AI_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+  }
+  return provider;
+}
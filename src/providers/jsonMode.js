@@ -0,0 +1,6 @@
+// Gemini (Vertex AI and the API-key endpoint) share generationConfig; JSON mode is
+// responseMimeType plus an OpenAPI-style responseSchema that constrains decoding.
+export function jsonMode(generationConfig, responseSchema) {
+  if (!responseSchema) return generationConfig;
+  return { ...generationConfig, responseMimeType: 'application/json', responseSchema };
+}
@@ -0,0 +1,219 @@
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { ssmlSpeech } from '../ssml.js';
+import { stripSpeakers } from '../speakers.js';
+
+// Offline provider: deterministic output with no network or credentials.
+// Same input -> same bytes, so it is also safe to use for demos and UI work.
+
+const MOCK_WORDS_PER_SECOND = 2.5;
+
+function hashBytes(str) {
+  return crypto.createHash('sha256').update(String(str)).digest();
+}
+
+// ---------- text ----------
+
+function readPromptField(prompt, field) {
+  const m = String(prompt).match(new RegExp(`^${field}:\\s*(.*)$`, 'm'));
+  return m ? m[1].trim() : '';
+}
+
+function readPromptScript(prompt) {
+  const idx = String(prompt).indexOf('SCRIPT:');
+  return idx < 0 ? String(prompt) : String(prompt).slice(idx + 'SCRIPT:'.length).trim();
+}
+
+function splitSentences(text) {
+  return String(text)
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.!?])\s+/)
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+function mockScenePlan(prompt) {
+  const script = readPromptScript(prompt);
+  const timing = Number(readPromptField(prompt, 'TIMING_RULE_SECONDS')) || 13;
+  const sentences = splitSentences(script);
+  // Dialogue: narration keeps its speaker labels; the text shown and illustrated doesn't.
+  const speakers = readPromptField(prompt, 'SPEAKERS').split(',').map(s => s.trim()).filter(Boolean);
+  const spokenText = (text) => stripSpeakers(text, speakers).replace(/\s+/g, ' ').trim();
+
+  const scenes = [];
+  let words = [];
+  const flush = () => {
+    if (!words.length) return;
+    const narration = words.join(' ');
+    const spoken = spokenText(narration);
+    const duration = Math.min(timing, Math.max(2, Math.ceil(words.length / MOCK_WORDS_PER_SECOND)));
+    const firstWords = spoken.split(' ').slice(0, 6).join(' ').replace(/[.!?,;:]+$/, '');
+    scenes.push({
+      scene_id: scenes.length + 1,
+      duration_sec: duration,
+      narration,
+      on_screen_text: firstWords,
+      image_prompt: `Illustration of: ${firstWords}`,
+      keywords: spoken.toLowerCase().match(/[a-z]{5,}/g)?.slice(0, 5) || []
+    });
+    words = [];
+  };
+
+  for (const sentence of sentences) {
+    const next = sentence.split(' ');
+    if (words.length && (words.length + next.length) / MOCK_WORDS_PER_SECOND > timing) flush();
+    words.push(...next);
+  }
+  flush();
+
+  const title = spokenText(sentences[0] || '').replace(/[.!?]+$/, '').slice(0, 60) || 'Untitled';
+  return JSON.stringify({
+    title,
+    summary: `Mock plan with ${scenes.length} scene(s).`,
+    scenes
+  });
+}
+
+// Preset lines look like "PRESET: id | name | target | keywords: a, b"; picks the preset with the
+// most keyword mentions in the script, else the first one.
+function mockPresetChoice(prompt) {
+  const script = readPromptScript(prompt).toLowerCase();
+  const presets = [...String(prompt).matchAll(/^PRESET:\s*(.*)$/gm)].map(m => {
+    const parts = m[1].split(' | ');
+    const keywords = (parts.at(-1) || '').replace(/^keywords:\s*/, '').split(',').map(k => k.trim()).filter(Boolean);
+    return { id: parts[0].trim(), name: parts[1], hits: keywords.filter(k => script.includes(k)).length };
+  });
+  const best = presets.reduce((a, b) => (b.hits > a.hits ? b : a), presets[0] || { id: '', hits: 0 });
+  return JSON.stringify({
+    presetId: best.id,
+    confidence: best.hits ? 0.8 : 0.3,
+    reason: best.hits ? `Mock: the script mentions ${best.hits} of ${best.name}'s keywords.` : 'Mock: no clear match, picked the first preset.'
+  });
+}
+
+// Translation stand-in: the same text tagged with the target language, e.g. "[es-ES] Hello". Each
+// line is tagged after its speaker label ("Jesus: [es-ES] Follow me."), so dialogue still parses.
+function mockTranslation(prompt) {
+  const language = readPromptField(prompt, 'TARGET_LANGUAGE');
+  const idx = String(prompt).indexOf('SCENES:');
+  const { title, scenes } = JSON.parse(String(prompt).slice(idx + 'SCENES:'.length));
+  const tagLine = (line) => line.replace(/^([ \t]*\p{Lu}[\p{L}\p{N}'’. -]{0,40}:[ \t]*)?/u, (label) => `${label}[${language}] `);
+  const tag = (text) => (String(text || '').trim()
+    ? String(text).split('\n').map(line => (line.trim() ? tagLine(line) : line)).join('\n')
+    : '');
+  return JSON.stringify({
+    ...(title != null ? { title: tag(title) } : {}),
+    scenes: scenes.map(s => ({ scene_id: s.scene_id, narration: tag(s.narration), on_screen_text: tag(s.on_screen_text) }))
+  });
+}
+
+const TEXT_TASKS = {
+  'scene-plan': mockScenePlan,
+  // The repair prompt ends with the original request, so the same plan comes back (already valid).
+  'scene-plan-repair': mockScenePlan,
+  'preset-classify': mockPresetChoice,
+  'translate-scenes': mockTranslation
+};
+
+// ---------- image (PNG) ----------
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+// Diagonal two-colour gradient with a grid, so motion and framing are visible in renders.
+export function placeholderPng(seed, width, height) {
+  const h = hashBytes(seed);
+  const c1 = [h[0], h[1], h[2]];
+  const c2 = [h[3], h[4], h[5]];
+  const grid = 80;
+
+  const stride = width * 3 + 1;
+  const raw = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * stride] = 0; // filter: none
+    for (let x = 0; x < width; x++) {
+      const t = (x / width + y / height) / 2;
+      const line = x % grid === 0 || y % grid === 0;
+      const o = y * stride + 1 + x * 3;
+      for (let ch = 0; ch < 3; ch++) {
+        const v = c1[ch] + (c2[ch] - c1[ch]) * t;
+        raw[o + ch] = line ? 255 - v : v;
+      }
+    }
+  }
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 2; // colour type: RGB
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// ---------- speech (MP3) ----------
+
+// MPEG-1 Layer III, 32 kbps, 44.1 kHz, mono. An all-zero frame body decodes as silence.
+const SILENT_FRAME = (() => {
+  const frame = Buffer.alloc(104);
+  frame.set([0xFF, 0xFB, 0x10, 0xC0]);
+  return frame;
+})();
+const FRAME_SECONDS = 1152 / 44100;
+
+export function silentMp3(seconds) {
+  const frames = Math.max(1, Math.ceil(seconds / FRAME_SECONDS));
+  return Buffer.concat(Array.from({ length: frames }, () => SILENT_FRAME));
+}
+
+export const mockProvider = {
+  name: 'mock',
+
+  modelFor(kind) {
+    return `mock-${kind}`;
+  },
+
+  // Reports roughly 4 characters per token, so metering has something to count.
+  async generateText({ system = '', prompt, task, onUsage }) {
+    const handler = TEXT_TASKS[task];
+    const text = handler ? handler(prompt) : `MOCK: ${String(prompt).slice(0, 200)}`;
+    onUsage?.({ inputTokens: Math.ceil((system.length + String(prompt).length) / 4), outputTokens: Math.ceil(text.length / 4) });
+    return text;
+  },
+
+  async generateImage({ prompt, width, height }) {
+    return placeholderPng(prompt, width, height).toString('base64');
+  },
+
+  async synthesizeSpeech({ text, ssml, speakingRate = 1 }) {
+    const spoken = ssml ? ssmlSpeech(ssml) : { text, breakSec: 0 };
+    const words = String(spoken.text).trim().split(/\s+/).filter(Boolean).length;
+    return silentMp3(Math.max(1, words / MOCK_WORDS_PER_SECOND / speakingRate + spoken.breakSec));
+  }
+};
@@ -0,0 +1,82 @@
+import { GoogleAuth } from 'google-auth-library';
+import textToSpeech from '@google-cloud/text-to-speech';
+import { getVertexClient, getVertexConfig, getGeminiModelId, getImagenModelId } from '../vertex.js';
+import { ProviderError, retryAfterMs } from '../errors.js';
+import { jsonMode } from './jsonMode.js';
+
+// Vertex AI via Application Default Credentials (Cloud Run service account, or `gcloud auth application-default login`).
+let ttsClient = null;
+
+function getTtsClient() {
+  if (!ttsClient) ttsClient = new textToSpeech.TextToSpeechClient();
+  return ttsClient;
+}
+
+async function getAccessToken() {
+  const auth = new GoogleAuth({ scopes: ['https://www.googleapis.com/auth/cloud-platform'] });
+  const client = await auth.getClient();
+  const { token } = await client.getAccessToken();
+  if (!token) throw new Error('Could not obtain access token via ADC.');
+  return token;
+}
+
+export const vertexProvider = {
+  name: 'vertex',
+
+  modelFor(kind) {
+    if (kind === 'text') return getGeminiModelId();
+    if (kind === 'image') return getImagenModelId();
+    return 'cloud-tts';
+  },
+
+  async generateText({ system, prompt, temperature = 0.4, maxOutputTokens = 2048, responseSchema, onUsage }) {
+    const { vertexAI } = getVertexClient();
+    const model = vertexAI.getGenerativeModel({ model: getGeminiModelId() });
+    const parts = system ? [{ text: system }, { text: prompt }] : [{ text: prompt }];
+    const resp = await model.generateContent({
+      contents: [{ role: 'user', parts }],
+      generationConfig: jsonMode({ temperature, maxOutputTokens }, responseSchema)
+    });
+    const usage = resp?.response?.usageMetadata;
+    if (usage) onUsage?.({ inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 });
+    return resp?.response?.candidates?.[0]?.content?.parts?.map(p => p.text || '').join('') || '';
+  },
+
+  // Imagen is served through the Prediction API, which the Vertex SDK does not wrap, so call REST directly.
+  async generateImage({ prompt, negativePrompt, aspect }) {
+    const { project, location } = getVertexConfig();
+    const url = `https://${location}-aiplatform.googleapis.com/v1/projects/${encodeURIComponent(project)}`
+      + `/locations/${encodeURIComponent(location)}/publishers/google/models/${encodeURIComponent(getImagenModelId())}:predict`;
+
+    const r = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${await getAccessToken()}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        instances: [{ prompt }],
+        parameters: { sampleCount: 1, aspectRatio: aspect, ...(negativePrompt ? { negativePrompt } : {}) }
+      })
+    });
+    const json = await r.json().catch(() => ({}));
+    if (!r.ok) {
+      console.error('Imagen error status:', r.status, 'body:', json);
+      throw new ProviderError(`Imagen returned ${r.status}`, r.status, { retryAfterMs: retryAfterMs(r) });
+    }
+    return json?.predictions?.[0]?.bytesBase64Encoded || '';
+  },
+
+  async synthesizeSpeech({ text, ssml, voice, speakingRate, pitch = 0, volumeGainDb = 0, sampleRateHertz }) {
+    const [response] = await getTtsClient().synthesizeSpeech({
+      input: ssml ? { ssml } : { text },
+      voice: { languageCode: voice.languageCode, name: voice.name },
+      audioConfig: { audioEncoding: 'MP3', speakingRate, pitch, volumeGainDb, ...(sampleRateHertz ? { sampleRateHertz } : {}) }
+    });
+    const audioContent = response.audioContent;
+    if (!audioContent) return null;
+    return Buffer.isBuffer(audioContent) ? audioContent : Buffer.from(audioContent);
+  },
+
+  async listVoices({ languageCode } = {}) {
+    const [response] = await getTtsClient().listVoices(languageCode ? { languageCode } : {});
+    return response.voices || [];
+  }
+};
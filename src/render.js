@@ -3,99 +3,315 @@ import path from 'path';
 import os from 'os';
 import { spawn } from 'child_process';
 import { z } from 'zod';
+import { HttpError } from './errors.js';
+import { Motion, MOTION_TYPES, motionFilter, resolveMotionType } from './motion.js';
+import { CaptionOptions, CaptionStyle, buildCues, buildOverlayCues, toAss } from './subtitles.js';
+import { MusicOptions, resolveMusicPath, musicMixFilter } from './music.js';
+import { Transition, SceneTransition, resolveTransitions, timelineOf, hasTransitions, joinFilter } from './transitions.js';
+import { FORMATS, FORMAT_IDS } from './formats.js';
 
 // This renderer expects multipart uploads:
 // - images[] (png/jpg)
-// - audios[] (mp3) optional per scene
-// - manifest (json) describing durations in seconds matching images order
+// - audios[] (mp3) optional per scene, named so the scene index can be read back (scene_003.mp3)
+// - music (one audio file) optional background bed, when manifest.music.source is "upload"
+// - manifest (json) describing durations in seconds matching images order,
+//   plus Ken Burns motion: a project default and optional per-scene overrides,
+//   optional burned-in captions (narration) / on_screen_text overlays, the music bed settings,
+//   scene transitions (a default plus per-scene overrides for the transition INTO that scene),
+//   and the output formats: one MP4 per entry, images reframed ('cover') or letterboxed ('contain')
 const Manifest = z.object({
+  formats: z.array(z.enum(FORMAT_IDS)).min(1).optional().default(['landscape'])
+    .transform(list => [...new Set(list)]),
+  fit: z.enum(['cover', 'contain']).optional().default('cover'),
+  motion: Motion.optional().default({}),
+  transition: Transition.optional().default({}),
+  music: MusicOptions.optional().default({}),
+  captions: CaptionOptions.extend({
+    burnCaptions: z.boolean().optional().default(false),
+    burnOnScreenText: z.boolean().optional().default(false),
+    accent: z.string().regex(/^#[0-9a-fA-F]{6}$/).optional().default('#FFFFFF'),
+    style: CaptionStyle.optional().default({})
+  }).optional().default({}),
   scenes: z.array(z.object({
     duration_sec: z.number().min(1).max(60),
-    hasAudio: z.boolean().optional().default(false)
+    hasAudio: z.boolean().optional().default(false),
+    narration: z.string().optional().default(''),
+    on_screen_text: z.string().optional().default(''),
+    motion: z.object({
+      type: z.enum(MOTION_TYPES).optional(),
+      intensity: z.number().min(0).max(1).optional()
+    }).optional(),
+    transition: SceneTransition.optional()
   })).min(1)
 });
 
-function run(cmd, args, cwd) {
+const FPS = 30;
+
+export function parseManifest(manifestJson) {
+  let raw;
+  try {
+    raw = JSON.parse(manifestJson);
+  } catch {
+    throw new HttpError(400, 'manifest must be valid JSON.');
+  }
+  return Manifest.parse(raw);
+}
+
+/** Everything that can be checked before queueing: manifest shape, one image per scene and the music input. */
+export function validateRenderRequest({ files, manifestJson }) {
+  const manifest = parseManifest(manifestJson);
+  placeUploads(manifest, files);
+  resolveMusicPath(manifest.music, files);
+  return manifest;
+}
+
+// ffmpeg -progress writes key=value lines; out_time_us is the encoded position.
+function run(cmd, args, cwd, { signal, onTime } = {}) {
   return new Promise((resolve, reject) => {
-    const p = spawn(cmd, args, { cwd });
+    if (signal?.aborted) return reject(renderCancelled());
+    const p = spawn(cmd, ['-progress', 'pipe:1', '-nostats', ...args], { cwd });
     let stderr = '';
-    p.stderr.on('data', d => stderr += d.toString());
+    let stdout = '';
+    const onAbort = () => p.kill('SIGKILL');
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    p.stdout.on('data', d => {
+      stdout += d.toString();
+      const lines = stdout.split('\n');
+      stdout = lines.pop();
+      for (const line of lines) {
+        const m = line.match(/^out_time_us=(\d+)/);
+        if (m && onTime) onTime(Number(m[1]) / 1e6);
+      }
+    });
+    p.stderr.on('data', d => {
+      stderr += d.toString();
+      if (stderr.length > 20000) stderr = stderr.slice(-20000);
+    });
+    p.on('error', err => {
+      signal?.removeEventListener('abort', onAbort);
+      reject(err.code === 'ENOENT' ? new Error('ffmpeg is not installed on the server.') : err);
+    });
     p.on('close', code => {
-      if (code === 0) resolve({ ok: true });
-      else reject(new Error(`ffmpeg failed (${code}): ${stderr}`));
+      signal?.removeEventListener('abort', onAbort);
+      if (signal?.aborted) reject(renderCancelled());
+      else if (code === 0) resolve({ ok: true });
+      else reject(new Error(`ffmpeg failed (${code}): ${stderr.slice(-1500)}`));
     });
   });
 }
 
-export async function renderMp4({ files, manifestJson }) {
-  const manifest = Manifest.parse(JSON.parse(manifestJson));
-
-  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'creator-station-'));
-  const imgDir = path.join(tmp, 'imgs');
-  const audDir = path.join(tmp, 'aud');
-  fs.mkdirSync(imgDir);
-  fs.mkdirSync(audDir);
+function renderCancelled() {
+  const err = new Error('Render cancelled.');
+  err.name = 'AbortError';
+  return err;
+}
 
-  // Place files in order
-  const images = (files.images || []).sort((a,b)=>a.originalname.localeCompare(b.originalname));
-  const audios = (files.audios || []).sort((a,b)=>a.originalname.localeCompare(b.originalname));
+// Scene index from an upload name like scene_003.mp3; falls back to upload order.
+function sceneIndexOf(file, fallback) {
+  const m = file.originalname.match(/(\d+)(?!.*\d)/);
+  return m ? Number(m[1]) : fallback;
+}
 
+// Uploads in scene order: images sorted by name (one per scene), narration keyed by scene index.
+function placeUploads(manifest, files) {
+  const images = [...(files.images || [])].sort((a,b)=>a.originalname.localeCompare(b.originalname));
   if (images.length !== manifest.scenes.length) {
-    throw new Error(`Images count (${images.length}) must match scenes (${manifest.scenes.length}).`);
+    throw new HttpError(400, `Images count (${images.length}) must match scenes (${manifest.scenes.length}).`);
+  }
+  const audioByScene = new Map(
+    [...(files.audios || [])]
+      .sort((a,b)=>a.originalname.localeCompare(b.originalname))
+      .map((f, i) => [sceneIndexOf(f, i), f])
+  );
+  return { images, audioByScene };
+}
+
+// Maps each stage's own 0..1 fraction onto one 0-100 scale. weights: { stage: share } in run order, summing to 1.
+function progressReporter(weights, segments, onProgress) {
+  const order = Object.keys(weights);
+  return (stage, segment, fraction) => {
+    const before = order.slice(0, order.indexOf(stage)).reduce((sum, k) => sum + weights[k], 0);
+    const percent = Math.round(100 * (before + weights[stage] * Math.min(1, Math.max(0, fraction))));
+    onProgress({ stage, segment, segments, percent: Math.min(100, percent) });
+  };
+}
+
+export function removeUploads(files) {
+  for (const f of Object.values(files).flat()) {
+    try { fs.unlinkSync(f.path); } catch {}
   }
+}
+
+// One format: segments -> join -> optional finish pass, all inside `dir`. Returns the MP4 path.
+async function renderFormat({ manifest, format, images, audioByScene, musicPath, dir, signal, onProgress }) {
+  const { width, height } = format;
+  const segments = manifest.scenes.length;
+  const segmentTotal = manifest.scenes.reduce((sum, s) => sum + s.duration_sec, 0);
+  const transitions = resolveTransitions(manifest.scenes, manifest.transition);
+  const crossfade = hasTransitions(transitions);
+  // Output length: transitions overlap neighbouring scenes.
+  const { starts, total } = timelineOf(manifest.scenes, transitions);
+  const { captions } = manifest;
+  const burn = captions.burnCaptions || captions.burnOnScreenText;
+  const finish = burn || !!musicPath;
+  // Encoding segments is the bulk of the work; concat is a fast stream copy unless transitions
+  // force a re-encode; the finish pass re-encodes video only when burning captions.
+  const joinShare = crossfade ? 0.15 : 0.05;
+  const finishShare = finish ? (burn ? 0.15 : 0.05) : 0;
+  const weights = { segment: 1 - joinShare - finishShare, concat: joinShare };
+  if (finish) weights.finish = finishShare;
+  const report = progressReporter(weights, segments, onProgress);
+  let done = 0;
 
   const segmentFiles = [];
 
-  for (let i = 0; i < manifest.scenes.length; i++) {
+  for (let i = 0; i < segments; i++) {
     const dur = manifest.scenes[i].duration_sec;
     const imgPath = images[i].path;
-    const seg = path.join(tmp, `seg_${String(i).padStart(3,'0')}.mp4`);
+    const seg = path.join(dir, `seg_${String(i).padStart(3,'0')}.mp4`);
+
+    // Every segment gets an audio stream (silence when the scene has none) so concat copy stays valid.
+    const audioFile = audioByScene.get(i)?.path || null;
+    const audioInput = audioFile ? ['-i', audioFile] : ['-f', 'lavfi', '-i', 'anullsrc=r=44100:cl=stereo'];
 
-    // Optional audio
-    const audioFile = audios[i] ? audios[i].path : null;
+    const motion = { ...manifest.motion, ...manifest.scenes[i].motion };
+    const type = resolveMotionType(motion.type, i);
+    const frames = Math.round(dur * FPS);
+    const vf = motionFilter({ type, intensity: motion.intensity, frames, fps: FPS, width, height, fit: manifest.fit });
+    // zoompan emits all `frames` from a single input frame; a static scene loops the image instead.
+    const imageInput = type === 'none' || motion.intensity <= 0 ? ['-loop', '1', '-i', imgPath] : ['-i', imgPath];
 
-    // Build segment: loop image for duration, add audio if exists
-    const args = audioFile ? [
+    const args = [
       '-y',
-      '-loop', '1',
-      '-i', imgPath,
-      '-i', audioFile,
+      ...imageInput,
+      ...audioInput,
       '-t', String(dur),
-      '-vf', 'scale=1280:720:force_original_aspect_ratio=decrease,pad=1280:720:(ow-iw)/2:(oh-ih)/2,format=yuv420p',
-      '-shortest',
-      '-r', '30',
+      '-vf', vf,
+      '-af', 'apad',
+      '-r', String(FPS),
       '-c:v', 'libx264',
       '-c:a', 'aac',
-      seg
-    ] : [
-      '-y',
-      '-loop', '1',
-      '-i', imgPath,
-      '-t', String(dur),
-      '-vf', 'scale=1280:720:force_original_aspect_ratio=decrease,pad=1280:720:(ow-iw)/2:(oh-ih)/2,format=yuv420p',
-      '-r', '30',
-      '-c:v', 'libx264',
+      '-ar', '44100',
+      '-ac', '2',
       seg
     ];
 
-    await run('ffmpeg', args, tmp);
+    report('segment', i + 1, done / segmentTotal);
+    await run('ffmpeg', args, dir, {
+      signal,
+      onTime: t => report('segment', i + 1, (done + Math.min(t, dur)) / segmentTotal)
+    });
+    done += dur;
     segmentFiles.push(seg);
   }
 
-  // concat segments
-  const listFile = path.join(tmp, 'list.txt');
-  fs.writeFileSync(listFile, segmentFiles.map(f => `file '${f.replace(/'/g, "'\\''")}'`).join('\n'));
+  const out = path.join(dir, 'output.mp4');
+  const joined = finish ? path.join(dir, 'joined.mp4') : out;
+  report('concat', segments, 0);
+  if (crossfade) {
+    // xfade/acrossfade need decoded frames, so joining with transitions re-encodes.
+    await run('ffmpeg', [
+      '-y',
+      ...segmentFiles.flatMap(f => ['-i', f]),
+      '-filter_complex', joinFilter(manifest.scenes, transitions),
+      '-map', '[vout]',
+      '-map', '[aout]',
+      '-c:v', 'libx264',
+      '-pix_fmt', 'yuv420p',
+      '-r', String(FPS),
+      '-c:a', 'aac',
+      joined
+    ], dir, { signal, onTime: t => report('concat', segments, t / total) });
+  } else {
+    // concat segments
+    const listFile = path.join(dir, 'list.txt');
+    fs.writeFileSync(listFile, segmentFiles.map(f => `file '${f.replace(/'/g, "'\\''")}'`).join('\n'));
+    await run('ffmpeg', ['-y', '-f', 'concat', '-safe', '0', '-i', listFile, '-c', 'copy', joined], dir, {
+      signal,
+      onTime: t => report('concat', segments, t / total)
+    });
+  }
 
-  const out = path.join(tmp, 'output.mp4');
-  await run('ffmpeg', ['-y', '-f', 'concat', '-safe', '0', '-i', listFile, '-c', 'copy', out], tmp);
+  // Finish pass: burned-in captions and/or the music bed, in one ffmpeg run.
+  if (finish) {
+    const args = ['-y', '-i', joined];
+    const filters = [];
+    if (burn) {
+      const captionOptions = { ...captions, maxCharsPerLine: Math.min(captions.maxCharsPerLine, format.maxCharsPerLine), starts };
+      const ass = toAss({
+        captions: captions.burnCaptions ? buildCues(manifest.scenes, captionOptions) : [],
+        overlays: captions.burnOnScreenText ? buildOverlayCues(manifest.scenes, { starts }) : [],
+        width,
+        height,
+        accent: captions.accent,
+        style: captions.style
+      });
+      fs.writeFileSync(path.join(dir, 'captions.ass'), ass);
+      // Relative filename (cwd = dir) sidesteps filtergraph escaping of the temp path.
+      filters.push('[0:v]ass=captions.ass[vout]');
+    }
+    if (musicPath) {
+      args.push('-stream_loop', '-1', '-i', musicPath);
+      filters.push(musicMixFilter({ narrationIn: '0:a', musicIn: '1:a', total, ...manifest.music }));
+    }
+    args.push(
+      '-filter_complex', filters.join(';'),
+      '-map', burn ? '[vout]' : '0:v',
+      '-map', musicPath ? '[aout]' : '0:a',
+      '-c:v', burn ? 'libx264' : 'copy',
+      '-c:a', musicPath ? 'aac' : 'copy',
+      out
+    );
+    report('finish', segments, 0);
+    await run('ffmpeg', args, dir, { signal, onTime: t => report('finish', segments, t / total) });
+    fs.unlinkSync(joined);
+  }
 
-  const buf = fs.readFileSync(out);
+  // Segment intermediates are no longer needed once the output exists.
+  for (const f of segmentFiles) { try { fs.unlinkSync(f); } catch {} }
+  return out;
+}
 
-  // cleanup
+/**
+ * Renders every requested format to <workDir>/<format>/output.mp4 and returns
+ * { outputs: { [format]: path }, workDir }. The caller owns workDir and must remove it.
+ * Uploaded files are always removed.
+ * onProgress({ stage, segment, segments, format, percent }) fires as ffmpeg reports time;
+ * percent covers all formats.
+ */
+export async function renderMp4({ files, manifestJson, onProgress = () => {}, signal }) {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'creator-station-'));
   try {
-    for (const f of [...images, ...audios]) { fs.unlinkSync(f.path); }
-    fs.rmSync(tmp, { recursive: true, force: true });
-  } catch {}
+    const manifest = parseManifest(manifestJson);
+
+    const { images, audioByScene } = placeUploads(manifest, files);
+    const musicPath = resolveMusicPath(manifest.music, files);
+
+    const outputs = {};
+    const { formats } = manifest;
+    for (const [k, id] of formats.entries()) {
+      const dir = path.join(tmp, id);
+      fs.mkdirSync(dir);
+      outputs[id] = await renderFormat({
+        manifest,
+        format: FORMATS[id],
+        images,
+        audioByScene,
+        musicPath,
+        dir,
+        signal,
+        onProgress: p => onProgress({ ...p, format: id, percent: Math.round((k * 100 + p.percent) / formats.length) })
+      });
+    }
 
-  return buf;
+    const segments = manifest.scenes.length;
+    onProgress({ stage: 'done', segment: segments, segments, format: formats[formats.length - 1], percent: 100 });
+    return { outputs, workDir: tmp };
+  } catch (err) {
+    fs.rmSync(tmp, { recursive: true, force: true });
+    throw err;
+  } finally {
+    removeUploads(files);
+  }
 }
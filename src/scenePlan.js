@@ -0,0 +1,141 @@
+import { z } from 'zod';
+
+// The scene plan the text model must produce: a zod schema to validate it, the same shape as a
+// response schema for providers' JSON mode, and a lenient pass that fixes what can be fixed
+// mechanically (types, defaults, the timing rule) and reports every field it touched.
+
+export const PlanScene = z.object({
+  scene_id: z.number().int().positive(),
+  duration_sec: z.number().positive(),
+  narration: z.string().trim().min(1),
+  on_screen_text: z.string(),
+  image_prompt: z.string().trim().min(1),
+  keywords: z.array(z.string()).max(12)
+});
+
+export const ScenePlan = z.object({
+  title: z.string(),
+  summary: z.string(),
+  scenes: z.array(PlanScene).min(1)
+});
+
+// OpenAPI-style schema accepted by Gemini's responseSchema (Vertex AI and the Gemini API).
+export const SCENE_PLAN_RESPONSE_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    title: { type: 'STRING' },
+    summary: { type: 'STRING' },
+    scenes: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          scene_id: { type: 'INTEGER' },
+          duration_sec: { type: 'NUMBER' },
+          narration: { type: 'STRING' },
+          on_screen_text: { type: 'STRING' },
+          image_prompt: { type: 'STRING' },
+          keywords: { type: 'ARRAY', items: { type: 'STRING' } }
+        },
+        required: ['scene_id', 'duration_sec', 'narration', 'on_screen_text', 'image_prompt', 'keywords']
+      }
+    }
+  },
+  required: ['title', 'summary', 'scenes']
+};
+
+/** JSON from model text. JSON mode returns bare JSON; otherwise take the outermost {...}. Throws with the parser's message. */
+export function parsePlanJson(text) {
+  const raw = String(text || '').trim();
+  try {
+    return JSON.parse(raw);
+  } catch {
+    const start = raw.indexOf('{');
+    const end = raw.lastIndexOf('}');
+    if (start < 0 || end <= start) throw new Error('Output contains no JSON object.');
+    try {
+      return JSON.parse(raw.slice(start, end + 1));
+    } catch (e) {
+      throw new Error(`Output is not valid JSON (${e.message}).`);
+    }
+  }
+}
+
+/**
+ * Returns { plan, coerced } where coerced is [{ path, action, from, to }] and action is
+ * 'defaulted' (missing), 'coerced' (wrong type), 'clamped' (out of range) or 'renumbered'.
+ * Problems it can't fix (missing narration, no scenes) are left for ScenePlan to reject.
+ */
+export function coercePlan(raw, { timingRuleSeconds }) {
+  const coerced = [];
+  const note = (path, action, from, to) => coerced.push({ path, action, from, to });
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { plan: raw, coerced };
+
+  const text = (obj, key, path, fallback) => {
+    const v = obj[key];
+    if (typeof v === 'string') return v;
+    if (v == null) {
+      if (fallback === undefined) return v;
+      note(path, 'defaulted', v, fallback);
+      return fallback;
+    }
+    if (typeof v === 'number' || typeof v === 'boolean') {
+      note(path, 'coerced', v, String(v));
+      return String(v);
+    }
+    return v;
+  };
+
+  const plan = {
+    ...raw,
+    title: text(raw, 'title', 'title', 'Untitled'),
+    summary: text(raw, 'summary', 'summary', '')
+  };
+  if (!Array.isArray(raw.scenes)) return { plan, coerced };
+
+  plan.scenes = raw.scenes.map((s, i) => {
+    if (!s || typeof s !== 'object') return s;
+    const at = `scenes[${i}]`;
+    const scene = {
+      scene_id: i + 1,
+      narration: text(s, 'narration', `${at}.narration`),
+      on_screen_text: text(s, 'on_screen_text', `${at}.on_screen_text`, ''),
+      image_prompt: text(s, 'image_prompt', `${at}.image_prompt`)
+    };
+    if (Number(s.scene_id) !== i + 1) note(`${at}.scene_id`, 'renumbered', s.scene_id, i + 1);
+    else if (typeof s.scene_id !== 'number') note(`${at}.scene_id`, 'coerced', s.scene_id, i + 1);
+
+    let dur = s.duration_sec;
+    if (typeof dur === 'string' && Number.isFinite(Number(dur))) {
+      note(`${at}.duration_sec`, 'coerced', dur, Number(dur));
+      dur = Number(dur);
+    }
+    if (typeof dur !== 'number' || !Number.isFinite(dur) || dur <= 0) {
+      note(`${at}.duration_sec`, 'defaulted', s.duration_sec, timingRuleSeconds);
+      dur = timingRuleSeconds;
+    } else if (dur > timingRuleSeconds) {
+      note(`${at}.duration_sec`, 'clamped', dur, timingRuleSeconds);
+      dur = timingRuleSeconds;
+    }
+    scene.duration_sec = dur;
+
+    let keywords = s.keywords;
+    if (typeof keywords === 'string') {
+      note(`${at}.keywords`, 'coerced', keywords, 'list');
+      keywords = keywords.split(',').map(k => k.trim()).filter(Boolean);
+    } else if (!Array.isArray(keywords)) {
+      note(`${at}.keywords`, 'defaulted', keywords, []);
+      keywords = [];
+    }
+    if (keywords.some(k => typeof k !== 'string')) note(`${at}.keywords`, 'coerced', 'non-string items', 'strings');
+    if (keywords.length > 12) note(`${at}.keywords`, 'clamped', keywords.length, 12);
+    scene.keywords = keywords.slice(0, 12).map(String);
+    return scene;
+  });
+  return { plan, coerced };
+}
+
+/** Human-readable validation issues, one per line, for the repair prompt and error messages. */
+export function formatPlanIssues(zodError) {
+  return zodError.issues.map(i => `${i.path.length ? i.path.join('.') : 'root'}: ${i.message}`);
+}
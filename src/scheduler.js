@@ -0,0 +1,142 @@
+import PQueue from 'p-queue';
+
+// Every provider call runs through a queue per model: at most `concurrency` in flight and `rpm`
+// started per minute. Rate limits (429), upstream 5xx and dropped connections are retried with
+// exponential backoff and full jitter; each retry queues again, so waiting never holds a slot.
+//
+// Limits per kind below; RATE_LIMITS (JSON) overrides them by kind or by model id, e.g.
+// {"image":{"rpm":10},"gemini-1.5-pro-002":{"concurrency":2}}. rpm 0 means no per-minute cap.
+
+const DEFAULT_LIMITS = {
+  text: { concurrency: 4, rpm: 60 },
+  image: { concurrency: 2, rpm: 20 },
+  speech: { concurrency: 4, rpm: 300 }
+};
+// The mock provider costs nothing, so only concurrency applies.
+const MOCK_LIMITS = { concurrency: 8, rpm: 0 };
+
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+
+// gRPC status codes from the Text-to-Speech client: DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED, INTERNAL, UNAVAILABLE
+const RETRYABLE_GRPC_CODES = new Set([4, 8, 13, 14]);
+
+const queues = new Map();
+
+function getMaxRetries() {
+  const n = Number(process.env.PROVIDER_MAX_RETRIES ?? 4);
+  return Number.isInteger(n) && n >= 0 ? Math.min(n, 10) : 4;
+}
+
+function configuredLimits() {
+  try {
+    return JSON.parse(process.env.RATE_LIMITS || '{}');
+  } catch {
+    console.warn('RATE_LIMITS is not valid JSON; using default rate limits.');
+    return {};
+  }
+}
+
+function limitsFor(provider, kind, model) {
+  const custom = configuredLimits();
+  const base = provider === 'mock' ? MOCK_LIMITS : DEFAULT_LIMITS[kind];
+  const merged = { ...base, ...(custom[kind] || {}), ...(custom[model] || {}) };
+  return {
+    concurrency: Math.max(1, Math.floor(Number(merged.concurrency) || 1)),
+    rpm: Math.max(0, Math.floor(Number(merged.rpm) || 0))
+  };
+}
+
+function queueFor(provider, kind, model) {
+  const key = `${provider}:${kind}:${model}`;
+  let entry = queues.get(key);
+  if (!entry) {
+    const limits = limitsFor(provider, kind, model);
+    const queue = new PQueue({
+      concurrency: limits.concurrency,
+      ...(limits.rpm ? { intervalCap: limits.rpm, interval: 60000 } : {})
+    });
+    entry = { key, provider, kind, model, limits, queue, completed: 0, failed: 0, retries: 0 };
+    queues.set(key, entry);
+  }
+  return entry;
+}
+
+/** Rate limits, upstream 5xx, timeouts and dropped connections; not bad requests or auth errors. */
+export function isRetryable(err) {
+  const status = err?.upstreamStatus ?? err?.response?.status;
+  if (status) return status === 429 || status >= 500;
+  if (RETRYABLE_GRPC_CODES.has(err?.code)) return true;
+  const message = String(err?.message || '');
+  // The Vertex SDK only puts the status in its message ("got status: 429 Too Many Requests").
+  if (/\bstatus:? (429|5\d\d)\b/i.test(message)) return true;
+  return err?.name === 'TypeError' && /fetch failed/i.test(message) || ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN'].includes(err?.code);
+}
+
+// Full jitter: a random wait up to the exponential step, but never shorter than Retry-After.
+function backoffMs(attempt, err) {
+  const step = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  return Math.max(err?.retryAfterMs || 0, Math.round(Math.random() * step));
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Runs fn() in the queue for this provider/kind/model, retrying transient failures.
+ * onRetry({ attempt, delayMs, error }) is called before each retry.
+ */
+export async function schedule({ provider, kind, model, onRetry }, fn) {
+  const entry = queueFor(provider, kind, model);
+  const maxRetries = getMaxRetries();
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await entry.queue.add(fn);
+      entry.completed += 1;
+      return result;
+    } catch (err) {
+      if (attempt >= maxRetries || !isRetryable(err)) {
+        entry.failed += 1;
+        if (attempt > 0) err.message = `${err.message} (gave up after ${attempt} retr${attempt === 1 ? 'y' : 'ies'})`;
+        throw err;
+      }
+      const delay = backoffMs(attempt, err);
+      entry.retries += 1;
+      console.warn(`[${entry.key}] ${err.message}; retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+      onRetry?.({ attempt: attempt + 1, delayMs: delay, error: err.message });
+      await sleep(delay);
+    }
+  }
+}
+
+/** Wraps a provider so each of its calls is scheduled under that call's model. */
+export function scheduled(provider) {
+  const run = (kind, method) => (args, { onRetry } = {}) => schedule(
+    { provider: provider.name, kind, model: provider.modelFor(kind), onRetry },
+    () => provider[method](args)
+  );
+  return {
+    name: provider.name,
+    modelFor: provider.modelFor,
+    generateText: run('text', 'generateText'),
+    generateImage: run('image', 'generateImage'),
+    synthesizeSpeech: run('speech', 'synthesizeSpeech'),
+    // Catalog lookups are free and rare (src/voices.js caches them): not queued.
+    listVoices: provider.listVoices && (args => provider.listVoices(args))
+  };
+}
+
+/** GET /api/queue: one entry per model used so far. */
+export function queueStats() {
+  return [...queues.values()].map(e => ({
+    provider: e.provider,
+    kind: e.kind,
+    model: e.model,
+    concurrency: e.limits.concurrency,
+    rpm: e.limits.rpm,
+    running: e.queue.pending,
+    queued: e.queue.size,
+    completed: e.completed,
+    failed: e.failed,
+    retries: e.retries
+  }));
+}
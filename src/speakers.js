@@ -0,0 +1,84 @@
+// Dialogue scripts: "Narrator: ...", "Jesus: ...", "Friend: ..." at the start of a line. Labels stay
+// in the scene narration (one turn per line), so editing, splitting and merging scenes keep them;
+// dialogueLines() reads them back as per-line speaker tags, and a project's cast (speaker -> voice)
+// decides which voice reads each line. Text before the first label continues the previous speaker.
+
+const MAX_SPEAKERS = 12;
+
+// One to three capitalized words and a colon: "Narrator:", "Friend 2:", "Mary Magdalene:".
+const LABEL_RE = /^[ \t]*(\p{Lu}[\p{L}\p{N}'’.-]*(?:[ \t]+[\p{Lu}\p{N}][\p{L}\p{N}'’.-]*){0,2})[ \t]*:[ \t]*\S/gmu;
+
+const escapeRe = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * The speakers of a dialogue script, in order of appearance, or [] for plain narration. It counts
+ * as dialogue when at least half of the non-empty lines start with a label and some label recurs
+ * (so a numbered list, "Step 1: / Step 2:", is not mistaken for a cast).
+ */
+export function detectSpeakers(script) {
+  const text = String(script || '');
+  const counts = new Map();
+  for (const m of text.matchAll(LABEL_RE)) counts.set(m[1], (counts.get(m[1]) || 0) + 1);
+  const labelled = [...counts.values()].reduce((a, b) => a + b, 0);
+  const lines = text.split('\n').filter(l => l.trim()).length;
+  if (labelled < 2 || labelled < lines / 2 || ![...counts.values()].some(n => n > 1)) return [];
+  return [...counts.keys()].slice(0, MAX_SPEAKERS);
+}
+
+// Known labels at the start of the text or a line, or right after a sentence (narration joined
+// onto one line still splits into turns).
+function labelMatcher(speakers) {
+  if (!speakers?.length) return null;
+  const names = [...speakers].sort((a, b) => b.length - a.length).map(escapeRe).join('|');
+  return new RegExp(`(?<=^|\\n|[.!?…"”’)\\]][ \\t]+)[ \\t]*(${names})[ \\t]*:[ \\t]*`, 'gu');
+}
+
+/**
+ * [{ speaker, text }] turns of `text`. Unlabelled text at the start belongs to `carry` (the speaker
+ * still talking from the previous scene), or to no one (the project voice). Empty turns are dropped
+ * and consecutive turns of one speaker merged.
+ */
+export function dialogueLines(text, speakers, carry = null) {
+  const source = String(text || '');
+  const re = labelMatcher(speakers);
+  const turns = [];
+  let speaker = carry || null;
+  let last = 0;
+  const push = (until) => {
+    const said = source.slice(last, until).replace(/\s+/g, ' ').trim();
+    if (!said) return;
+    const prev = turns.at(-1);
+    if (prev && prev.speaker === speaker) prev.text = `${prev.text} ${said}`;
+    else turns.push({ ...(speaker ? { speaker } : {}), text: said });
+  };
+  for (const m of re ? source.matchAll(re) : []) {
+    push(m.index);
+    speaker = m[1];
+    last = m.index + m[0].length;
+  }
+  push(source.length);
+  return turns;
+}
+
+/** Narration as spoken words only: speaker labels removed (for captions). */
+export function stripSpeakers(text, speakers) {
+  const re = labelMatcher(speakers);
+  return re ? String(text || '').replace(re, '') : String(text || '');
+}
+
+/**
+ * Tags each scene of a dialogue plan with `lines` and rewrites its narration one labelled turn per
+ * line, so every scene starts with its speaker even when a turn runs across scenes. Returns the
+ * speaker still talking at the end, to carry into the next part of a long script.
+ */
+export function assignSpeakers(scenes, speakers, carry = null) {
+  let current = carry;
+  for (const scene of scenes) {
+    const lines = dialogueLines(scene.narration, speakers, current);
+    if (!lines.length) continue;
+    scene.lines = lines;
+    scene.narration = lines.map(l => (l.speaker ? `${l.speaker}: ${l.text}` : l.text)).join('\n');
+    current = lines.at(-1).speaker || current;
+  }
+  return current;
+}
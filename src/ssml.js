@@ -0,0 +1,209 @@
+import { z } from 'zod';
+import { HttpError } from './errors.js';
+
+// Narration to SSML for Text-to-Speech. Narration may carry light markup:
+//   [pause 500ms] / [pause 1.5s] / [pause]   a silence (at most 10s)
+//   *word*  /  **word**                      moderate / strong emphasis
+// and a pronunciation lexicon turns listed names into <phoneme> (IPA) or <sub> (spoken alias)
+// tags. Hand-written SSML is accepted too, after validation against the subset below.
+
+// Cloud Text-to-Speech rejects requests over 5000 bytes of input.
+export const MAX_SSML_BYTES = 5000;
+const MAX_BREAK_SEC = 10;
+
+export const LexiconEntry = z.object({
+  term: z.string().trim().min(1).max(80),
+  // IPA transcription, e.g. "ˌnɛbjʊkədˈnɛzər" (no slashes)
+  ipa: z.string().trim().min(1).max(200).optional(),
+  // What to say instead, e.g. "sequel" for "SQL"
+  alias: z.string().trim().min(1).max(200).optional(),
+  // Only match this exact capitalization ("Job" the name, not "job")
+  matchCase: z.boolean().optional().default(false)
+}).refine(e => !!e.ipa !== !!e.alias, { message: 'give either ipa or alias' });
+
+export const Lexicon = z.array(LexiconEntry).max(500);
+
+const MARKUP_RE = /\[pause(?:\s+(\d+(?:\.\d+)?)\s*(ms|s))?\]|\*\*([^*\n]*[^*\s])\*\*|\*([^*\s](?:[^*\n]*[^*\s])?)\*/gi;
+
+export function escapeXml(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/** Narration as it should be read on screen: pause markers dropped, emphasis asterisks removed. */
+export function stripMarkup(text) {
+  return String(text)
+    .replace(MARKUP_RE, (m, num, unit, strong, moderate) => strong ?? moderate ?? ' ')
+    .replace(/[ \t]{2,}/g, ' ')
+    .replace(/ +([,.;:!?])/g, '$1')
+    .trim();
+}
+
+function breakTime(num, unit) {
+  if (num == null) return null;
+  const sec = Number(num) / (unit.toLowerCase() === 'ms' ? 1000 : 1);
+  return `${Math.round(Math.min(sec, MAX_BREAK_SEC) * 1000)}ms`;
+}
+
+// Longest terms first, so "John the Baptist" wins over "John".
+function lexiconMatcher(lexicon) {
+  const entries = [...lexicon].sort((a, b) => b.term.length - a.term.length);
+  if (!entries.length) return null;
+  const alternatives = entries.map(e => e.term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+  const re = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  const find = (match) => entries.find(e => (e.matchCase
+    ? e.term === match.replace(/\s+/g, ' ')
+    : e.term.toLowerCase() === match.replace(/\s+/g, ' ').toLowerCase()));
+  return { re, find };
+}
+
+// Escapes plain text and wraps lexicon terms. Returns [xml, changed].
+function textToSsml(text, matcher) {
+  if (!matcher) return [escapeXml(text), false];
+  let changed = false;
+  let out = '';
+  let last = 0;
+  for (const m of text.matchAll(matcher.re)) {
+    const entry = matcher.find(m[0]);
+    if (!entry) continue;
+    out += escapeXml(text.slice(last, m.index));
+    out += entry.ipa
+      ? `<phoneme alphabet="ipa" ph="${escapeXml(entry.ipa)}">${escapeXml(m[0])}</phoneme>`
+      : `<sub alias="${escapeXml(entry.alias)}">${escapeXml(m[0])}</sub>`;
+    last = m.index + m[0].length;
+    changed = true;
+  }
+  return [out + escapeXml(text.slice(last)), changed];
+}
+
+/**
+ * Compiles narration markup and lexicon terms to an SSML document, or returns null when the text
+ * has neither (it is then sent as plain text, as before).
+ */
+export function narrationToSsml(text, lexicon = []) {
+  const matcher = lexiconMatcher(lexicon);
+  let changed = false;
+  let body = '';
+  let last = 0;
+  const plain = (s) => {
+    const [xml, hit] = textToSsml(s, matcher);
+    changed ||= hit;
+    return xml;
+  };
+  for (const m of String(text).matchAll(MARKUP_RE)) {
+    const [whole, num, unit, strong, moderate] = m;
+    body += plain(text.slice(last, m.index));
+    if (strong != null || moderate != null) {
+      body += `<emphasis level="${strong != null ? 'strong' : 'moderate'}">${plain(strong ?? moderate)}</emphasis>`;
+    } else {
+      const time = breakTime(num, unit);
+      body += time ? `<break time="${time}"/>` : '<break strength="medium"/>';
+    }
+    last = m.index + whole.length;
+    changed = true;
+  }
+  body += plain(text.slice(last));
+  return changed ? `<speak>${body.trim()}</speak>` : null;
+}
+
+// ---------- validation ----------
+
+const ONE_OF = (...values) => v => values.includes(v);
+const DURATION = v => {
+  const m = String(v).match(/^(\d+(?:\.\d+)?)(ms|s)$/);
+  return !!m && Number(m[1]) / (m[2] === 'ms' ? 1000 : 1) <= MAX_BREAK_SEC;
+};
+const ANY = v => v.length > 0;
+
+// The tags (and attributes) Cloud Text-to-Speech understands that narration needs.
+const TAGS = {
+  speak: {},
+  p: {},
+  s: {},
+  break: { time: DURATION, strength: ONE_OF('none', 'x-weak', 'weak', 'medium', 'strong', 'x-strong') },
+  emphasis: { level: ONE_OF('strong', 'moderate', 'none', 'reduced') },
+  prosody: { rate: ANY, pitch: ANY, volume: ANY },
+  'say-as': { 'interpret-as': ANY, format: ANY, detail: ANY },
+  sub: { alias: ANY },
+  phoneme: { alphabet: ONE_OF('ipa', 'x-sampa'), ph: ANY },
+  lang: { 'xml:lang': ANY },
+  mark: { name: ANY }
+};
+const REQUIRED = { sub: ['alias'], phoneme: ['ph'], lang: ['xml:lang'], mark: ['name'] };
+const EMPTY_ONLY = new Set(['break', 'mark']);
+
+const TAG_RE = /<(\/?)([a-zA-Z][\w:-]*)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+const ATTR_RE = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+function checkText(text) {
+  if (text.includes('<') || text.includes('>')) throw new Error('stray "<" or ">" (write &lt; / &gt;)');
+  const amp = text.match(/&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);)/);
+  if (amp) throw new Error('bare "&" (write &amp;)');
+}
+
+/** Throws a 400 naming the first problem, so a bad document never reaches the provider. */
+export function validateSsml(ssml) {
+  const doc = String(ssml).trim();
+  try {
+    if (Buffer.byteLength(doc, 'utf8') > MAX_SSML_BYTES) throw new Error(`longer than ${MAX_SSML_BYTES} bytes`);
+    const stack = [];
+    let last = 0;
+    let closedRoot = false;
+    for (const m of doc.matchAll(TAG_RE)) {
+      const [whole, closing, name, attrs, selfClosing] = m;
+      const between = doc.slice(last, m.index);
+      if (!stack.length && between.trim()) throw new Error('text outside <speak>');
+      checkText(between);
+      last = m.index + whole.length;
+
+      if (!TAGS[name]) throw new Error(`<${name}> is not supported`);
+      if (closedRoot) throw new Error('content after </speak>');
+      if (!stack.length && name !== 'speak') throw new Error('the document must start with <speak>');
+      if (stack.length && name === 'speak' && !closing) throw new Error('<speak> cannot be nested');
+
+      if (closing) {
+        const open = stack.pop();
+        if (open !== name) throw new Error(`</${name}> does not match <${open || 'nothing'}>`);
+        if (!stack.length) closedRoot = true;
+        continue;
+      }
+      const seen = new Set();
+      for (const [, attr, dq, sq] of attrs.matchAll(ATTR_RE)) {
+        const value = dq ?? sq;
+        const check = TAGS[name][attr];
+        if (!check) throw new Error(`<${name}> has no attribute "${attr}"`);
+        if (!check(value)) throw new Error(`<${name} ${attr}="${value}"> is not a valid value`);
+        seen.add(attr);
+      }
+      for (const attr of REQUIRED[name] || []) {
+        if (!seen.has(attr)) throw new Error(`<${name}> needs a ${attr} attribute`);
+      }
+      if (selfClosing) {
+        if (name === 'speak') throw new Error('<speak/> is empty');
+        continue;
+      }
+      if (EMPTY_ONLY.has(name)) throw new Error(`<${name}> must be self-closing (<${name} ... />)`);
+      stack.push(name);
+    }
+    if (!closedRoot && !stack.length) throw new Error('the document must be wrapped in <speak>...</speak>');
+    if (stack.length) throw new Error(`<${stack[stack.length - 1]}> is never closed`);
+    if (doc.slice(last).trim()) throw new Error('text after </speak>');
+  } catch (err) {
+    throw new HttpError(400, `Invalid SSML: ${err.message}.`);
+  }
+  return doc;
+}
+
+/** The words an SSML document speaks (sub aliases included) and its total break time in seconds. */
+export function ssmlSpeech(ssml) {
+  let breakSec = 0;
+  for (const m of String(ssml).matchAll(/<break\b[^>]*\btime\s*=\s*["'](\d+(?:\.\d+)?)(ms|s)["']/g)) {
+    breakSec += Number(m[1]) / (m[2] === 'ms' ? 1000 : 1);
+  }
+  const text = String(ssml)
+    .replace(/<sub\b[^>]*\balias\s*=\s*"([^"]*)"[^>]*>[\s\S]*?<\/sub>/g, ' $1 ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return { text, breakSec };
+}
@@ -0,0 +1,226 @@
+import { z } from 'zod';
+import { SceneTransition, Transition, resolveTransitions, timelineOf } from './transitions.js';
+import { stripMarkup } from './ssml.js';
+import { detectSpeakers, stripSpeakers } from './speakers.js';
+
+// Captions from the scene timeline: narration is cut into readable chunks and each chunk
+// gets a share of its scene's duration proportional to its length. Narration markup
+// ([pause 500ms], *emphasis*) and dialogue speaker labels ("Narrator: ") are for the voice
+// only and never show in captions.
+
+export const CaptionOptions = z.object({
+  maxCharsPerLine: z.number().int().min(16).max(80).optional().default(42),
+  maxLines: z.number().int().min(1).max(3).optional().default(2),
+  // Dialogue speakers whose labels are left out; found in the narration when not given
+  speakers: z.array(z.string().trim().min(1).max(40)).max(20).optional()
+});
+
+// How burned-in captions look; presets carry one (src/presets.js).
+export const CaptionStyle = z.object({
+  position: z.enum(['bottom', 'middle', 'top']).optional().default('bottom'),
+  fontScale: z.number().min(0.5).max(2).optional().default(1),
+  textColor: z.string().regex(/^#[0-9a-fA-F]{6}$/).optional().default('#FFFFFF'),
+  // true: text on a translucent box tinted from the accent; false: outlined text only
+  box: z.boolean().optional().default(true)
+});
+
+// ASS numpad alignment, bottom/middle/top centre
+const ALIGNMENT = { bottom: 2, middle: 5, top: 8 };
+
+const SubtitleScene = z.object({
+  duration_sec: z.number().min(0.1).max(600),
+  narration: z.string().optional().default(''),
+  on_screen_text: z.string().optional().default(''),
+  transition: SceneTransition.optional()
+});
+
+// `transition` (+ per-scene overrides) must match the render manifest so cues line up with the MP4.
+const SubtitleReq = CaptionOptions.extend({
+  transition: Transition.optional().default({}),
+  scenes: z.array(SubtitleScene).min(1)
+});
+
+function squash(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Greedily packs pieces (joined by spaces) into groups no longer than limit.
+function pack(pieces, limit) {
+  const out = [];
+  let cur = '';
+  for (const piece of pieces) {
+    const next = cur ? `${cur} ${piece}` : piece;
+    if (cur && next.length > limit) {
+      out.push(cur);
+      cur = piece;
+    } else {
+      cur = next;
+    }
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+/** Splits narration at sentence, then clause, then word boundaries into chunks of at most `limit` chars. */
+export function chunkText(text, limit) {
+  const units = [];
+  for (const sentence of squash(text).split(/(?<=[.!?])\s+/).filter(Boolean)) {
+    if (sentence.length <= limit) {
+      units.push(sentence);
+      continue;
+    }
+    for (const clause of sentence.split(/(?<=[,;:–—])\s+/)) {
+      if (clause.length <= limit) units.push(clause);
+      else units.push(...pack(clause.split(' '), limit));
+    }
+  }
+  return pack(units, limit);
+}
+
+/** Word-wraps a chunk into at most maxLines lines of about maxChars. */
+export function wrapLines(chunk, maxChars) {
+  return pack(chunk.split(' '), maxChars);
+}
+
+// [start, end) of each scene on the output timeline. With transitions a scene's captions end
+// where the next scene starts, so cues never overlap.
+function sceneWindows(scenes, starts) {
+  const windows = [];
+  let t = 0;
+  scenes.forEach((scene, i) => {
+    const dur = Number(scene.duration_sec) || 0;
+    const start = starts ? starts[i] : t;
+    const next = starts && i < scenes.length - 1 ? starts[i + 1] : Infinity;
+    windows.push({ start, end: Math.min(start + dur, next) });
+    t = start + dur;
+  });
+  return windows;
+}
+
+/**
+ * scenes: [{ duration_sec, narration }] in timeline order; `starts` (from timelineOf) when
+ * transitions overlap scenes, otherwise scenes run back to back. `speakers` defaults to the
+ * labels detectSpeakers() finds across all the narration (src/speakers.js).
+ * Returns cues [{ start, end, lines }] in seconds.
+ */
+export function buildCues(scenes, { maxCharsPerLine = 42, maxLines = 2, starts, speakers } = {}) {
+  const cues = [];
+  const windows = sceneWindows(scenes, starts);
+  const labels = speakers ?? detectSpeakers(scenes.map(s => s.narration || '').join('\n'));
+  scenes.forEach((scene, i) => {
+    const { start: sceneStart, end: sceneEnd } = windows[i];
+    const chunks = chunkText(stripMarkup(stripSpeakers(scene.narration, labels)), maxCharsPerLine * maxLines);
+    const totalChars = chunks.reduce((sum, c) => sum + c.length, 0);
+    let start = sceneStart;
+    for (const chunk of chunks) {
+      const end = start + (sceneEnd - sceneStart) * (chunk.length / totalChars);
+      cues.push({ start, end, lines: wrapLines(chunk, maxCharsPerLine) });
+      start = end;
+    }
+  });
+  return cues;
+}
+
+/** One cue per scene holding its on_screen_text for the whole scene. */
+export function buildOverlayCues(scenes, { starts } = {}) {
+  const windows = sceneWindows(scenes, starts);
+  return scenes
+    .map((scene, i) => ({ ...windows[i], lines: [squash(scene.on_screen_text)] }))
+    .filter(c => c.lines[0]);
+}
+
+function stamp(seconds, sep) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor(ms / 60000) % 60;
+  const s = Math.floor(ms / 1000) % 60;
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}${sep}${pad(ms % 1000, 3)}`;
+}
+
+export function toSrt(cues) {
+  return cues
+    .map((c, i) => `${i + 1}\n${stamp(c.start, ',')} --> ${stamp(c.end, ',')}\n${c.lines.join('\n')}\n`)
+    .join('\n');
+}
+
+export function toVtt(cues) {
+  return 'WEBVTT\n\n' + cues
+    .map(c => `${stamp(c.start, '.')} --> ${stamp(c.end, '.')}\n${c.lines.join('\n')}\n`)
+    .join('\n');
+}
+
+// ---------- ASS (burned-in captions via libass) ----------
+
+// '#RRGGBB' -> ASS '&HAABBGGRR'
+function assColor(hex, alpha = 0) {
+  const m = String(hex || '').match(/^#?([0-9a-f]{6})$/i);
+  const [r, g, b] = m ? [m[1].slice(0, 2), m[1].slice(2, 4), m[1].slice(4, 6)] : ['FF', 'FF', 'FF'];
+  return `&H${alpha.toString(16).padStart(2, '0')}${b}${g}${r}`.toUpperCase();
+}
+
+// Darkens '#RRGGBB' towards black by factor f (0..1).
+function shade(hex, f) {
+  const m = String(hex || '').match(/^#?([0-9a-f]{6})$/i);
+  if (!m) return '#000000';
+  const ch = i => Math.round(parseInt(m[1].slice(i, i + 2), 16) * f).toString(16).padStart(2, '0');
+  return `#${ch(0)}${ch(2)}${ch(4)}`;
+}
+
+function assTime(seconds) {
+  const cs = Math.max(0, Math.round(seconds * 100));
+  const h = Math.floor(cs / 360000);
+  const m = Math.floor(cs / 6000) % 60;
+  const s = Math.floor(cs / 100) % 60;
+  return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(cs % 100).padStart(2, '0')}`;
+}
+
+function assText(lines) {
+  // Braces open override blocks in ASS; keep them literal-looking instead.
+  return lines.map(l => l.replace(/[{}]/g, m => (m === '{' ? '(' : ')'))).join('\\N');
+}
+
+/**
+ * Caption cues at the bottom (white on a translucent box tinted from the accent, unless `style`
+ * says otherwise) and on-screen-text cues at the top in the accent colour with a dark outline.
+ * Top captions push the on-screen text to the bottom.
+ */
+export function toAss({ captions = [], overlays = [], width, height, accent = '#FFFFFF', style: captionStyle = {} }) {
+  const { position, fontScale, textColor, box } = CaptionStyle.parse(captionStyle);
+  // Sized from the short side so vertical and square frames get the same proportions as landscape.
+  const size = Math.round(Math.min(width, height) * 0.05 * fontScale);
+  const margin = Math.round(height * 0.06);
+  const style = (name, fontSize, primary, outline, back, borderStyle, alignment) =>
+    `Style: ${name},DejaVu Sans,${fontSize},${primary},${primary},${outline},${back},-1,0,0,0,100,100,0,0,${borderStyle},3,0,${alignment},${margin},${margin},${margin},1`;
+
+  return [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    `PlayResX: ${width}`,
+    `PlayResY: ${height}`,
+    'WrapStyle: 2',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    // BorderStyle 3 = opaque box; libass fills it with OutlineColour.
+    box
+      ? style('Caption', size, assColor(textColor), assColor(shade(accent, 0.25), 0x40), assColor('#000000', 0x80), 3, ALIGNMENT[position])
+      : style('Caption', size, assColor(textColor), assColor('#000000'), assColor('#000000', 0x60), 1, ALIGNMENT[position]),
+    style('OnScreen', Math.round(size * 1.3), assColor(accent), assColor('#000000'), assColor('#000000', 0x60), 1, position === 'top' ? 2 : 8),
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    ...captions.map(c => `Dialogue: 0,${assTime(c.start)},${assTime(c.end)},Caption,,0,0,0,,${assText(c.lines)}`),
+    ...overlays.map(c => `Dialogue: 1,${assTime(c.start)},${assTime(c.end)},OnScreen,,0,0,0,,${assText(c.lines)}`),
+    ''
+  ].join('\n');
+}
+
+/** POST /api/subtitles body -> { srt, vtt } */
+export function buildSubtitles(body) {
+  const { scenes, maxCharsPerLine, maxLines, speakers, transition } = SubtitleReq.parse(body);
+  const { starts } = timelineOf(scenes, resolveTransitions(scenes, transition));
+  const cues = buildCues(scenes, { maxCharsPerLine, maxLines, starts, speakers });
+  return { ok: true, srt: toSrt(cues), vtt: toVtt(cues), cues: cues.length };
+}
@@ -0,0 +1,128 @@
+import { z } from 'zod';
+import { assignSpeakers } from './speakers.js';
+
+// Scene durations from measured narration length (audio_sec, reported by /api/generate-speech)
+// instead of the LLM's guess.
+
+const RetimeScene = z.object({
+  scene_id: z.number(),
+  duration_sec: z.number().optional(),
+  narration: z.string().optional().default(''),
+  audio_sec: z.number().min(0).nullable().optional()
+}).passthrough();
+
+const RetimeReq = z.object({
+  scenes: z.array(RetimeScene).min(1),
+  timingRuleSeconds: z.number().int().min(4).max(30).default(13),
+  paddingSec: z.number().min(0).max(3).optional().default(0.5),
+  // 'split' breaks an over-long scene into parts that fit (their audio must be regenerated);
+  // 'flag' keeps it whole at its real length and marks it timing_overflow.
+  overflow: z.enum(['split', 'flag']).optional().default('split'),
+  // Dialogue speakers (src/speakers.js), so split parts start with their speaker's label. Without
+  // them, a scene's own `lines` name its speakers.
+  speakers: z.array(z.string().min(1).max(40)).max(20).optional()
+});
+
+const roundUpTenth = n => Math.ceil(n * 10 - 1e-9) / 10;
+
+// Units to regroup: lines and sentences, else clauses, else words — whichever gives at least
+// `parts` pieces. Each remembers the break after it, so dialogue keeps one turn per line.
+function splitUnits(text, parts) {
+  const clean = String(text).replace(/[ \t]+/g, ' ').replace(/ ?\n\s*/g, '\n').trim();
+  for (const re of [/(?<=[.!?])\s+|\n/g, /(?<=[,;:–—.!?])\s+|\n/g, /\s+/g]) {
+    const units = [];
+    let last = 0;
+    for (const m of clean.matchAll(re)) {
+      units.push({ text: clean.slice(last, m.index), sep: m[0].includes('\n') ? '\n' : ' ' });
+      last = m.index + m[0].length;
+    }
+    units.push({ text: clean.slice(last), sep: '' });
+    const kept = units.filter(u => u.text);
+    if (kept.length >= parts) return kept;
+  }
+  return [{ text: clean, sep: '' }];
+}
+
+const joinUnits = units => units.map((u, i) => (i < units.length - 1 ? u.text + u.sep : u.text)).join('');
+
+/** Splits text into `parts` pieces of roughly equal length at the best available boundaries. */
+export function splitNarration(text, parts) {
+  const units = splitUnits(text, parts);
+  if (units.length <= parts) return units.map(u => u.text);
+
+  const total = units.reduce((sum, u) => sum + u.text.length + 1, 0);
+  const out = [];
+  let cur = [];
+  let used = 0;
+  units.forEach((u, idx) => {
+    cur.push(u);
+    used += u.text.length + 1;
+    const remainingParts = parts - out.length - 1;
+    const remainingUnits = units.length - idx - 1;
+    const target = (total * (out.length + 1)) / parts;
+    if (remainingParts > 0 && (used >= target || remainingUnits === remainingParts)) {
+      out.push(joinUnits(cur));
+      cur = [];
+    }
+  });
+  if (cur.length) out.push(joinUnits(cur));
+  return out;
+}
+
+/**
+ * Returns { scenes, changes } with durations set to audio length + padding.
+ * Scenes without audio_sec keep their duration. Scene ids are renumbered after splits;
+ * every returned scene carries `source_scene_id`, the id it had in the request.
+ */
+export function retimeScenes(body) {
+  const { scenes, timingRuleSeconds, paddingSec, overflow, speakers } = RetimeReq.parse(body);
+  const out = [];
+  const changes = [];
+
+  for (const scene of scenes) {
+    const { timing_overflow, ...fields } = scene;
+    const rest = { ...fields, source_scene_id: scene.scene_id };
+    if (scene.audio_sec == null || scene.audio_sec <= 0) {
+      out.push(rest);
+      continue;
+    }
+
+    const needed = roundUpTenth(scene.audio_sec + paddingSec);
+    if (needed <= timingRuleSeconds) {
+      if (needed !== scene.duration_sec) {
+        changes.push({ scene_id: scene.scene_id, action: 'retimed', from: scene.duration_sec, to: needed });
+      }
+      out.push({ ...rest, duration_sec: needed });
+      continue;
+    }
+
+    if (overflow === 'flag') {
+      changes.push({ scene_id: scene.scene_id, action: 'flagged', from: scene.duration_sec, to: needed });
+      out.push({ ...rest, duration_sec: needed, timing_overflow: true });
+      continue;
+    }
+
+    const pieces = splitNarration(scene.narration, Math.ceil(needed / timingRuleSeconds));
+    const totalChars = pieces.reduce((sum, p) => sum + p.length, 0) || 1;
+    changes.push({ scene_id: scene.scene_id, action: 'split', from: scene.duration_sec, parts: pieces.length });
+    // The scene's dialogue turns belong to the whole scene; each part gets its own.
+    const { lines, ...base } = rest;
+    const parts = pieces.map(narration => ({
+      ...base,
+      narration,
+      // Estimated from the measured speech rate until this part gets its own audio.
+      duration_sec: Math.min(timingRuleSeconds, roundUpTenth(scene.audio_sec * (narration.length / totalChars) + paddingSec)),
+      audio_sec: null,
+      needs_audio: true
+    }));
+    const cast = speakers ?? [...new Set((Array.isArray(lines) ? lines : []).map(l => l?.speaker).filter(Boolean))];
+    if (cast.length) assignSpeakers(parts, cast, Array.isArray(lines) ? lines[0]?.speaker : null);
+    out.push(...parts);
+  }
+
+  return {
+    ok: true,
+    scenes: out.map((s, idx) => ({ ...s, scene_id: idx + 1 })),
+    changes
+  };
+}
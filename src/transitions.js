@@ -0,0 +1,85 @@
+import { z } from 'zod';
+
+// Scene-to-scene transitions. A transition overlaps the end of one scene with the start of the
+// next, so the timeline is shorter than the sum of scene durations by the total overlap.
+
+export const TRANSITION_TYPES = ['cut', 'crossfade', 'fade-black', 'slide', 'wipe'];
+
+// ffmpeg xfade names
+const XFADE = {
+  crossfade: 'fade',
+  'fade-black': 'fadeblack',
+  slide: 'slideleft',
+  wipe: 'wipeleft'
+};
+
+export const Transition = z.object({
+  type: z.enum(TRANSITION_TYPES).optional().default('cut'),
+  duration: z.number().min(0).max(3).optional().default(0.5)
+});
+
+export const SceneTransition = z.object({
+  type: z.enum(TRANSITION_TYPES).optional(),
+  duration: z.number().min(0).max(3).optional()
+});
+
+/**
+ * One entry per boundary: result[i] is the transition INTO scene i+1 (scene.transition on that
+ * scene overrides the default). Durations are clamped to half of either neighbour.
+ */
+export function resolveTransitions(scenes, defaults = {}) {
+  const base = Transition.parse(defaults);
+  const out = [];
+  for (let i = 1; i < scenes.length; i++) {
+    const t = { ...base, ...scenes[i].transition };
+    const limit = Math.min(scenes[i - 1].duration_sec, scenes[i].duration_sec) / 2;
+    const duration = t.type === 'cut' ? 0 : Math.min(t.duration, limit);
+    out.push({ type: duration > 0 ? t.type : 'cut', duration });
+  }
+  return out;
+}
+
+/** Scene start times on the output timeline, plus its total length. */
+export function timelineOf(scenes, transitions) {
+  const starts = [];
+  let t = 0;
+  scenes.forEach((s, i) => {
+    if (i > 0) t -= transitions[i - 1].duration;
+    starts.push(t);
+    t += s.duration_sec;
+  });
+  return { starts, total: t };
+}
+
+export function hasTransitions(transitions) {
+  return transitions.some(t => t.duration > 0);
+}
+
+/**
+ * filter_complex joining inputs 0..n-1 (each with :v and :a) into [vout]/[aout].
+ * Cuts use concat; transitions use xfade for video and acrossfade for audio.
+ */
+export function joinFilter(scenes, transitions) {
+  const chains = [];
+  let v = '0:v';
+  let a = '0:a';
+  let length = scenes[0].duration_sec;
+
+  for (let i = 1; i < scenes.length; i++) {
+    const { type, duration } = transitions[i - 1];
+    const last = i === scenes.length - 1;
+    const vo = last ? 'vout' : `v${i}`;
+    const ao = last ? 'aout' : `a${i}`;
+    if (duration > 0) {
+      const offset = (length - duration).toFixed(3);
+      chains.push(`[${v}][${i}:v]xfade=transition=${XFADE[type]}:duration=${duration.toFixed(3)}:offset=${offset}[${vo}]`);
+      chains.push(`[${a}][${i}:a]acrossfade=d=${duration.toFixed(3)}[${ao}]`);
+    } else {
+      chains.push(`[${v}][${a}][${i}:v][${i}:a]concat=n=2:v=1:a=1[${vo}][${ao}]`);
+    }
+    length += scenes[i].duration_sec - duration;
+    v = vo;
+    a = ao;
+  }
+  return chains.join(';');
+}
@@ -1,10 +1,51 @@
 import { z } from 'zod';
-import textToSpeech from '@google-cloud/text-to-speech';
+import { getProvider } from './providers/index.js';
+import { probeMp3Duration, concatMp3 } from './audio.js';
+import { reserveBudget, recordUsage, recordCacheHit } from './usage.js';
+import { cacheKey, cacheGet, cachePut } from './cache.js';
+import { Lexicon, narrationToSsml, validateSsml } from './ssml.js';
+import { dialogueLines } from './speakers.js';
 
+// Studio labels (always en-US, see VOICE_MAP); any Text-to-Speech voice name from /api/voices works too.
+export const VOICE_NAMES = ['Fenrir','Puck','Zephyr','Nova','Default'];
+// e.g. en-GB-Neural2-B, cmn-CN-Wavenet-A, en-US-Chirp3-HD-Achernar
+const VOICE_NAME_RE = /^([a-z]{2,3}-[A-Z]{2})-[A-Za-z0-9]+(?:-[A-Za-z0-9]+)*$/;
+
+export const Voice = z.string().refine(v => VOICE_NAMES.includes(v) || VOICE_NAME_RE.test(v), {
+  message: `expected one of ${VOICE_NAMES.join(', ')} or a voice name like en-GB-Neural2-B`
+});
+export const LanguageCode = z.string().regex(/^[a-z]{2,3}-[A-Z]{2}$/, 'expected a language code like en-US');
+// Text-to-Speech limits: rate 0.25-4x, pitch ±20 semitones, volume gain -96 to +16 dB.
+export const SpeakingRate = z.number().min(0.25).max(4);
+export const Pitch = z.number().min(-20).max(20);
+export const VolumeGain = z.number().min(-96).max(16);
+
+export const Speaker = z.string().trim().min(1).max(40);
+export const SpeechLine = z.object({ speaker: Speaker.optional(), text: z.string() });
+// A project's cast: which voice reads each speaker's lines (see src/speakers.js)
+export const Cast = z.record(Speaker, Voice).refine(c => Object.keys(c).length <= 20, { message: 'at most 20 speakers' });
+
+// Either narration `text` (markup and lexicon applied, see src/ssml.js) or a ready `ssml` document.
 const TTSReq = z.object({
-  text: z.string().min(1),
-  voice: z.enum(['Fenrir','Puck','Zephyr','Nova','Default']).optional().default('Default'),
-  speakingRate: z.number().min(0.7).max(1.3).optional().default(1.0)
+  text: z.string().optional().default(''),
+  ssml: z.string().optional(),
+  // Pronunciations for this project (and its preset); ignored for hand-written ssml
+  lexicon: Lexicon.optional().default([]),
+  voice: Voice.optional().default('Default'),
+  // Narration language; defaults to the voice's own
+  languageCode: LanguageCode.optional(),
+  speakingRate: SpeakingRate.optional().default(1.0),
+  pitch: Pitch.optional().default(0),
+  volumeGainDb: VolumeGain.optional().default(0),
+  // Dialogue: each line is read by its speaker's voice in `cast` (anyone else by `voice`). Without
+  // lines, `text` is read as dialogue when a cast is given, its labels being the cast's speakers.
+  lines: z.array(SpeechLine).max(100).optional(),
+  cast: Cast.optional().default({}),
+  // Skip the cache lookup and synthesize again (the new clip replaces the cached one)
+  bypassCache: z.boolean().optional().default(false)
+}).refine(b => b.text.trim() || b.ssml?.trim() || b.lines?.some(l => l.text.trim()), {
+  message: 'give narration text, dialogue lines or an ssml document',
+  path: ['text']
 });
 
 const VOICE_MAP = {
@@ -15,24 +56,129 @@ const VOICE_MAP = {
   Nova:   { languageCode: 'en-US', name: 'en-US-Neural2-C' },
 };
 
-export async function generateSpeech(body) {
-  if (process.env.DISABLE_TTS === '1') {
-    return { ok: false, error: 'TTS disabled by server env var DISABLE_TTS=1' };
+export const VOICE_ALIASES = Object.fromEntries(Object.entries(VOICE_MAP).map(([label, v]) => [label, v.name]));
+
+/**
+ * { languageCode, name? } for the provider. A studio label only fits en-US narration; in another
+ * language the name is left out and Text-to-Speech picks that language's default voice.
+ */
+export function resolveVoice(voice, languageCode) {
+  const label = VOICE_MAP[voice];
+  if (label) return !languageCode || languageCode === label.languageCode ? label : { languageCode };
+  return { languageCode: languageCode || VOICE_NAME_RE.exec(voice)?.[1] || 'en-US', name: voice };
+}
+
+// Dialogue clips are joined frame by frame, so every voice is asked for the same sample rate.
+const DIALOGUE_SAMPLE_RATE_HZ = 24000;
+
+function buildRequest({ text, ssml: rawSsml, lexicon, voice, languageCode, speakingRate, pitch, volumeGainDb }, extra = {}) {
+  const ssml = rawSsml?.trim() ? validateSsml(rawSsml) : narrationToSsml(text, lexicon);
+  const request = {
+    ...(ssml ? { ssml } : { text }),
+    voice: resolveVoice(voice, languageCode),
+    speakingRate,
+    // Left out at their defaults, so clips cached before these controls existed still match.
+    ...(pitch ? { pitch } : {}),
+    ...(volumeGainDb ? { volumeGainDb } : {}),
+    ...extra
+  };
+  return { request, ssml, input: ssml || text };
+}
+
+// One provider call, or the cached clip. Returns { audio, cache }; audio is null when none came back.
+async function fetchSpeech(provider, { request, input }, { bypassCache, usage, onRetry }) {
+  const key = cacheKey('speech', { provider: provider.name, model: provider.modelFor('speech'), request });
+  let audio = bypassCache ? null : cacheGet(key);
+  const cache = { hit: !!audio, key, savedUsd: 0 };
+  if (audio) {
+    cache.savedUsd = recordCacheHit(usage, 'speech', { chars: input.length });
+    return { audio, cache };
   }
-  const { text, voice, speakingRate } = TTSReq.parse(body);
+  const release = reserveBudget(usage, 'speech', { chars: input.length });
+  try {
+    audio = await provider.synthesizeSpeech(request, { onRetry });
+  } catch (err) {
+    recordUsage(usage, 'speech', {}, { failed: true });
+    throw err;
+  } finally {
+    release();
+  }
+  // Synthesis is billed per input character, SSML tags included.
+  recordUsage(usage, 'speech', { chars: audio ? input.length : 0 }, { failed: !audio });
+  if (audio) cachePut('speech', key, audio);
+  return { audio: audio || null, cache };
+}
 
-  const client = new textToSpeech.TextToSpeechClient();
-  const v = VOICE_MAP[voice] || VOICE_MAP.Default;
+// Consecutive lines read by the same voice, as { voice, text, speakers }; null when not dialogue.
+function voiceParts({ text, lines, cast, voice }) {
+  const speakers = Object.keys(cast);
+  const turns = lines?.length ? lines : speakers.length ? dialogueLines(text, speakers) : null;
+  if (!turns) return null;
+  const parts = [];
+  for (const line of turns) {
+    const said = line.text.trim();
+    if (!said) continue;
+    const partVoice = cast[line.speaker] || voice;
+    const prev = parts.at(-1);
+    if (prev?.voice === partVoice) {
+      prev.text += ` ${said}`;
+      if (!prev.speakers.includes(line.speaker ?? null)) prev.speakers.push(line.speaker ?? null);
+    } else {
+      parts.push({ voice: partVoice, text: said, speakers: [line.speaker ?? null] });
+    }
+  }
+  return parts;
+}
 
-  const [response] = await client.synthesizeSpeech({
-    input: { text },
-    voice: { languageCode: v.languageCode, name: v.name },
-    audioConfig: { audioEncoding: 'MP3', speakingRate }
-  });
+const clipResult = (audio, extra) => ({
+  ok: true,
+  audioBase64: audio.toString('base64'),
+  mime: 'audio/mpeg',
+  // Real clip length, so the client can time scenes to the narration (see src/timing.js).
+  durationSec: Math.round(probeMp3Duration(audio) * 1000) / 1000,
+  ...extra
+});
 
-  const audioContent = response.audioContent;
-  if (!audioContent) return { ok: false, error: 'No audio generated.' };
+/**
+ * `usage` ({ projectId }) is who the narration is metered and budgeted against (src/usage.js).
+ * Identical requests are served from the media cache (src/cache.js) unless bypassCache is set.
+ * Dialogue (`lines`, or `text` with a `cast`) is read voice by voice and joined into one clip; the
+ * response then lists the `voices` used, in order. onRetry: see src/scheduler.js.
+ */
+export async function generateSpeech(body, usage = {}, { onRetry } = {}) {
+  if (process.env.DISABLE_TTS === '1') {
+    return { ok: false, error: 'TTS disabled by server env var DISABLE_TTS=1' };
+  }
+  const req = TTSReq.parse(body);
+  const provider = getProvider();
+  const parts = req.ssml?.trim() ? null : voiceParts(req);
 
-  const b64 = Buffer.isBuffer(audioContent) ? audioContent.toString('base64') : Buffer.from(audioContent).toString('base64');
-  return { ok: true, audioBase64: b64, mime: 'audio/mpeg' };
+  // One voice (plain narration, or dialogue read by a single voice): the clip as before.
+  if (!parts || parts.length === 1) {
+    const single = parts ? { ...req, text: parts[0].text, voice: parts[0].voice } : req;
+    const built = buildRequest(single);
+    const { audio, cache } = await fetchSpeech(provider, built, { bypassCache: req.bypassCache, usage, onRetry });
+    if (!audio) return { ok: false, error: 'No audio generated.' };
+    return clipResult(audio, { cache, ...(built.ssml ? { ssml: built.ssml } : {}), ...(parts ? { voices: [{ voice: parts[0].voice, speakers: parts[0].speakers }] } : {}) });
+  }
+
+  // Named voices speak their own language; studio labels follow the narration language.
+  const built = parts.map(p => buildRequest(
+    { ...req, text: p.text, voice: p.voice, languageCode: VOICE_MAP[p.voice] ? req.languageCode : undefined },
+    { sampleRateHertz: DIALOGUE_SAMPLE_RATE_HZ }
+  ));
+  const voices = parts.map(({ voice, speakers }) => ({ voice, speakers }));
+  const key = cacheKey('speech', { provider: provider.name, model: provider.modelFor('speech'), request: { parts: built.map(b => b.request) } });
+  const cached = req.bypassCache ? null : cacheGet(key);
+  if (cached) {
+    const savedUsd = recordCacheHit(usage, 'speech', { chars: built.reduce((sum, b) => sum + b.input.length, 0) });
+    return clipResult(cached, { cache: { hit: true, key, savedUsd }, voices });
+  }
+  // Each part is cached on its own too, so editing one line re-reads only that voice's part.
+  const clips = await Promise.all(built.map(b => fetchSpeech(provider, b, { bypassCache: req.bypassCache, usage, onRetry })));
+  if (clips.some(c => !c.audio)) return { ok: false, error: 'No audio generated for part of the dialogue.' };
+  const audio = concatMp3(clips.map(c => c.audio));
+  cachePut('speech', key, audio);
+  const savedUsd = clips.reduce((sum, c) => sum + c.cache.savedUsd, 0);
+  return clipResult(audio, { cache: { hit: clips.every(c => c.cache.hit), key, savedUsd }, voices });
 }
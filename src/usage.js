@@ -0,0 +1,254 @@
+import fs from 'fs';
+import path from 'path';
+import { HttpError } from './errors.js';
+import { getProvider } from './providers/index.js';
+import { cacheStats } from './cache.js';
+
+// Metering of provider calls: text tokens, images and narration characters, priced from a table
+// and totalled per day (UTC) and per project in <DATA_DIR>/usage.json. Failed calls are counted
+// too; they cost nothing unless the provider reported tokens. Budgets make image and speech
+// requests fail with 402 before they would go over; a call holds its cost against the budget from
+// the check until it is recorded, so concurrent calls can't all pass against the same total.
+// Results served from the media cache (src/cache.js) cost nothing and are counted as cache hits
+// with what they would have cost. Totals are read once and kept in memory; the file is rewritten
+// at most once a second (and on exit).
+
+// USD. gemini-1.5-flash text, Imagen 3, Neural2 voices; override with USAGE_PRICES (JSON, same shape).
+const DEFAULT_PRICES = {
+  text: { inputPer1M: 0.075, outputPer1M: 0.3 },
+  image: { perImage: 0.04 },
+  speech: { per1MChars: 16 }
+};
+
+const KINDS = ['text', 'image', 'speech'];
+const KEEP_DAYS = 400;
+const PROJECT_ID_RE = /^[0-9a-f-]{36}$/;
+const SAVE_DELAY_MS = 1000;
+
+let store = null;
+let saveTimer = null;
+// Cost held by calls between their budget check and their record: 'day:<date>' / 'project:<id>' -> USD
+const reserved = new Map();
+
+export function getUsageFile() {
+  return path.join(process.env.DATA_DIR || path.join(process.cwd(), 'data'), 'usage.json');
+}
+
+export function getPrices() {
+  let custom = {};
+  try {
+    custom = JSON.parse(process.env.USAGE_PRICES || '{}');
+  } catch {
+    console.warn('USAGE_PRICES is not valid JSON; using default prices.');
+  }
+  return Object.fromEntries(KINDS.map(k => [k, { ...DEFAULT_PRICES[k], ...(custom[k] || {}) }]));
+}
+
+// 0 or unset = no limit
+export function getBudgets() {
+  const usd = name => {
+    const n = Number(process.env[name]);
+    return Number.isFinite(n) && n > 0 ? n : null;
+  };
+  return { dailyUsd: usd('BUDGET_DAILY_USD'), projectUsd: usd('BUDGET_PROJECT_USD') };
+}
+
+export function costOf(kind, { inputTokens = 0, outputTokens = 0, images = 0, chars = 0 }) {
+  const p = getPrices()[kind];
+  if (kind === 'text') return (inputTokens * p.inputPer1M + outputTokens * p.outputPer1M) / 1e6;
+  if (kind === 'image') return images * p.perImage;
+  return (chars * p.per1MChars) / 1e6;
+}
+
+/** Who a request is billed to: the project named by the X-Project-Id header, if any. */
+export function usageContext(req) {
+  const id = String(req.get('x-project-id') || '');
+  return { projectId: PROJECT_ID_RE.test(id) ? id : null };
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+function emptyTotals() {
+  return {
+    cost: 0,
+    saved: 0,
+    text: { calls: 0, failures: 0, inputTokens: 0, outputTokens: 0, cost: 0 },
+    image: { calls: 0, failures: 0, images: 0, cost: 0, cacheHits: 0, saved: 0 },
+    speech: { calls: 0, failures: 0, chars: 0, cost: 0, cacheHits: 0, saved: 0 }
+  };
+}
+
+function load() {
+  if (store) return store;
+  const file = getUsageFile();
+  try {
+    store = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+  } catch (err) {
+    console.warn('usage.json is unreadable; starting a new one:', err.message);
+  }
+  store = { days: {}, projects: {}, ...(store || {}) };
+  return store;
+}
+
+// Write-then-rename, as for projects.
+function writeStore() {
+  try {
+    const file = getUsageFile();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(store));
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    console.warn('Could not save usage.json:', err.message);
+  }
+}
+
+// Calls close together share one write.
+function save() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    writeStore();
+  }, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+process.on('exit', () => {
+  if (!saveTimer) return;
+  clearTimeout(saveTimer);
+  writeStore();
+});
+
+function add(totals, kind, amounts, cost, failed) {
+  const t = totals[kind];
+  t.calls += 1;
+  if (failed) t.failures += 1;
+  for (const key of ['inputTokens', 'outputTokens', 'images', 'chars']) {
+    if (key in t && amounts[key]) t[key] += amounts[key];
+  }
+  t.cost += cost;
+  totals.cost += cost;
+}
+
+// Totals written before cache hits were metered lack these fields.
+function addSaved(totals, kind, saved) {
+  const t = totals[kind];
+  t.cacheHits = (t.cacheHits || 0) + 1;
+  t.saved = (t.saved || 0) + saved;
+  totals.saved = (totals.saved || 0) + saved;
+}
+
+function prune(days) {
+  for (const d of Object.keys(days).sort().slice(0, -KEEP_DAYS)) delete days[d];
+}
+
+// Applies fn to today's totals and, when there is a project, to its total and today's entry; then saves.
+function tally(projectId, fn) {
+  const s = load();
+  const day = today();
+  fn((s.days[day] ??= emptyTotals()));
+  if (projectId) {
+    const p = (s.projects[projectId] ??= { total: emptyTotals(), days: {} });
+    fn(p.total);
+    fn((p.days[day] ??= emptyTotals()));
+    prune(p.days);
+  }
+  prune(s.days);
+  save();
+}
+
+/** Records one provider call. amounts: { inputTokens, outputTokens } | { images } | { chars }. */
+export function recordUsage({ projectId } = {}, kind, amounts = {}, { failed = false } = {}) {
+  const cost = costOf(kind, amounts);
+  tally(projectId, totals => add(totals, kind, amounts, cost, failed));
+  return cost;
+}
+
+/** Records a result served from the media cache: free, but what it would have cost is tallied as saved. */
+export function recordCacheHit({ projectId } = {}, kind, amounts = {}) {
+  const saved = costOf(kind, amounts);
+  tally(projectId, totals => addSaved(totals, kind, saved));
+  return saved;
+}
+
+/**
+ * Throws 402 when a call costing `amounts` would take today's or the project's spend over budget,
+ * counting calls still in flight. Otherwise holds the cost until the returned release() is called,
+ * which the caller does once the call is recorded (or has failed).
+ */
+export function reserveBudget({ projectId } = {}, kind, amounts) {
+  const { dailyUsd, projectUsd } = getBudgets();
+  if (!dailyUsd && !projectUsd) return () => {};
+  const s = load();
+  const cost = costOf(kind, amounts);
+  const label = kind === 'image' ? 'Image generation' : 'Speech generation';
+  const day = today();
+  const keys = [`day:${day}`, ...(projectId ? [`project:${projectId}`] : [])];
+  const spentToday = (s.days[day]?.cost || 0) + (reserved.get(keys[0]) || 0);
+  if (dailyUsd && spentToday + cost > dailyUsd) {
+    throw new HttpError(402, `${label} refused: today's budget of $${dailyUsd.toFixed(2)} would be exceeded ($${spentToday.toFixed(2)} used, this call ~$${cost.toFixed(3)}). Raise BUDGET_DAILY_USD or try again tomorrow (UTC).`);
+  }
+  const spentProject = projectId ? (s.projects[projectId]?.total.cost || 0) + (reserved.get(keys[1]) || 0) : 0;
+  if (projectUsd && projectId && spentProject + cost > projectUsd) {
+    throw new HttpError(402, `${label} refused: this project's budget of $${projectUsd.toFixed(2)} would be exceeded ($${spentProject.toFixed(2)} used, this call ~$${cost.toFixed(3)}). Raise BUDGET_PROJECT_USD to continue.`);
+  }
+
+  for (const key of keys) reserved.set(key, (reserved.get(key) || 0) + cost);
+  let held = true;
+  return () => {
+    if (!held) return;
+    held = false;
+    for (const key of keys) {
+      const left = (reserved.get(key) || 0) - cost;
+      if (left > 1e-9) reserved.set(key, left);
+      else reserved.delete(key);
+    }
+  };
+}
+
+/**
+ * generateText with its tokens (as reported by the provider) metered, failed calls included.
+ * Returns the text.
+ */
+export async function meteredText(usage, request) {
+  let reported = null;
+  try {
+    const text = await getProvider().generateText({ ...request, onUsage: u => { reported = u; } });
+    recordUsage(usage, 'text', reported || {});
+    return text;
+  } catch (err) {
+    recordUsage(usage, 'text', reported || {}, { failed: true });
+    throw err;
+  }
+}
+
+/**
+ * GET /api/usage -> { prices, budgets, today, days: [{ date, ...totals }] (newest first), project, cache }.
+ * project is the given project's total and daily breakdown, or null; cache is the media cache's size.
+ */
+export function usageReport({ projectId, days = 30 } = {}) {
+  const s = load();
+  const n = Math.max(1, Math.min(KEEP_DAYS, Number(days) || 30));
+  const list = Object.keys(s.days).sort().reverse().slice(0, n).map(date => ({ date, ...s.days[date] }));
+  const p = projectId ? s.projects[projectId] : null;
+  const { dailyUsd, projectUsd } = getBudgets();
+  return {
+    prices: getPrices(),
+    budgets: {
+      dailyUsd,
+      projectUsd,
+      todayUsed: s.days[today()]?.cost || 0,
+      projectUsed: p?.total.cost || 0
+    },
+    today: s.days[today()] || emptyTotals(),
+    days: list,
+    project: projectId
+      ? {
+        id: projectId,
+        total: p?.total || emptyTotals(),
+        days: Object.keys(p?.days || {}).sort().reverse().slice(0, n).map(date => ({ date, ...p.days[date] }))
+      }
+      : null,
+    cache: cacheStats()
+  };
+}
@@ -1,18 +1,23 @@
 import { VertexAI } from '@google-cloud/vertexai';
 
-export function getVertexClient() {
+export function getVertexConfig() {
   const project = process.env.GCP_PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT;
-  const location = process.env.GCP_LOCATION || 'us-central1';
+  const location = process.env.GCP_LOCATION || process.env.GOOGLE_CLOUD_REGION || 'us-central1';
   if (!project) {
     throw new Error('Missing GCP_PROJECT_ID (or GOOGLE_CLOUD_PROJECT). Set it as an env var.');
   }
+  return { project, location };
+}
+
+export function getVertexClient() {
+  const { project, location } = getVertexConfig();
   return { vertexAI: new VertexAI({ project, location }), project, location };
 }
 
 export function getGeminiModelId() {
-  return process.env.VERTEX_GEMINI_MODEL || 'gemini-1.5-flash-002';
+  return process.env.VERTEX_GEMINI_MODEL || process.env.MODEL_ANALYZE || 'gemini-1.5-flash-002';
 }
 
 export function getImagenModelId() {
-  return process.env.VERTEX_IMAGEN_MODEL || 'imagen-3.0-generate-001';
+  return process.env.VERTEX_IMAGEN_MODEL || process.env.MODEL_IMAGE || 'imagen-3.0-generate-001';
 }
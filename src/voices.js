@@ -0,0 +1,118 @@
+import { z } from 'zod';
+import { getProvider, getProviderName } from './providers/index.js';
+import { HttpError } from './errors.js';
+import { VOICE_ALIASES } from './tts.js';
+
+// The voice catalog behind GET /api/voices: Text-to-Speech's listVoices, fetched once and kept
+// for a few hours, then filtered here by language and gender. When the provider has no catalog
+// (mock) or the call fails, a built-in list of Neural2 voices stands in.
+
+const CACHE_MS = 6 * 60 * 60 * 1000;
+// A failed lookup is retried sooner.
+const FALLBACK_CACHE_MS = 5 * 60 * 1000;
+
+const F = 'FEMALE';
+const M = 'MALE';
+const BUILTIN = {
+  'en-US': { A: M, C: F, D: M, F: F, H: F, I: M, J: M },
+  'en-GB': { A: F, B: M, C: F, D: M, F: F },
+  'en-AU': { A: F, B: M, C: F, D: M },
+  'en-IN': { A: F, B: M, C: M, D: F },
+  'es-ES': { A: F, B: M, C: F },
+  'es-US': { A: F, B: M, C: M },
+  'fr-FR': { A: F, B: M, C: F, D: M },
+  'de-DE': { A: F, B: M, C: F, D: M },
+  'it-IT': { A: F, C: M },
+  'pt-BR': { A: F, B: M, C: F },
+  'ja-JP': { B: F, C: M, D: M },
+  'hi-IN': { A: F, B: M, C: M, D: F }
+};
+const BUILTIN_VOICES = Object.entries(BUILTIN).flatMap(([lang, voices]) => Object.entries(voices).map(([letter, gender]) => ({
+  name: `${lang}-Neural2-${letter}`,
+  languageCodes: [lang],
+  ssmlGender: gender,
+  naturalSampleRateHertz: 24000
+})));
+
+const VoicesQuery = z.object({
+  // "en" matches every English locale, "en-GB" only British English
+  language: z.string().regex(/^[a-z]{2,3}(-[A-Z]{2})?$/).optional(),
+  gender: z.enum(['male', 'female', 'neutral']).optional(),
+  refresh: z.enum(['0', '1']).optional()
+});
+
+let cached = null; // { provider, at, ttl, source, voices, error? }
+
+// REST returns ssmlGender by name; the gRPC client may return the enum number.
+const GENDERS = ['SSML_VOICE_GENDER_UNSPECIFIED', 'MALE', 'FEMALE', 'NEUTRAL'];
+
+function normalize(v) {
+  const gender = typeof v.ssmlGender === 'number' ? GENDERS[v.ssmlGender] : v.ssmlGender;
+  return {
+    name: v.name,
+    languageCodes: v.languageCodes || [],
+    gender: GENDERS.includes(gender) && gender !== GENDERS[0] ? gender.toLowerCase() : 'unspecified',
+    // Neural2, Wavenet, Standard, Studio, Chirp3...
+    type: String(v.name).split('-')[2] || '',
+    sampleRateHz: v.naturalSampleRateHertz || null
+  };
+}
+
+async function catalog(refresh) {
+  const providerName = getProviderName();
+  if (!refresh && cached && cached.provider === providerName && Date.now() - cached.at < cached.ttl) return cached;
+
+  const provider = getProvider();
+  let entry;
+  if (!provider.listVoices) {
+    entry = { source: 'builtin', ttl: CACHE_MS, voices: BUILTIN_VOICES };
+  } else {
+    try {
+      entry = { source: 'provider', ttl: CACHE_MS, voices: await provider.listVoices({}) };
+    } catch (err) {
+      console.warn('listVoices failed; serving the built-in voice list:', err.message);
+      entry = { source: 'builtin', ttl: FALLBACK_CACHE_MS, voices: BUILTIN_VOICES, error: err.message };
+    }
+  }
+  const voices = entry.voices.map(normalize).filter(v => v.name).sort((a, b) => a.name.localeCompare(b.name));
+  cached = { ...entry, provider: providerName, at: Date.now(), voices };
+  return cached;
+}
+
+/**
+ * GET /api/voices -> { source: 'provider' | 'builtin', languages, voices, aliases, error? }.
+ * languages covers the whole catalog (for a language picker); voices are filtered by ?language=
+ * and ?gender=. aliases maps the studio labels (Default, Fenrir, ...) to their en-US voices.
+ */
+export async function listVoices(query = {}) {
+  const { language, gender, refresh } = VoicesQuery.parse(query);
+  const { source, voices, error } = await catalog(refresh === '1');
+  const languages = [...new Set(voices.flatMap(v => v.languageCodes))].sort();
+  const matchesLanguage = (code) => (language.includes('-') ? code === language : code.split('-')[0] === language);
+  return {
+    source,
+    languages,
+    voices: voices.filter(v => (!language || v.languageCodes.some(matchesLanguage)) && (!gender || v.gender === gender)),
+    aliases: VOICE_ALIASES,
+    ...(error ? { error } : {})
+  };
+}
+
+/**
+ * A voice for `language` that sounds like `likeVoice` (a studio label or voice name): same gender
+ * and family (Neural2, Wavenet...) when the catalog has one, else the same gender, else the first.
+ * Voices in `avoid` (already cast) are only reused once every other voice for the language is.
+ */
+export async function matchingVoice(language, likeVoice, avoid = []) {
+  const { voices } = await catalog(false);
+  const like = voices.find(v => v.name === (VOICE_ALIASES[likeVoice] || likeVoice));
+  const speaking = voices.filter(v => v.languageCodes.includes(language));
+  const best = (list) => {
+    const sameGender = like ? list.filter(v => v.gender === like.gender) : [];
+    return sameGender.find(v => v.type === like.type) || sameGender[0];
+  };
+  const fresh = speaking.filter(v => !avoid.includes(v.name));
+  const pick = best(fresh) || fresh[0] || best(speaking) || speaking[0];
+  if (!pick) throw new HttpError(400, `No Text-to-Speech voice speaks ${language}.`);
+  return pick.name;
+}
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { wordsPerSecond, estimateSpeechSec, splitScriptLocally, VOICE_WORDS_PER_SECOND } from '../src/localSplit.js';
+
+delete process.env.LOCAL_WORDS_PER_SECOND;
+
+const words = (n, word = 'word') => Array.from({ length: n }, () => word).join(' ');
+
+test('words per second follow the voice and the speaking rate', () => {
+  assert.equal(wordsPerSecond(), 2.5);
+  assert.equal(wordsPerSecond('Fenrir'), VOICE_WORDS_PER_SECOND.Fenrir);
+  assert.equal(wordsPerSecond('Puck', 1.5), VOICE_WORDS_PER_SECOND.Puck * 1.5);
+  // Voices without a known pace (full voice names) use the default one.
+  assert.equal(wordsPerSecond('en-GB-Neural2-B', 2), 5);
+});
+
+test('LOCAL_WORDS_PER_SECOND rescales every voice', () => {
+  process.env.LOCAL_WORDS_PER_SECOND = '3';
+  try {
+    assert.equal(wordsPerSecond('Default'), 3);
+    assert.ok(Math.abs(wordsPerSecond('Fenrir') - 2.3 * 1.2) < 1e-9);
+  } finally {
+    delete process.env.LOCAL_WORDS_PER_SECOND;
+  }
+});
+
+test('speech estimate counts words and pauses between sentences', () => {
+  assert.equal(estimateSpeechSec('', 2.5), 0);
+  assert.equal(estimateSpeechSec(words(10), 2.5), 4);
+  // Two sentence ends inside the text, none counted for the last one.
+  assert.ok(Math.abs(estimateSpeechSec('One two. Three four! Five six?', 2) - (3 + 0.6)) < 1e-9);
+});
+
+test('short sentences share a scene until the next would run past the rule', () => {
+  const script = `${words(10, 'alpha')}. ${words(10, 'beta')}. ${words(10, 'gamma')}.`;
+  const { plan } = splitScriptLocally({ script, timingRuleSeconds: 10, paddingSec: 0.5 });
+  assert.deepEqual(plan.scenes.map(s => s.narration), [
+    `${words(10, 'alpha')}. ${words(10, 'beta')}.`,
+    `${words(10, 'gamma')}.`
+  ]);
+});
+
+test('paragraph breaks always start a new scene', () => {
+  const { plan } = splitScriptLocally({ script: 'First short line.\n\nSecond short line.', timingRuleSeconds: 13 });
+  assert.deepEqual(plan.scenes.map(s => s.narration), ['First short line.', 'Second short line.']);
+});
+
+test('a sentence too long for one scene is cut at its clauses', () => {
+  const script = `${words(15, 'one')}, ${words(15, 'two')}; ${words(15, 'three')}.`;
+  const { plan } = splitScriptLocally({ script, timingRuleSeconds: 8, paddingSec: 0.5 });
+  assert.deepEqual(plan.scenes.map(s => s.narration), [
+    `${words(15, 'one')},`,
+    `${words(15, 'two')};`,
+    `${words(15, 'three')}.`
+  ]);
+});
+
+test('no scene runs past timingRuleSeconds, even without punctuation', () => {
+  const { plan } = splitScriptLocally({ script: words(100), timingRuleSeconds: 6, paddingSec: 0.5 });
+  assert.ok(plan.scenes.length > 1);
+  for (const scene of plan.scenes) {
+    assert.ok(scene.duration_sec <= 6, `scene ${scene.scene_id} is ${scene.duration_sec}s`);
+    assert.ok(estimateSpeechSec(scene.narration, 2.5) <= 5.5);
+  }
+  assert.equal(plan.scenes.map(s => s.narration).join(' '), words(100));
+});
+
+test('image_prompt is filled from the template, or left empty without one', () => {
+  const script = 'The harbor wakes at dawn. Fishermen mend their nets.';
+  const empty = splitScriptLocally({ script, timingRuleSeconds: 13 }).plan;
+  assert.equal(empty.scenes[0].image_prompt, '');
+
+  const { plan } = splitScriptLocally({
+    script,
+    timingRuleSeconds: 13,
+    imagePromptTemplate: 'Scene {scene_id} of "{title}": {narration} ({keywords}) {unknown}'
+  });
+  const scene = plan.scenes[0];
+  assert.equal(
+    scene.image_prompt,
+    `Scene 1 of "The harbor wakes at dawn": ${scene.narration} (${scene.keywords.join(', ')}) {unknown}`
+  );
+});